@@ -0,0 +1,92 @@
+/**
+ * Environment Profiles
+ *
+ * Named target environments, selected with `--env PROFILE=<name>`
+ * (default: local). Each profile defines where the load goes and how much
+ * of it the environment may take:
+ *
+ *   endpoint    - Bot messages endpoint
+ *   healthUrl   - Bot health endpoint
+ *   apiKeyVar   - Environment variable holding the x-api-key for this environment
+ *   tenantId    - Teams tenant used for simulated conversations
+ *   maxVus      - Highest number of concurrent VUs a test may schedule
+ *   maxRps      - Highest request rate (bot requests/s) a test may schedule
+ *   production  - Requires CONFIRM_PROD=true before any test starts
+ *
+ * Adjust the endpoints and limits to your deployments.
+ */
+
+export const PROFILES = {
+  local: {
+    description: 'Bot running on this machine',
+    endpoint: 'http://localhost:3978/api/messages',
+    healthUrl: 'http://localhost:3978/api/health',
+    apiKeyVar: 'LOAD_TEST_API_KEY',
+    tenantId: 'ae6f26a3-6f27-4ed6-a3a8-800c3226fb79',
+    maxVus: 500,
+    maxRps: 50,
+    production: false,
+  },
+
+  stage: {
+    description: 'Staging deployment',
+    endpoint: 'https://stage-bot.azurewebsites.net/api/messages',
+    healthUrl: 'https://stage-bot.azurewebsites.net/api/health',
+    apiKeyVar: 'STAGE_LOAD_TEST_API_KEY',
+    tenantId: 'ae6f26a3-6f27-4ed6-a3a8-800c3226fb79',
+    maxVus: 100,
+    maxRps: 10,
+    production: false,
+  },
+
+  prod: {
+    description: 'Production - real users share this bot',
+    endpoint: 'https://bot.vcec.cloud/api/messages',
+    healthUrl: 'https://bot.vcec.cloud/api/health',
+    apiKeyVar: 'PROD_LOAD_TEST_API_KEY',
+    tenantId: 'ae6f26a3-6f27-4ed6-a3a8-800c3226fb79',
+    maxVus: 20,
+    maxRps: 2,
+    production: true,
+  },
+};
+
+/**
+ * Host (and port) of an http(s) URL - k6 has no global URL class
+ */
+function hostOf(url) {
+  const match = /^https?:\/\/([^/?#]+)/i.exec(url);
+  return match ? match[1].toLowerCase() : '';
+}
+
+/**
+ * Resolve a profile against environment variables (k6 __ENV or process.env)
+ *
+ * BOT_ENDPOINT, HEALTH_ENDPOINT and TEST_TENANT_ID override the profile
+ * values. An endpoint on a production profile's host counts as production,
+ * whatever profile was selected.
+ */
+export function resolveProfile(name, env) {
+  const profile = PROFILES[name];
+  if (!profile) {
+    throw new Error(`Unknown PROFILE "${name}" (${Object.keys(PROFILES).join(', ')})`);
+  }
+
+  const endpoint = env.BOT_ENDPOINT || profile.endpoint;
+  const healthUrl = env.HEALTH_ENDPOINT
+    || (env.BOT_ENDPOINT ? env.BOT_ENDPOINT.replace('/api/messages', '/api/health') : profile.healthUrl);
+
+  const productionHosts = Object.values(PROFILES)
+    .filter((candidate) => candidate.production)
+    .map((candidate) => hostOf(candidate.endpoint));
+
+  return {
+    ...profile,
+    name: name,
+    endpoint: endpoint,
+    healthUrl: healthUrl,
+    apiKey: env[profile.apiKeyVar] || '',
+    tenantId: env.TEST_TENANT_ID || profile.tenantId,
+    production: profile.production || productionHosts.includes(hostOf(endpoint)),
+  };
+}
@@ -0,0 +1,311 @@
+/**
+ * Bot Framework Activity Factory
+ *
+ * Shared builders for the Bot Framework v4 activities that MS Teams sends to
+ * the bot. Every k6 test imports its payloads from here instead of keeping
+ * its own copy of the activity shape.
+ *
+ * Covers:
+ *   - message (plain text, @mentions, Action.Submit `value` payloads)
+ *   - conversationUpdate (members added / removed)
+ *   - installationUpdate (app installed / uninstalled)
+ *   - invoke (Adaptive Card `adaptiveCard/action`)
+ *   - messageReaction
+ *   - typing
+ *
+ * Conversation shapes: personal, groupChat and channel.
+ *
+ * Usage:
+ *   import { createMessageActivity } from '../lib/activity-factory.js';
+ *   const activity = createMessageActivity('hello', { idPrefix: 'load-test' });
+ */
+
+import { resolveProfile } from '../config/profiles.js';
+
+export const CHANNEL_ID = 'msteams';
+
+// Tenant used for all simulated conversations (from the PROFILE, override with TEST_TENANT_ID)
+export const TENANT_ID = resolveProfile(__ENV.PROFILE || 'local', __ENV).tenantId;
+
+export const SERVICE_URL = __ENV.SERVICE_URL || 'https://smba.trafficmanager.net/teams';
+
+export const ActivityTypes = {
+  MESSAGE: 'message',
+  CONVERSATION_UPDATE: 'conversationUpdate',
+  INSTALLATION_UPDATE: 'installationUpdate',
+  INVOKE: 'invoke',
+  MESSAGE_REACTION: 'messageReaction',
+  TYPING: 'typing',
+};
+
+export const ConversationTypes = {
+  PERSONAL: 'personal',
+  GROUP_CHAT: 'groupChat',
+  CHANNEL: 'channel',
+};
+
+export const BOT_ACCOUNT = {
+  id: 'workoflow-bot',
+  name: 'Workoflow Bot',
+  role: 'bot',
+};
+
+/**
+ * Create a unique ID: <prefix>-<timestamp>-<random>
+ */
+export function createId(prefix = 'load-test') {
+  return `${prefix}-${Date.now()}-${Math.random().toString(36).substring(7)}`;
+}
+
+/**
+ * Create the simulated Teams user (the `from` account)
+ */
+export function createUser(overrides = {}) {
+  return {
+    id: __ENV.TEST_USER_ID || '29:load-test-user',
+    name: __ENV.TEST_USER_NAME || 'Load Test User',
+    aadObjectId: __ENV.TEST_USER_AAD_OBJECT_ID || '45908692-019e-4436-810c-b417f58f5f4f',
+    role: 'user',
+    ...overrides,
+  };
+}
+
+/**
+ * Create a conversation account for the given conversation type
+ *
+ * Options:
+ *   - id:        explicit conversation ID (skips generation)
+ *   - idPrefix:  prefix for generated IDs
+ *   - tenantId:  tenant of the conversation
+ *   - messageId: root message ID, turns a channel conversation into a thread reply
+ *   - name:      display name (group chats and channels)
+ */
+export function createConversation(type = ConversationTypes.PERSONAL, options = {}) {
+  const {
+    idPrefix = 'load-test',
+    tenantId = TENANT_ID,
+    messageId,
+    name,
+  } = options;
+
+  switch (type) {
+    case ConversationTypes.PERSONAL:
+      return {
+        id: options.id || `${idPrefix}-conversation-${Date.now()}-${__VU}`,
+        conversationType: ConversationTypes.PERSONAL,
+        isGroup: false,
+        tenantId: tenantId,
+      };
+
+    case ConversationTypes.GROUP_CHAT:
+      return {
+        id: options.id || `19:${idPrefix}-groupchat-${Date.now()}-${__VU}@thread.v2`,
+        conversationType: ConversationTypes.GROUP_CHAT,
+        isGroup: true,
+        tenantId: tenantId,
+        ...(name && { name }),
+      };
+
+    case ConversationTypes.CHANNEL: {
+      const channelId = options.id || `19:${idPrefix}-channel-${__VU}@thread.tacv2`;
+      return {
+        id: messageId ? `${channelId};messageid=${messageId}` : channelId,
+        conversationType: ConversationTypes.CHANNEL,
+        isGroup: true,
+        tenantId: tenantId,
+        ...(name && { name }),
+      };
+    }
+
+    default:
+      throw new Error(`Unknown conversation type: ${type}`);
+  }
+}
+
+/**
+ * Create a Teams mention entity for the given account
+ */
+export function createMention(account) {
+  return {
+    type: 'mention',
+    mentioned: {
+      id: account.id,
+      name: account.name,
+    },
+    text: `<at>${account.name}</at>`,
+  };
+}
+
+/**
+ * Build Teams channelData (tenant, and team/channel for channel conversations)
+ */
+function createChannelData(conversation, team, extra = {}) {
+  const channelData = {
+    tenant: { id: conversation.tenantId },
+  };
+
+  if (conversation.conversationType === ConversationTypes.CHANNEL) {
+    channelData.channel = { id: conversation.id.split(';')[0] };
+    if (team) {
+      channelData.team = team;
+    }
+  }
+
+  return { ...channelData, ...extra };
+}
+
+/**
+ * Create a base activity of the given type
+ *
+ * Options:
+ *   - idPrefix:     prefix for the activity and generated conversation IDs
+ *   - conversation: conversation account (default: new personal conversation)
+ *   - from:         sender account (default: createUser())
+ *   - tenantId:     tenant of the default conversation (default: TENANT_ID)
+ *   - team:         `{ id, name }` for channel conversations
+ *   - channelData:  extra channelData fields
+ *   - replyToId:    ID of the activity being replied to
+ *   - locale:       activity locale (default: en-US)
+ */
+export function createActivity(type, options = {}) {
+  const idPrefix = options.idPrefix || 'load-test';
+  const conversation = options.conversation
+    || createConversation(ConversationTypes.PERSONAL, { idPrefix, tenantId: options.tenantId || TENANT_ID });
+  const from = options.from || createUser();
+
+  const activity = {
+    type: type,
+    id: createId(idPrefix),
+    timestamp: new Date().toISOString(),
+    channelId: CHANNEL_ID,
+
+    from: from,
+    recipient: { ...BOT_ACCOUNT },
+    conversation: conversation,
+    channelData: createChannelData(conversation, options.team, options.channelData),
+
+    locale: options.locale || from.locale || 'en-US',
+    serviceUrl: SERVICE_URL,
+  };
+
+  if (options.replyToId) {
+    activity.replyToId = options.replyToId;
+  }
+
+  return activity;
+}
+
+/**
+ * Create a message activity
+ *
+ * In group chats and channels the bot only receives messages it is
+ * @mentioned in, so the bot is mentioned there by default.
+ *
+ * Options (in addition to createActivity options):
+ *   - mentions: accounts to @mention (prefixed to the text as <at> tags)
+ *   - value:    Action.Submit payload from an Adaptive Card
+ */
+export function createMessageActivity(text = 'test', options = {}) {
+  const activity = createActivity(ActivityTypes.MESSAGE, options);
+  const mentions = options.mentions || (activity.conversation.isGroup ? [BOT_ACCOUNT] : []);
+  const entities = mentions.map(createMention);
+
+  const mentionText = entities
+    .filter((entity) => !text.includes(entity.text))
+    .map((entity) => entity.text)
+    .join(' ');
+
+  activity.text = mentionText ? `${mentionText} ${text}` : text;
+  activity.textFormat = 'plain';
+
+  if (entities.length > 0) {
+    activity.entities = entities;
+  }
+
+  if (options.value !== undefined) {
+    activity.value = options.value;
+  }
+
+  return activity;
+}
+
+/**
+ * Create a conversationUpdate activity
+ *
+ * Options (in addition to createActivity options):
+ *   - membersAdded:   accounts added to the conversation
+ *   - membersRemoved: accounts removed from the conversation
+ */
+export function createConversationUpdateActivity(options = {}) {
+  const activity = createActivity(ActivityTypes.CONVERSATION_UPDATE, options);
+
+  if (options.membersAdded) {
+    activity.membersAdded = options.membersAdded;
+  }
+  if (options.membersRemoved) {
+    activity.membersRemoved = options.membersRemoved;
+  }
+
+  return activity;
+}
+
+/**
+ * Create an installationUpdate activity (bot app installed or uninstalled)
+ *
+ * action: add, remove (or add-upgrade / remove-upgrade)
+ */
+export function createInstallationUpdateActivity(action = 'add', options = {}) {
+  const activity = createActivity(ActivityTypes.INSTALLATION_UPDATE, options);
+  activity.action = action;
+  return activity;
+}
+
+/**
+ * Create an Adaptive Card invoke activity (`adaptiveCard/action`)
+ *
+ * Options (in addition to createActivity options):
+ *   - verb:       Action.Execute verb (default: submit)
+ *   - actionType: card action type (default: Action.Execute)
+ *   - trigger:    manual (button click) or automatic (card refresh)
+ */
+export function createCardActionInvokeActivity(data = {}, options = {}) {
+  const activity = createActivity(ActivityTypes.INVOKE, options);
+
+  activity.name = 'adaptiveCard/action';
+  activity.value = {
+    action: {
+      type: options.actionType || 'Action.Execute',
+      verb: options.verb || 'submit',
+      data: data,
+    },
+    trigger: options.trigger || 'manual',
+  };
+
+  return activity;
+}
+
+/**
+ * Create a messageReaction activity on a previous message
+ *
+ * Options (in addition to createActivity options):
+ *   - removed: send `reactionsRemoved` instead of `reactionsAdded`
+ */
+export function createMessageReactionActivity(reactionType = 'like', replyToId, options = {}) {
+  const activity = createActivity(ActivityTypes.MESSAGE_REACTION, { ...options, replyToId });
+  const reactions = [{ type: reactionType }];
+
+  if (options.removed) {
+    activity.reactionsRemoved = reactions;
+  } else {
+    activity.reactionsAdded = reactions;
+  }
+
+  return activity;
+}
+
+/**
+ * Create a typing activity
+ */
+export function createTypingActivity(options = {}) {
+  return createActivity(ActivityTypes.TYPING, options);
+}
@@ -0,0 +1,115 @@
+/**
+ * Bot Endpoint Authentication
+ *
+ * BOT_AUTH selects how requests authenticate against the bot:
+ *   - api-key (default): `x-api-key` header, bot started with LOAD_TEST_MODE=true
+ *   - jwt: `Authorization: Bearer` channel tokens signed like Bot Framework
+ *     tokens by the mock auth service (npm run mock:auth), so the bot runs
+ *     its real token validation
+ *
+ * In jwt mode one token is minted in setup() and handed to all VUs via the
+ * setup data; each VU mints a fresh one when it gets within
+ * TOKEN_REFRESH_MARGIN seconds (at most half the lifetime) of expiry. Tests
+ * without setup() mint on the first request. Mint requests are named
+ * `MintToken` and kept out of http_req_failed.
+ *
+ * Usage:
+ *   import { setupAuth, useAuth } from '../lib/bot-auth.js';
+ *   export function setup() { return { auth: setupAuth() }; }
+ *   export default function (data) { useAuth(data.auth); ... }
+ */
+
+import http from 'k6/http';
+import { Counter } from 'k6/metrics';
+import { SERVICE_URL } from './activity-factory.js';
+import { PROFILE } from './profile.js';
+
+export const BOT_AUTH_MODE = __ENV.BOT_AUTH || 'api-key';
+
+// Mock Bot Framework auth service (scripts/mock-bot-auth.js)
+export const MOCK_AUTH_URL = __ENV.MOCK_AUTH_URL || 'http://localhost:3980';
+
+// Microsoft App ID of the bot - the token audience
+const BOT_APP_ID = __ENV.BOT_APP_ID || '';
+
+// Token lifetime and refresh margin in seconds - the margin is capped at half
+// the lifetime, otherwise every bot request would mint a new token first
+const TOKEN_LIFETIME = parseInt(__ENV.TOKEN_LIFETIME || '3600', 10);
+const TOKEN_REFRESH_MARGIN = Math.min(parseInt(__ENV.TOKEN_REFRESH_MARGIN || '300', 10), TOKEN_LIFETIME / 2);
+
+// Minting never counts as a failed bot request (http_req_failed) - a failed mint throws
+const ANY_STATUS = http.expectedStatuses({ min: 0, max: 599 });
+
+if (!['api-key', 'jwt'].includes(BOT_AUTH_MODE)) {
+  throw new Error(`Unknown BOT_AUTH "${BOT_AUTH_MODE}" (api-key, jwt)`);
+}
+if (BOT_AUTH_MODE === 'jwt' && !BOT_APP_ID) {
+  throw new Error('BOT_AUTH=jwt needs BOT_APP_ID (the bot\'s Microsoft App ID)');
+}
+
+const tokensMinted = new Counter('auth_tokens_minted');
+
+// Token of this VU: { token, expiresAt (ms) }
+let currentToken = null;
+
+/**
+ * Mint a channel token from the mock auth service
+ */
+export function mintToken() {
+  const response = http.post(`${MOCK_AUTH_URL}/token`, JSON.stringify({
+    appId: BOT_APP_ID,
+    serviceUrl: SERVICE_URL,
+    lifetime: TOKEN_LIFETIME,
+  }), {
+    headers: { 'Content-Type': 'application/json' },
+    tags: { name: 'MintToken', traffic: 'auth' },
+    responseCallback: ANY_STATUS,
+  });
+
+  if (response.status !== 200) {
+    throw new Error(`Minting a token at ${MOCK_AUTH_URL} failed: ${response.status} ${response.error || response.body}`);
+  }
+
+  tokensMinted.add(1);
+  const body = response.json();
+  return { token: body.access_token, expiresAt: body.expires_on * 1000 };
+}
+
+/**
+ * Token for the setup data (null in api-key mode)
+ */
+export function setupAuth() {
+  return BOT_AUTH_MODE === 'jwt' ? mintToken() : null;
+}
+
+/**
+ * Adopt the setup token unless the VU already holds a newer one
+ */
+export function useAuth(auth) {
+  if (auth && (!currentToken || auth.expiresAt > currentToken.expiresAt)) {
+    currentToken = auth;
+  }
+}
+
+/**
+ * Authentication headers for a bot request
+ */
+export function authHeaders() {
+  if (BOT_AUTH_MODE !== 'jwt') {
+    return { 'x-api-key': PROFILE.apiKey };
+  }
+
+  if (!currentToken || Date.now() >= currentToken.expiresAt - TOKEN_REFRESH_MARGIN * 1000) {
+    currentToken = mintToken();
+  }
+  return { Authorization: `Bearer ${currentToken.token}` };
+}
+
+/**
+ * One-line description for setup logs
+ */
+export function describeAuth() {
+  return BOT_AUTH_MODE === 'jwt'
+    ? `jwt (app ${BOT_APP_ID}, tokens from ${MOCK_AUTH_URL}, ${TOKEN_LIFETIME}s lifetime)`
+    : 'api-key (LOAD_TEST_MODE)';
+}
@@ -0,0 +1,58 @@
+/**
+ * Bot Endpoint Client
+ *
+ * Sends Bot Framework activities to the bot endpoint, authenticated with
+ * the x-api-key (bot started with LOAD_TEST_MODE=true) or Bot Framework
+ * JWTs (BOT_AUTH=jwt, see lib/bot-auth.js). Every activity carries a
+ * `traceparent` header and `channelData.correlationId`, and slow or failed
+ * requests are recorded with their IDs (see lib/tracing.js).
+ *
+ * Bot requests are tagged `traffic: bot`, so thresholds can leave out the
+ * auxiliary requests of a test (token mints, reply polls, server scrapes):
+ *   'http_req_duration{traffic:bot}': ['p(95)<10000']
+ *
+ * Usage:
+ *   import { sendActivity } from '../lib/bot-client.js';
+ *   const response = sendActivity(activity, { name: 'SendMessage' });
+ */
+
+import http from 'k6/http';
+import { PROFILE } from './profile.js';
+import { authHeaders } from './bot-auth.js';
+import { traceActivity, recordTrace } from './tracing.js';
+
+// Bot endpoint of the selected PROFILE (override with BOT_ENDPOINT)
+export const BOT_ENDPOINT = PROFILE.endpoint;
+
+/**
+ * Build request headers for the bot endpoint (x-api-key or Bearer token, see BOT_AUTH)
+ */
+export function createHeaders() {
+  return {
+    'Content-Type': 'application/json',
+    ...authHeaders(),
+  };
+}
+
+/**
+ * POST an activity to the bot endpoint with trace headers, recording it
+ * if it failed or was among the slowest
+ */
+export function sendActivity(activity, tags = {}) {
+  const trace = traceActivity(activity);
+  const params = {
+    headers: { ...createHeaders(), ...trace.headers },
+    tags: { traffic: 'bot', ...tags },
+  };
+
+  const response = http.post(BOT_ENDPOINT, JSON.stringify(activity), params);
+  recordTrace(response, trace, tags);
+  return response;
+}
+
+/**
+ * Check whether the bot accepted the activity (200 or 202)
+ */
+export function isAccepted(response) {
+  return response.status === 200 || response.status === 202;
+}
@@ -0,0 +1,132 @@
+/**
+ * Capacity Analysis
+ *
+ * Derives capacity figures from per-step load test results:
+ *   - sla: highest step that still met the SLA (before the first breach)
+ *   - knee: first step where p95 latency grows faster than throughput
+ *   - saturation: highest throughput reached (requests/s)
+ *
+ * Steps must be in load order and look like:
+ *   { name, target, requests, rps, p50, p95, p99, errorRate, slaOk }
+ *
+ * Usage:
+ *   import { analyzeCapacity } from '../lib/capacity.js';
+ *   const report = analyzeCapacity(steps, {
+ *     http_req_duration: ['p(95)<60000'],
+ *     http_req_failed: ['rate<0.10'],
+ *   });
+ *
+ * `sla` (the thresholds the steps' slaOk was judged on) is only copied into
+ * the report.
+ */
+
+/**
+ * Relative growth between two values (0.5 = +50%), null if not computable
+ */
+function growth(previous, current) {
+  if (!previous || current === undefined || current === null) {
+    return null;
+  }
+  return (current - previous) / previous;
+}
+
+/**
+ * Highest step that met the SLA before the first breach
+ */
+function findSlaCapacity(steps) {
+  let lastOk = null;
+  let firstBreach = null;
+
+  for (const step of steps) {
+    if (!step.slaOk) {
+      firstBreach = step;
+      break;
+    }
+    lastOk = step;
+  }
+
+  return { lastOk, firstBreach };
+}
+
+/**
+ * First step where p95 latency grows faster than throughput
+ */
+function findKnee(steps) {
+  for (let i = 1; i < steps.length; i++) {
+    const latencyGrowth = growth(steps[i - 1].p95, steps[i].p95);
+    const throughputGrowth = growth(steps[i - 1].rps, steps[i].rps);
+
+    if (latencyGrowth !== null && throughputGrowth !== null && latencyGrowth > throughputGrowth) {
+      return {
+        step: steps[i],
+        previous: steps[i - 1],
+        latencyGrowth,
+        throughputGrowth,
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Step with the highest throughput
+ */
+function findSaturation(steps) {
+  return steps.reduce((best, step) => (!best || step.rps > best.rps ? step : best), null);
+}
+
+/**
+ * Analyze load steps and build the capacity report
+ *
+ * sla: threshold arrays per metric, e.g. { http_req_duration: ['p(95)<60000'] }
+ */
+export function analyzeCapacity(steps, sla) {
+  // Only steps that actually ran (an aborted test skips the rest)
+  const ran = steps.filter((step) => step.requests > 0);
+  const { lastOk, firstBreach } = findSlaCapacity(ran);
+  const knee = findKnee(ran);
+  const saturation = findSaturation(ran);
+
+  return {
+    sla: sla,
+    maxConcurrencyWithinSla: lastOk ? lastOk.target : null,
+    maxStepWithinSla: lastOk ? lastOk.name : null,
+    firstBreachedStep: firstBreach ? firstBreach.name : null,
+    breakingPointFound: firstBreach !== null,
+    knee: knee ? {
+      step: knee.step.name,
+      target: knee.step.target,
+      previousStep: knee.previous.name,
+      p95GrowthPercent: Math.round(knee.latencyGrowth * 1000) / 10,
+      throughputGrowthPercent: Math.round(knee.throughputGrowth * 1000) / 10,
+    } : null,
+    saturationThroughputRps: saturation ? Math.round(saturation.rps * 100) / 100 : null,
+    saturationStep: saturation ? saturation.name : null,
+    steps: ran,
+  };
+}
+
+/**
+ * Human-readable capacity summary
+ */
+export function formatCapacity(report, indent = '  ') {
+  const lines = ['Capacity report'];
+
+  lines.push(report.maxStepWithinSla
+    ? `Max concurrency within SLA: ${report.maxConcurrencyWithinSla} VUs (${report.maxStepWithinSla})`
+    : 'Max concurrency within SLA: none - the first step already breached the SLA');
+
+  lines.push(report.breakingPointFound
+    ? `Breaking point:             ${report.firstBreachedStep}`
+    : 'Breaking point:             not reached - all steps met the SLA');
+
+  lines.push(report.knee
+    ? `Knee point:                 ${report.knee.step} (p95 +${report.knee.p95GrowthPercent}% vs throughput ${report.knee.throughputGrowthPercent >= 0 ? '+' : ''}${report.knee.throughputGrowthPercent}% from ${report.knee.previousStep})`
+    : 'Knee point:                 not found - throughput kept up with latency');
+
+  lines.push(report.saturationThroughputRps !== null
+    ? `Saturation throughput:      ${report.saturationThroughputRps} req/s (${report.saturationStep})`
+    : 'Saturation throughput:      -');
+
+  return lines.map((line) => indent + line).join('\n');
+}
@@ -0,0 +1,252 @@
+/**
+ * Adaptive Card Actions
+ *
+ * Loads a library of card action templates (data/card-actions.json) into a
+ * k6 SharedArray and turns them into the activities Teams sends when a user
+ * clicks an Adaptive Card button:
+ *   - invoke: `adaptiveCard/action` invoke (Action.Execute, Universal Actions);
+ *     the bot answers synchronously with an invoke response in the HTTP body
+ *   - submit: legacy Action.Submit, a `message` activity carrying the card
+ *     data in `value` (no text)
+ *
+ * Template format:
+ *   - name:    action name used for the `card_action` tag (required)
+ *   - kind:    invoke or submit (required)
+ *   - data:    card data sent with the action (required)
+ *   - verb:    Action.Execute verb (invoke, default: submit)
+ *   - trigger: manual or automatic (invoke, default: manual)
+ *   - weight:  relative pick weight (default: 1)
+ *   - expect:  expected response, see DEFAULT_EXPECT
+ *
+ * String values in `data` may contain placeholders, filled per request:
+ * {{userId}}, {{userName}}, {{conversationId}}, {{replyToId}} (the message
+ * holding the card), {{timestamp}} and {{random}}.
+ *
+ * Usage (init context only - SharedArray cannot be created in VU code):
+ *   import { loadCardActions, createCardActionPicker, createCardActionActivity } from '../lib/card-actions.js';
+ *   const actions = loadCardActions();
+ *   const pickAction = createCardActionPicker(actions);
+ *   const activity = createCardActionActivity(pickAction(), { idPrefix: 'card-test' });
+ */
+
+import { SharedArray } from 'k6/data';
+import { createCardActionInvokeActivity, createMessageActivity, createId, createUser } from './activity-factory.js';
+import { createWeightedPicker } from './prompt-corpus.js';
+
+// Resolves to data/card-actions.json from both tests/ and lib/
+export const DEFAULT_CARD_ACTIONS = '../data/card-actions.json';
+
+export const CardActionKinds = {
+  INVOKE: 'invoke',
+  SUBMIT: 'submit',
+};
+
+// Invoke response content types of adaptiveCard/action
+const INVOKE_RESPONSE_TYPES = [
+  'application/vnd.microsoft.activity.message',
+  'application/vnd.microsoft.card.adaptive',
+];
+
+// Expected response per kind unless the template sets `expect`
+//   status:     HTTP status codes
+//   statusCode: invoke response `statusCode` values (invoke only)
+//   type:       invoke response `type` values (invoke only)
+const DEFAULT_EXPECT = {
+  invoke: { status: [200], statusCode: [200], type: INVOKE_RESPONSE_TYPES },
+  submit: { status: [200, 202] },
+};
+
+/**
+ * Wrap a single expected value in an array
+ */
+function toList(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Validate and normalize a template
+ */
+function normalizeAction(entry, index, path) {
+  if (!entry.name || !entry.data) {
+    throw new Error(`Card actions ${path}: entry ${index + 1} needs "name" and "data"`);
+  }
+  if (!Object.values(CardActionKinds).includes(entry.kind)) {
+    throw new Error(`Card actions ${path}: entry ${index + 1} has invalid kind "${entry.kind}" (invoke, submit)`);
+  }
+
+  const weight = entry.weight === undefined ? 1 : Number(entry.weight);
+  if (!(weight > 0)) {
+    throw new Error(`Card actions ${path}: entry ${index + 1} has invalid weight "${entry.weight}"`);
+  }
+
+  const expect = { ...DEFAULT_EXPECT[entry.kind], ...(entry.expect || {}) };
+  Object.keys(expect).forEach((key) => {
+    expect[key] = toList(expect[key]);
+  });
+
+  return {
+    name: entry.name,
+    kind: entry.kind,
+    verb: entry.verb || 'submit',
+    trigger: entry.trigger || 'manual',
+    data: entry.data,
+    weight: weight,
+    expect: expect,
+  };
+}
+
+/**
+ * Parse card action file content
+ */
+export function parseCardActions(content, path) {
+  const entries = JSON.parse(content);
+
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error(`Card actions ${path} is empty or not an array`);
+  }
+
+  return entries.map((entry, index) => normalizeAction(entry, index, path));
+}
+
+/**
+ * Load the card action library (CARD_ACTIONS env var overrides the path)
+ */
+export function loadCardActions(path = __ENV.CARD_ACTIONS || DEFAULT_CARD_ACTIONS) {
+  return new SharedArray('card-actions', () => parseCardActions(open(path), path));
+}
+
+/**
+ * Create a function that picks a random card action by weight
+ */
+export function createCardActionPicker(actions) {
+  return createWeightedPicker(actions);
+}
+
+/**
+ * Fill {{placeholders}} in all string values of a template
+ */
+export function fillTemplate(value, variables) {
+  if (typeof value === 'string') {
+    return value.replace(/\{\{(\w+)\}\}/g, (placeholder, name) => (
+      variables[name] !== undefined ? String(variables[name]) : placeholder
+    ));
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => fillTemplate(item, variables));
+  }
+  if (value && typeof value === 'object') {
+    const result = {};
+    Object.keys(value).forEach((key) => {
+      result[key] = fillTemplate(value[key], variables);
+    });
+    return result;
+  }
+  return value;
+}
+
+/**
+ * Placeholder values for an activity
+ */
+function templateVariables(activity, from, replyToId) {
+  return {
+    userId: from.id,
+    userName: from.name,
+    conversationId: activity.conversation.id,
+    replyToId: replyToId,
+    timestamp: activity.timestamp,
+    random: Math.random().toString(36).substring(2, 10),
+  };
+}
+
+/**
+ * Create the activity for a card action
+ *
+ * Options are passed to the activity factory (idPrefix, from, locale,
+ * tenantId, conversation). The activity replies to a generated ID standing in
+ * for the bot message that holds the card.
+ */
+export function createCardActionActivity(action, options = {}) {
+  const from = options.from || createUser();
+  const replyToId = options.replyToId || createId('card');
+  const activityOptions = { ...options, from, replyToId };
+
+  if (action.kind === CardActionKinds.INVOKE) {
+    const activity = createCardActionInvokeActivity({}, {
+      ...activityOptions,
+      verb: action.verb,
+      trigger: action.trigger,
+    });
+    activity.value.action.data = fillTemplate(action.data, templateVariables(activity, from, replyToId));
+    return activity;
+  }
+
+  const activity = createMessageActivity('', { ...activityOptions, mentions: [] });
+  activity.value = fillTemplate(action.data, templateVariables(activity, from, replyToId));
+  delete activity.text;
+  delete activity.textFormat;
+  return activity;
+}
+
+/**
+ * Parse an invoke response body, null if it is not JSON
+ */
+function invokeBody(response) {
+  try {
+    return response.json();
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * k6 checks for the response to a card action
+ *
+ * Invokes must return the expected HTTP status and an invoke response body
+ * `{ statusCode, type, value }`; submits only need to be accepted.
+ */
+export function cardActionChecks(action) {
+  if (action.kind === CardActionKinds.SUBMIT) {
+    return {
+      'submit accepted': (r) => action.expect.status.includes(r.status),
+    };
+  }
+
+  return {
+    'invoke status as expected': (r) => action.expect.status.includes(r.status),
+    'invoke response statusCode as expected': (r) => {
+      const body = invokeBody(r);
+      return body !== null && action.expect.statusCode.includes(body.statusCode);
+    },
+    'invoke response type as expected': (r) => {
+      const body = invokeBody(r);
+      return body !== null && action.expect.type.includes(body.type);
+    },
+  };
+}
+
+/**
+ * Request name for a card action (CardInvoke or CardSubmit)
+ */
+export function cardActionRequestName(action) {
+  return action.kind === CardActionKinds.INVOKE ? 'CardInvoke' : 'CardSubmit';
+}
+
+/**
+ * Request tags for a card action
+ */
+export function cardActionTags(action) {
+  return { card_action: action.name };
+}
+
+/**
+ * Build one threshold per card action for a metric, e.g.
+ *   cardActionThresholds(actions, 'http_req_duration', ['p(95)<10000'])
+ *   → { 'http_req_duration{card_action:feedback-positive}': ['p(95)<10000'], ... }
+ */
+export function cardActionThresholds(actions, metric, thresholds) {
+  const result = {};
+  for (let i = 0; i < actions.length; i++) {
+    result[`${metric}{card_action:${actions[i].name}}`] = thresholds;
+  }
+  return result;
+}
@@ -0,0 +1,277 @@
+/**
+ * CI Reports
+ *
+ * Optional handleSummary() outputs for CI pipelines - off by default, so
+ * local runs are unchanged:
+ *   - JUnit XML: one test case per threshold and per check, failures carry
+ *     the observed value (thresholds) or pass/fail counts (checks)
+ *   - Markdown summary: overview, thresholds and checks as tables, ready to
+ *     be posted on a pull request or written to $GITHUB_STEP_SUMMARY
+ *
+ * Switches (value `true` writes to results/<test>-junit|summary-<timestamp>.*,
+ * any other value is used as the file path):
+ *   JUNIT_REPORT=true | results/junit.xml
+ *   MARKDOWN_SUMMARY=true | results/summary.md
+ *
+ * Always-passing helper thresholds (`count>=0` etc., used to expose tagged
+ * sub-metrics in the summary) are not reported.
+ *
+ * Usage:
+ *   import { ciReports } from '../lib/ci-report.js';
+ *   // handleSummary: ...ciReports(data, { test: 'smoke', timestamp })
+ *   // (added by summaryOutputs() of lib/summary-output.js)
+ */
+
+import { PROFILE } from './profile.js';
+import { stripReportMetrics, botMetricValues } from './report.js';
+import { formatMs, formatPercent, formatNumber, metricValues } from './summary.js';
+
+const JUNIT_REPORT = __ENV.JUNIT_REPORT || 'false';
+const MARKDOWN_SUMMARY = __ENV.MARKDOWN_SUMMARY || 'false';
+
+// Thresholds that only expose sub-metrics, e.g. 'count>=0', 'max>=0'
+const HELPER_THRESHOLD = /^\s*[a-z]+(\(\d+(\.\d+)?\))?\s*>=\s*0\s*$/;
+
+// Threshold expression: aggregation, operator, value
+const THRESHOLD_EXPRESSION = /^\s*([a-z]+(?:\(\d+(?:\.\d+)?\))?)\s*(<=|>=|<|>|===|==|!=)\s*(-?[\d.]+)\s*$/;
+
+/**
+ * Output path for a switch: null when off, default path for 'true'
+ */
+function outputPath(value, defaultPath) {
+  if (value === 'false' || value === '') {
+    return null;
+  }
+  return value === 'true' ? defaultPath : value;
+}
+
+/**
+ * Format a metric value by metric type (time trends in ms, rates in %)
+ */
+function formatValue(metric, value) {
+  if (value === undefined) {
+    return '-';
+  }
+  if (metric.type === 'rate') {
+    return formatPercent(value);
+  }
+  if (metric.type === 'trend' && metric.contains === 'time') {
+    return formatMs(value);
+  }
+  return formatNumber(value);
+}
+
+/**
+ * All reported thresholds: [{ metric, expression, ok, observed }]
+ *
+ * observed is the formatted value the expression was evaluated on.
+ */
+export function collectThresholds(data) {
+  const thresholds = [];
+  Object.keys(data.metrics).sort().forEach((name) => {
+    const metric = data.metrics[name];
+    Object.entries(metric.thresholds || {})
+      .filter(([expression]) => !HELPER_THRESHOLD.test(expression))
+      .forEach(([expression, result]) => {
+        const match = expression.match(THRESHOLD_EXPRESSION);
+        const aggregation = match ? match[1] : null;
+        const value = aggregation ? metricValues(data, name)[aggregation] : undefined;
+        thresholds.push({
+          metric: name,
+          expression: expression,
+          ok: result.ok,
+          observed: aggregation ? `${aggregation}=${formatValue(metric, value)}` : '-',
+        });
+      });
+  });
+  return thresholds;
+}
+
+/**
+ * All checks with their group path: [{ group, name, passes, fails }]
+ */
+export function collectChecks(group, checks = []) {
+  const path = (group.path || '').replace(/^::/, '').replace(/::/g, ' › ');
+  (group.checks || []).forEach((check) => {
+    checks.push({ group: path, name: check.name, passes: check.passes, fails: check.fails });
+  });
+  (group.groups || []).forEach((child) => collectChecks(child, checks));
+  return checks;
+}
+
+/**
+ * Escape text for XML attributes and content
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Render a JUnit <testsuite> from cases: [{ classname, name, failure: null | { type, message, details } }]
+ */
+function junitSuite(name, cases, seconds) {
+  const failures = cases.filter((testCase) => testCase.failure).length;
+  const lines = [`  <testsuite name="${escapeXml(name)}" tests="${cases.length}" failures="${failures}" errors="0" time="${seconds}">`];
+
+  cases.forEach((testCase) => {
+    const attributes = `classname="${escapeXml(testCase.classname)}" name="${escapeXml(testCase.name)}" time="0"`;
+    if (!testCase.failure) {
+      lines.push(`    <testcase ${attributes}/>`);
+      return;
+    }
+    lines.push(`    <testcase ${attributes}>`);
+    lines.push(`      <failure type="${testCase.failure.type}" message="${escapeXml(testCase.failure.message)}">${escapeXml(testCase.failure.details)}</failure>`);
+    lines.push('    </testcase>');
+  });
+
+  lines.push('  </testsuite>');
+  return lines.join('\n');
+}
+
+/**
+ * Render the JUnit XML: a suite for thresholds and one for checks
+ */
+export function renderJunit(data, test) {
+  const summary = stripReportMetrics(data);
+  const seconds = formatNumber((data.state ? data.state.testRunDurationMs : 0) / 1000, 3);
+
+  const thresholdCases = collectThresholds(summary).map((threshold) => ({
+    classname: `k6.${test}.thresholds`,
+    name: `${threshold.metric}: ${threshold.expression}`,
+    failure: threshold.ok ? null : {
+      type: 'threshold',
+      message: `${threshold.metric} ${threshold.observed} violates ${threshold.expression}`,
+      details: `Metric: ${threshold.metric}\nThreshold: ${threshold.expression}\nObserved: ${threshold.observed}`,
+    },
+  }));
+
+  const checkCases = collectChecks(data.root_group).map((check) => {
+    const total = check.passes + check.fails;
+    return {
+      classname: check.group ? `k6.${test}.checks.${check.group}` : `k6.${test}.checks`,
+      name: check.name,
+      failure: check.fails === 0 ? null : {
+        type: 'check',
+        message: `${check.fails} of ${total} failed (${formatPercent(check.fails / total)})`,
+        details: `Check: ${check.name}\nPasses: ${check.passes}\nFails: ${check.fails}`,
+      },
+    };
+  });
+
+  const cases = [...thresholdCases, ...checkCases];
+  const failures = cases.filter((testCase) => testCase.failure).length;
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="k6 ${escapeXml(test)}" tests="${cases.length}" failures="${failures}" errors="0" time="${seconds}">`,
+    junitSuite(`${test} thresholds`, thresholdCases, seconds),
+    junitSuite(`${test} checks`, checkCases, seconds),
+    '</testsuites>',
+    '',
+  ].join('\n');
+}
+
+/**
+ * Escape a Markdown table cell
+ */
+function markdownCell(value) {
+  return String(value).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+/**
+ * Render a Markdown table
+ */
+function markdownTable(headers, rows) {
+  return [
+    `| ${headers.join(' | ')} |`,
+    `| ${headers.map(() => '---').join(' | ')} |`,
+    ...rows.map((row) => `| ${row.map(markdownCell).join(' | ')} |`),
+  ].join('\n');
+}
+
+/**
+ * Render the Markdown summary
+ */
+export function renderMarkdown(data, test) {
+  const summary = stripReportMetrics(data);
+  const thresholds = collectThresholds(summary);
+  const checks = collectChecks(data.root_group);
+  const failedThresholds = thresholds.filter((threshold) => !threshold.ok).length;
+  const failedChecks = checks.filter((check) => check.fails > 0).length;
+  const passed = failedThresholds === 0;
+
+  // Bot requests only - token mints and server scrapes are left out
+  const duration = botMetricValues(data, 'http_req_duration');
+  const requests = botMetricValues(data, 'http_reqs');
+  const durationMs = data.state ? data.state.testRunDurationMs : undefined;
+
+  const lines = [
+    `## ${passed ? '✅' : '❌'} k6 ${test} test ${passed ? 'passed' : 'failed'}`,
+    '',
+    `Profile \`${PROFILE.name}\` · duration ${formatMs(durationMs)} · `
+      + `${failedThresholds} of ${thresholds.length} thresholds failed · ${failedChecks} of ${checks.length} checks with failures`,
+    '',
+    markdownTable(['Requests', 'Req/s', 'p50', 'p95', 'p99', 'Failed requests', 'Checks'], [[
+      requests.count !== undefined ? String(requests.count) : '-',
+      formatNumber(requests.rate),
+      formatMs(duration.med),
+      formatMs(duration['p(95)']),
+      formatMs(duration['p(99)']),
+      formatPercent(botMetricValues(data, 'http_req_failed').rate),
+      formatPercent(metricValues(summary, 'checks').rate),
+    ]]),
+  ];
+
+  if (thresholds.length > 0) {
+    lines.push('', '### Thresholds', '', markdownTable(
+      ['Metric', 'Threshold', 'Observed', 'Result'],
+      thresholds.map((threshold) => [
+        `\`${threshold.metric}\``,
+        `\`${threshold.expression}\``,
+        threshold.observed,
+        threshold.ok ? '✅ pass' : '❌ fail',
+      ]),
+    ));
+  }
+
+  if (checks.length > 0) {
+    lines.push('', '### Checks', '', markdownTable(
+      ['Check', 'Passes', 'Fails', 'Success'],
+      checks.map((check) => [
+        check.group ? `${check.group} › ${check.name}` : check.name,
+        String(check.passes),
+        String(check.fails),
+        `${check.fails === 0 ? '✅' : '❌'} ${formatPercent(check.passes / (check.passes + check.fails))}`,
+      ]),
+    ));
+  }
+
+  lines.push('');
+  return lines.join('\n');
+}
+
+/**
+ * handleSummary output entries for the enabled CI reports ({} when none are)
+ *
+ * meta: { test, timestamp }
+ */
+export function ciReports(data, meta) {
+  const outputs = {};
+
+  const junitPath = outputPath(JUNIT_REPORT, `results/${meta.test}-junit-${meta.timestamp}.xml`);
+  if (junitPath) {
+    outputs[junitPath] = renderJunit(data, meta.test);
+  }
+
+  const markdownPath = outputPath(MARKDOWN_SUMMARY, `results/${meta.test}-summary-${meta.timestamp}.md`);
+  if (markdownPath) {
+    outputs[markdownPath] = renderMarkdown(data, meta.test);
+  }
+
+  return outputs;
+}
@@ -0,0 +1,259 @@
+/**
+ * Run Comparison
+ *
+ * Compares two k6 summary JSONs - the `data` written from handleSummary()
+ * or `k6 run --summary-export` output - metric by metric, including tagged
+ * sub-metrics such as `http_req_duration{category:greeting}`, and flags
+ * regressions beyond tolerances:
+ *   - latency (time trends): relative increase of p50 / p95 / p99
+ *   - rates: absolute increase of failure rates (or decrease of success rates)
+ *   - throughput (http_reqs, iterations): relative decrease of requests/s
+ *
+ * Other metrics (custom counters, gauges, non-time trends) are listed for
+ * information only. Sub-metrics only exist in a summary when a threshold
+ * is defined on them; the per-bucket timeline sub-metrics of the HTML
+ * report are skipped.
+ *
+ * Usage:
+ *   import { compareSummaries } from '../lib/compare.js';
+ *   const result = compareSummaries(baseline, run, { latency: 0.05 });
+ *   if (result.regressions.length > 0) { ... }
+ */
+
+export const DEFAULT_TOLERANCES = {
+  latency: 0.10,      // Relative increase of p50/p95/p99 (+10%)
+  rate: 0.01,         // Absolute change of a rate (+1 percentage point)
+  throughput: 0.10,   // Relative decrease of requests/s (-10%)
+  // Rates where a decrease is the regression - names, or patterns with `*`
+  higherIsBetter: ['checks', 'success_rate', 'reply_received', 'validation_*', '*_success', '*_valid', '*_ok'],
+  // Counters whose rate is gated as throughput
+  throughputMetrics: ['http_reqs', 'iterations'],
+  // Per metric or sub-metric overrides, e.g. { 'reply_latency': 0.25 }
+  metrics: {},
+};
+
+// HTML report timeline buckets (lib/timeline.js) - too short to compare
+const IGNORED_SUBMETRIC = /\{time_bucket:[^}]*\}$/;
+
+const LATENCY_STATS = [
+  ['p50', 'med'],
+  ['p95', 'p(95)'],
+  ['p99', 'p(99)'],
+];
+
+/**
+ * Metric name without tag selector: http_req_duration{name:x} → http_req_duration
+ */
+export function baseMetricName(name) {
+  return name.split('{')[0];
+}
+
+/**
+ * Whether a metric's base name matches one of the names or `*` patterns
+ */
+export function matchesMetricPattern(name, patterns) {
+  const base = baseMetricName(name);
+  return patterns.some((pattern) => {
+    const regex = pattern.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${regex}$`).test(base);
+  });
+}
+
+/**
+ * Metric kind from handleSummary type info, or inferred for --summary-export
+ */
+function classify(metric, values) {
+  if (metric.type) {
+    if (metric.type === 'trend') {
+      return metric.contains === 'time' ? 'latency' : 'trend';
+    }
+    return metric.type;
+  }
+
+  // --summary-export has no type info: all trends are assumed to be timings
+  if ('med' in values || 'avg' in values) {
+    return 'latency';
+  }
+  if ('passes' in values) {
+    return 'rate';
+  }
+  if ('count' in values) {
+    return 'counter';
+  }
+  return 'gauge';
+}
+
+/**
+ * Normalize a summary into { name: { kind, typed, values } }
+ *
+ * typed: the kind comes from k6 type info rather than being inferred.
+ */
+export function normalizeSummary(summary) {
+  if (!summary || typeof summary.metrics !== 'object') {
+    throw new Error('Not a k6 summary: missing "metrics"');
+  }
+
+  const metrics = {};
+  Object.entries(summary.metrics).forEach(([name, metric]) => {
+    let values;
+    if (metric.values) {
+      values = metric.values;
+    } else {
+      // --summary-export: values are inline, a rate's value is called `value`
+      const { thresholds, ...inline } = metric;
+      values = 'passes' in inline ? { ...inline, rate: inline.value } : inline;
+    }
+    metrics[name] = { kind: classify(metric, values), typed: Boolean(metric.type), values };
+  });
+
+  return metrics;
+}
+
+/**
+ * Tolerance for a metric: exact name, then base name, then the kind default
+ */
+function toleranceFor(name, kind, tolerances) {
+  if (name in tolerances.metrics) {
+    return tolerances.metrics[name];
+  }
+  if (baseMetricName(name) in tolerances.metrics) {
+    return tolerances.metrics[baseMetricName(name)];
+  }
+  return tolerances[kind];
+}
+
+/**
+ * Relative change (0.1 = +10%), null if the baseline is zero or missing
+ */
+function relativeChange(baseline, value) {
+  if (!baseline || value === undefined || value === null) {
+    return null;
+  }
+  return (value - baseline) / baseline;
+}
+
+/**
+ * Comparison rows for one metric present in both summaries
+ *
+ * Row: { metric, kind, stat, baseline, value, change, relative, tolerance, gated, regression }
+ */
+function compareMetric(name, baseline, run, tolerances) {
+  const row = (stat, kind, baselineValue, value, options = {}) => ({
+    metric: name,
+    kind: kind,
+    stat: stat,
+    baseline: baselineValue,
+    value: value,
+    change: null,
+    relative: false,
+    tolerance: null,
+    gated: false,
+    regression: false,
+    ...options,
+  });
+
+  if (baseline.kind === 'latency') {
+    const tolerance = toleranceFor(name, 'latency', tolerances);
+    return LATENCY_STATS
+      .filter(([, key]) => baseline.values[key] !== undefined && run.values[key] !== undefined)
+      .map(([stat, key]) => {
+        const change = relativeChange(baseline.values[key], run.values[key]);
+        return row(stat, 'latency', baseline.values[key], run.values[key], {
+          change: change,
+          relative: true,
+          tolerance: tolerance,
+          gated: true,
+          regression: change !== null && change > tolerance,
+        });
+      });
+  }
+
+  if (baseline.kind === 'rate') {
+    const tolerance = toleranceFor(name, 'rate', tolerances);
+    const change = run.values.rate - baseline.values.rate;
+    const worse = matchesMetricPattern(name, tolerances.higherIsBetter) ? -change : change;
+    return [row('rate', 'rate', baseline.values.rate, run.values.rate, {
+      change: change,
+      tolerance: tolerance,
+      gated: true,
+      regression: worse > tolerance,
+    })];
+  }
+
+  if (baseline.kind === 'counter') {
+    if (tolerances.throughputMetrics.includes(baseMetricName(name))) {
+      const tolerance = toleranceFor(name, 'throughput', tolerances);
+      const change = relativeChange(baseline.values.rate, run.values.rate);
+      return [row('rate', 'throughput', baseline.values.rate, run.values.rate, {
+        change: change,
+        relative: true,
+        tolerance: tolerance,
+        gated: true,
+        regression: change !== null && -change > tolerance,
+      })];
+    }
+    return [row('count', 'counter', baseline.values.count, run.values.count, {
+      change: relativeChange(baseline.values.count, run.values.count),
+      relative: true,
+    })];
+  }
+
+  if (baseline.kind === 'trend') {
+    return [row('p95', 'trend', baseline.values['p(95)'], run.values['p(95)'], {
+      change: relativeChange(baseline.values['p(95)'], run.values['p(95)']),
+      relative: true,
+    })];
+  }
+
+  return [row('value', baseline.kind, baseline.values.value, run.values.value, {
+    change: relativeChange(baseline.values.value, run.values.value),
+    relative: true,
+  })];
+}
+
+/**
+ * Compare a run against a baseline summary
+ *
+ * tolerances override DEFAULT_TOLERANCES; filter is an optional RegExp on
+ * metric names. Returns { tolerances, rows, regressions, missing, added } -
+ * missing/added are metric names only present in the baseline / the run.
+ */
+export function compareSummaries(baselineSummary, runSummary, overrides = {}, filter = null) {
+  const tolerances = {
+    ...DEFAULT_TOLERANCES,
+    ...overrides,
+    metrics: { ...DEFAULT_TOLERANCES.metrics, ...overrides.metrics },
+  };
+
+  const baseline = normalizeSummary(baselineSummary);
+  const run = normalizeSummary(runSummary);
+  const selected = (name) => !IGNORED_SUBMETRIC.test(name) && (!filter || filter.test(name));
+
+  const rows = [];
+  const missing = [];
+
+  Object.keys(baseline).sort().filter(selected).forEach((name) => {
+    if (!run[name]) {
+      missing.push(name);
+      return;
+    }
+
+    // Mixed formats: trust the side with k6 type info
+    const metric = baseline[name].typed || !run[name].typed ? baseline[name] : run[name];
+    const other = metric === baseline[name] ? run[name] : baseline[name];
+    if (other.typed && other.kind !== metric.kind) {
+      throw new Error(`Metric ${name} is a ${baseline[name].kind} in the baseline but a ${run[name].kind} in the run`);
+    }
+    rows.push(...compareMetric(name, { ...baseline[name], kind: metric.kind }, { ...run[name], kind: metric.kind }, tolerances));
+  });
+
+  const added = Object.keys(run).sort().filter((name) => selected(name) && !baseline[name]);
+
+  return {
+    tolerances: tolerances,
+    rows: rows,
+    regressions: rows.filter((row) => row.regression),
+    missing: missing,
+    added: added,
+  };
+}
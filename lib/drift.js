@@ -0,0 +1,110 @@
+/**
+ * Drift Detection
+ *
+ * Compares two time windows of a long-running test (e.g. the first and last
+ * 10 minutes of a soak test) and flags statistically significant
+ * degradation.
+ *
+ * handleSummary() only sees aggregated values, not raw samples, so:
+ *   - latency: z-test on the window means (Welch), with the standard
+ *     deviation estimated from the interquartile range (σ ≈ IQR / 1.349)
+ *   - error rate: two-proportion z-test on the failed/total request counts
+ *
+ * A change is only reported as drift when it is significant (p < alpha),
+ * a degradation, and larger than a minimum practical change - with
+ * thousands of requests per window even tiny differences are "significant".
+ *
+ * Usage:
+ *   import { detectDrift } from '../lib/drift.js';
+ *   const drift = detectDrift(firstWindow, lastWindow, { alpha: 0.01 });
+ */
+
+export const DEFAULT_DRIFT_OPTIONS = {
+  alpha: 0.01,                // Significance level
+  minLatencyChange: 0.2,      // Relative change of mean latency (+20%)
+  minErrorRateChange: 0.01,   // Absolute change of error rate (+1 percentage point)
+};
+
+/**
+ * Standard normal cumulative distribution function
+ * (Abramowitz & Stegun 7.1.26 approximation of erf)
+ */
+export function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Two-sided p-value for a z statistic
+ */
+function pValue(z) {
+  return 2 * (1 - normalCdf(Math.abs(z)));
+}
+
+/**
+ * Compare mean latency of two windows: { count, avg, p25, p75 }
+ */
+export function compareLatency(first, last) {
+  const sd1 = (first.p75 - first.p25) / 1.349;
+  const sd2 = (last.p75 - last.p25) / 1.349;
+  const standardError = Math.sqrt((sd1 * sd1) / first.count + (sd2 * sd2) / last.count);
+  const difference = last.avg - first.avg;
+  const z = standardError > 0 ? difference / standardError : 0;
+
+  return {
+    first: first.avg,
+    last: last.avg,
+    change: first.avg > 0 ? difference / first.avg : null,
+    z: z,
+    pValue: pValue(z),
+  };
+}
+
+/**
+ * Compare error rates of two windows: { count, fails }
+ */
+export function compareErrorRate(first, last) {
+  const rate1 = first.fails / first.count;
+  const rate2 = last.fails / last.count;
+  const pooled = (first.fails + last.fails) / (first.count + last.count);
+  const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / first.count + 1 / last.count));
+  const difference = rate2 - rate1;
+  const z = standardError > 0 ? difference / standardError : 0;
+
+  return {
+    first: rate1,
+    last: rate2,
+    change: difference,
+    z: z,
+    pValue: pValue(z),
+  };
+}
+
+/**
+ * Detect latency and error-rate drift between two windows
+ *
+ * Windows: { name, count, avg, p25, p75, fails }
+ */
+export function detectDrift(first, last, options = {}) {
+  const settings = { ...DEFAULT_DRIFT_OPTIONS, ...options };
+  const latency = compareLatency(first, last);
+  const errorRate = compareErrorRate(first, last);
+
+  latency.drift = latency.pValue < settings.alpha
+    && latency.change !== null
+    && latency.change >= settings.minLatencyChange;
+
+  errorRate.drift = errorRate.pValue < settings.alpha
+    && errorRate.change >= settings.minErrorRateChange;
+
+  return {
+    firstWindow: first.name,
+    lastWindow: last.name,
+    settings: settings,
+    latency: latency,
+    errorRate: errorRate,
+    drift: latency.drift || errorRate.drift,
+  };
+}
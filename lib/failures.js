@@ -0,0 +1,233 @@
+/**
+ * Failure Classification
+ *
+ * Groups failed requests into categories, each counted in its own Counter
+ * (`failures_<category>`), and keeps a bounded sample of failing requests
+ * and responses per category for the end-of-test summary - instead of
+ * logging every failure to the console:
+ *   - timeout             no response within the request timeout
+ *   - connection_refused  bot not listening
+ *   - auth                401 / 403 (API key, LOAD_TEST_MODE)
+ *   - throttled           429
+ *   - server_error        5xx
+ *   - slow                accepted (200/202) but slower than the test's SLA
+ *   - other               any other status or network error
+ *
+ * handleSummary() only sees metrics, not VU memory, so samples are carried
+ * as base64-encoded group names under the `failure_samples` group (nested
+ * inside the test's own group() when the request was sent in one). Each VU
+ * records at most FAILURE_SAMPLES per category; the summary shows at most
+ * FAILURE_SAMPLES per category.
+ *
+ * Usage:
+ *   import { recordFailure, failureReport } from '../lib/failures.js';
+ *   recordFailure(response, { slowMs: 45000, tags });
+ *   // handleSummary: summaryOutputs() (lib/summary-output.js) adds failureReport(data)
+ */
+
+import { group } from 'k6';
+import encoding from 'k6/encoding';
+import { Counter } from 'k6/metrics';
+import { formatTable, formatMs, findGroups, withoutGroups } from './summary.js';
+
+// Samples kept per category (per VU while running, in total in the summary)
+const FAILURE_SAMPLES = parseInt(__ENV.FAILURE_SAMPLES || '3', 10);
+
+// Characters of request/response body kept per sample
+const SAMPLE_BODY_LENGTH = 300;
+
+export const FAILURE_SAMPLE_GROUP = 'failure_samples';
+
+export const FAILURE_CATEGORIES = {
+  timeout: 'Timeout',
+  connection_refused: 'Connection refused',
+  auth: 'Auth (401/403)',
+  throttled: 'Throttled (429)',
+  server_error: 'Server error (5xx)',
+  slow: 'Slow success',
+  other: 'Other',
+};
+
+// k6 error codes: request timeout, TCP dial timeout, TCP connection refused
+const TIMEOUT_ERROR_CODES = [1050, 1211];
+const REFUSED_ERROR_CODE = 1212;
+
+const failureCounters = {};
+Object.keys(FAILURE_CATEGORIES).forEach((category) => {
+  failureCounters[category] = new Counter(`failures_${category}`);
+});
+
+// Samples recorded by this VU per category
+const recordedSamples = {};
+
+/**
+ * Failure category of a response, null if it succeeded within slowMs
+ */
+export function classifyFailure(response, slowMs = Infinity) {
+  if (response.status === 0) {
+    if (TIMEOUT_ERROR_CODES.includes(response.error_code) || /timeout/i.test(response.error || '')) {
+      return 'timeout';
+    }
+    if (response.error_code === REFUSED_ERROR_CODE || /connection refused/i.test(response.error || '')) {
+      return 'connection_refused';
+    }
+    return 'other';
+  }
+  if (response.status === 401 || response.status === 403) {
+    return 'auth';
+  }
+  if (response.status === 429) {
+    return 'throttled';
+  }
+  if (response.status >= 500) {
+    return 'server_error';
+  }
+  if (response.status === 200 || response.status === 202) {
+    return response.timings.duration > slowMs ? 'slow' : null;
+  }
+  return 'other';
+}
+
+/**
+ * Truncate a body for a sample
+ */
+function truncate(body) {
+  if (body === null || body === undefined) {
+    return null;
+  }
+  const text = String(body);
+  return text.length > SAMPLE_BODY_LENGTH ? `${text.substring(0, SAMPLE_BODY_LENGTH)}…` : text;
+}
+
+/**
+ * Store a sample in the summary data (see module comment)
+ */
+function storeSample(sample) {
+  const name = encoding.b64encode(JSON.stringify(sample), 'rawurl');
+  group(FAILURE_SAMPLE_GROUP, () => {
+    group(name, () => {});
+  });
+}
+
+/**
+ * Classify a response, count it and sample it if it failed
+ *
+ * Returns the failure category, or null if the request succeeded.
+ */
+export function recordFailure(response, { slowMs = Infinity, tags = {} } = {}) {
+  const category = classifyFailure(response, slowMs);
+  if (!category) {
+    return null;
+  }
+
+  failureCounters[category].add(1, tags);
+
+  recordedSamples[category] = (recordedSamples[category] || 0) + 1;
+  if (recordedSamples[category] <= FAILURE_SAMPLES) {
+    storeSample({
+      category: category,
+      time: new Date().toISOString(),
+      vu: __VU,
+      tags: tags,
+      request: {
+        method: response.request ? response.request.method : null,
+        url: response.request ? response.request.url : null,
+        body: truncate(response.request ? response.request.body : null),
+      },
+      response: {
+        status: response.status,
+        error: response.error || null,
+        errorCode: response.error_code || null,
+        durationMs: Math.round(response.timings.duration),
+        body: truncate(response.body),
+      },
+    });
+  }
+
+  return category;
+}
+
+/**
+ * Failure samples from the summary data, at most FAILURE_SAMPLES per category
+ */
+export function failureSamples(data) {
+  const samples = {};
+
+  // One sample group per group() of the test the failures happened in
+  findGroups(data.root_group, FAILURE_SAMPLE_GROUP).forEach((samplesGroup) => {
+    (samplesGroup.groups || []).forEach((child) => {
+      let sample;
+      try {
+        sample = JSON.parse(encoding.b64decode(child.name, 'rawurl', 's'));
+      } catch (error) {
+        return;
+      }
+      samples[sample.category] = samples[sample.category] || [];
+      samples[sample.category].push(sample);
+    });
+  });
+
+  Object.keys(samples).forEach((category) => {
+    samples[category] = samples[category].sort((a, b) => a.time.localeCompare(b.time)).slice(0, FAILURE_SAMPLES);
+  });
+  return samples;
+}
+
+/**
+ * Summary data without the failure sample groups, at any depth (for textSummary)
+ */
+export function stripFailureSamples(data) {
+  return { ...data, root_group: withoutGroups(data.root_group, FAILURE_SAMPLE_GROUP) };
+}
+
+/**
+ * Failure counts per category: { category: count }
+ */
+export function failureCounts(data) {
+  const counts = {};
+  Object.keys(FAILURE_CATEGORIES).forEach((category) => {
+    const metric = data.metrics[`failures_${category}`];
+    counts[category] = metric ? metric.values.count : 0;
+  });
+  return counts;
+}
+
+/**
+ * Failure table and samples for handleSummary stdout ('' without failures)
+ */
+export function failureReport(data) {
+  const counts = failureCounts(data);
+  const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+  if (total === 0) {
+    return '';
+  }
+
+  const table = formatTable(
+    [{ title: 'category' }, { title: 'count', align: 'right' }],
+    Object.entries(FAILURE_CATEGORIES)
+      .filter(([category]) => counts[category] > 0)
+      .map(([category, label]) => [label, String(counts[category])]),
+  );
+
+  const lines = ['', '  Failures by category', '', table, ''];
+
+  const samples = failureSamples(data);
+  Object.entries(FAILURE_CATEGORIES).filter(([category]) => samples[category]).forEach(([category, label]) => {
+    lines.push(`  ${label} - ${samples[category].length} sample(s)`);
+    samples[category].forEach((sample) => {
+      const status = sample.response.error
+        ? `${sample.response.status} ${sample.response.error}${sample.response.errorCode ? ` (${sample.response.errorCode})` : ''}`
+        : String(sample.response.status);
+      lines.push(`    ${sample.time}  VU ${sample.vu}  ${sample.tags.name || sample.request.url}  status ${status}  ${formatMs(sample.response.durationMs)}`);
+      if (sample.request.body) {
+        lines.push(`      request:  ${sample.request.body}`);
+      }
+      if (sample.response.body) {
+        lines.push(`      response: ${sample.response.body}`);
+      }
+    });
+    lines.push('');
+  });
+
+  return lines.join('\n');
+}
@@ -0,0 +1,242 @@
+/**
+ * Identity Pool
+ *
+ * Simulated Teams users - unique `from.id`, `aadObjectId`, name, locale and
+ * tenant - so the bot's per-user caching, rate limiting and n8n user lookups
+ * see many users instead of the single TEST_USER_*.
+ *
+ * Pool source:
+ *   - IDENTITY_POOL_SIZE=<n>: generated identities (deterministic, so every
+ *     VU and every run sees the same users), locales and tenants assigned
+ *     round-robin from IDENTITY_LOCALES / IDENTITY_TENANTS
+ *   - IDENTITY_POOL_FILE=<path>: JSON array or CSV with the columns
+ *     `id,aadObjectId,name,locale,tenantId,cohort,weight` (id required)
+ *   - neither: the single TEST_USER_* identity (previous behaviour)
+ *
+ * Assignment (IDENTITY_MODE):
+ *   - vu:        one identity per VU (VU n → identity n, wrapping around)
+ *   - iteration: sampled per iteration by IDENTITY_DISTRIBUTION
+ *       uniform   every identity equally often
+ *       hot-tail  IDENTITY_HOT_USERS users send IDENTITY_HOT_SHARE of the
+ *                 traffic, the long tail shares the rest
+ *       zipf      weight 1/rank^IDENTITY_ZIPF_EXPONENT
+ *
+ * The first IDENTITY_HOT_USERS identities form the `hot` cohort, the rest
+ * the `tail` cohort (file entries may set their own `cohort` and `weight`).
+ * Requests are tagged with `cohort`, so hot-user effects show up per cohort.
+ *
+ * Usage (init context only - SharedArray cannot be created in VU code):
+ *   import { loadIdentityPool, createIdentityAssigner, identityOptions, identityTags } from '../lib/identity-pool.js';
+ *   const identities = loadIdentityPool();
+ *   const nextIdentity = createIdentityAssigner(identities);
+ *   const identity = nextIdentity();
+ *   createMessageActivity(text, { ...identityOptions(identity) });
+ */
+
+import { SharedArray } from 'k6/data';
+import { TENANT_ID, createUser } from './activity-factory.js';
+import { createWeightedPicker, parseCsv } from './prompt-corpus.js';
+
+const IDENTITY_POOL_SIZE = parseInt(__ENV.IDENTITY_POOL_SIZE || '0', 10);
+const IDENTITY_POOL_FILE = __ENV.IDENTITY_POOL_FILE || '';
+const IDENTITY_MODE = __ENV.IDENTITY_MODE || 'vu';
+const IDENTITY_DISTRIBUTION = __ENV.IDENTITY_DISTRIBUTION || 'hot-tail';
+const IDENTITY_HOT_USERS = parseInt(__ENV.IDENTITY_HOT_USERS || '5', 10);
+const IDENTITY_HOT_SHARE = parseFloat(__ENV.IDENTITY_HOT_SHARE || '0.5');
+const IDENTITY_ZIPF_EXPONENT = parseFloat(__ENV.IDENTITY_ZIPF_EXPONENT || '1');
+const IDENTITY_LOCALES = (__ENV.IDENTITY_LOCALES || 'en-US,de-DE').split(',').map((locale) => locale.trim());
+const IDENTITY_TENANTS = (__ENV.IDENTITY_TENANTS || TENANT_ID).split(',').map((tenant) => tenant.trim());
+
+export const IDENTITY_POOL_ENABLED = IDENTITY_POOL_SIZE > 0 || IDENTITY_POOL_FILE !== '';
+
+/**
+ * Deterministic UUID-shaped AAD object ID for a pool index
+ */
+function aadObjectId(index) {
+  return `00000000-0000-4000-8000-${(index + 1).toString(16).padStart(12, '0')}`;
+}
+
+/**
+ * Generate `size` identities
+ */
+function generateIdentities(size) {
+  const width = Math.max(4, String(size).length);
+  return Array.from({ length: size }, (_, index) => {
+    const number = String(index + 1).padStart(width, '0');
+    return {
+      id: `29:load-test-user-${number}`,
+      aadObjectId: aadObjectId(index),
+      name: `Load Test User ${number}`,
+      locale: IDENTITY_LOCALES[index % IDENTITY_LOCALES.length],
+      tenantId: IDENTITY_TENANTS[index % IDENTITY_TENANTS.length],
+    };
+  });
+}
+
+/**
+ * Pick weight of the identity at `rank` (0-based) in a pool of `size`
+ */
+function distributionWeight(rank, size) {
+  switch (IDENTITY_DISTRIBUTION) {
+    case 'uniform':
+      return 1;
+    case 'zipf':
+      return 1 / Math.pow(rank + 1, IDENTITY_ZIPF_EXPONENT);
+    case 'hot-tail': {
+      const hotUsers = Math.min(IDENTITY_HOT_USERS, size);
+      if (hotUsers === size) {
+        return 1;
+      }
+      return rank < hotUsers
+        ? IDENTITY_HOT_SHARE / hotUsers
+        : (1 - IDENTITY_HOT_SHARE) / (size - hotUsers);
+    }
+    default:
+      throw new Error(`Unknown IDENTITY_DISTRIBUTION "${IDENTITY_DISTRIBUTION}" (uniform, hot-tail, zipf)`);
+  }
+}
+
+/**
+ * Validate and complete pool entries (defaults, cohort, weight)
+ */
+export function normalizeIdentities(entries, source) {
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error(`Identity pool ${source} is empty or not an array`);
+  }
+
+  return entries.map((entry, index) => {
+    if (!entry.id) {
+      throw new Error(`Identity pool ${source}: entry ${index + 1} needs an "id"`);
+    }
+
+    const weight = entry.weight === undefined || entry.weight === ''
+      ? distributionWeight(index, entries.length)
+      : Number(entry.weight);
+    if (!(weight > 0)) {
+      throw new Error(`Identity pool ${source}: entry ${index + 1} has invalid weight "${entry.weight}"`);
+    }
+
+    return {
+      id: entry.id,
+      aadObjectId: entry.aadObjectId || aadObjectId(index),
+      name: entry.name || entry.id,
+      locale: entry.locale || IDENTITY_LOCALES[index % IDENTITY_LOCALES.length],
+      tenantId: entry.tenantId || IDENTITY_TENANTS[index % IDENTITY_TENANTS.length],
+      cohort: entry.cohort || (index < IDENTITY_HOT_USERS ? 'hot' : 'tail'),
+      weight: weight,
+    };
+  });
+}
+
+/**
+ * Load the identity pool (see module comment for the sources)
+ */
+export function loadIdentityPool() {
+  if (!['vu', 'iteration'].includes(IDENTITY_MODE)) {
+    throw new Error(`Unknown IDENTITY_MODE "${IDENTITY_MODE}" (vu, iteration)`);
+  }
+
+  if (IDENTITY_POOL_FILE) {
+    return new SharedArray('identity-pool', () => {
+      const content = open(IDENTITY_POOL_FILE);
+      const entries = IDENTITY_POOL_FILE.toLowerCase().endsWith('.csv') ? parseCsv(content) : JSON.parse(content);
+      return normalizeIdentities(entries, IDENTITY_POOL_FILE);
+    });
+  }
+
+  if (IDENTITY_POOL_SIZE > 0) {
+    return new SharedArray('identity-pool', () => normalizeIdentities(generateIdentities(IDENTITY_POOL_SIZE), 'generated'));
+  }
+
+  const user = createUser();
+  return [{
+    id: user.id,
+    aadObjectId: user.aadObjectId,
+    name: user.name,
+    locale: 'en-US',
+    tenantId: TENANT_ID,
+    cohort: 'default',
+    weight: 1,
+  }];
+}
+
+/**
+ * Create a function returning the identity for the current request (IDENTITY_MODE)
+ */
+export function createIdentityAssigner(identities) {
+  if (IDENTITY_MODE === 'iteration') {
+    return createWeightedPicker(identities);
+  }
+  return () => identities[(__VU - 1) % identities.length];
+}
+
+/**
+ * Activity factory options for an identity: { from, locale, tenantId }
+ */
+export function identityOptions(identity) {
+  return {
+    from: createUser({ id: identity.id, name: identity.name, aadObjectId: identity.aadObjectId }),
+    locale: identity.locale,
+    tenantId: identity.tenantId,
+  };
+}
+
+/**
+ * Request tags for an identity
+ */
+export function identityTags(identity) {
+  return { cohort: identity.cohort };
+}
+
+/**
+ * Distinct cohorts in the pool
+ */
+export function getCohorts(identities) {
+  const cohorts = [];
+  for (let i = 0; i < identities.length; i++) {
+    if (!cohorts.includes(identities[i].cohort)) {
+      cohorts.push(identities[i].cohort);
+    }
+  }
+  return cohorts;
+}
+
+/**
+ * Build one threshold per cohort for a metric, e.g.
+ *   cohortThresholds(identities, 'http_req_duration', ['p(95)<60000'])
+ *   → { 'http_req_duration{cohort:hot}': ['p(95)<60000'], ... }
+ *
+ * Empty without a pool - the single default identity is already the total.
+ */
+export function cohortThresholds(identities, metric, thresholds) {
+  const result = {};
+  if (!IDENTITY_POOL_ENABLED) {
+    return result;
+  }
+  getCohorts(identities).forEach((cohort) => {
+    result[`${metric}{cohort:${cohort}}`] = thresholds;
+  });
+  return result;
+}
+
+/**
+ * One-line description of the pool for setup logs
+ */
+export function describeIdentityPool(identities) {
+  if (!IDENTITY_POOL_ENABLED) {
+    return `single user ${identities[0].id}`;
+  }
+
+  const cohorts = getCohorts(identities).map((cohort) => (
+    `${cohort} ${identities.filter((identity) => identity.cohort === cohort).length}`
+  ));
+  const tenants = [];
+  for (let i = 0; i < identities.length; i++) {
+    if (!tenants.includes(identities[i].tenantId)) {
+      tenants.push(identities[i].tenantId);
+    }
+  }
+  const assignment = IDENTITY_MODE === 'iteration' ? `per iteration, ${IDENTITY_DISTRIBUTION}` : 'per VU';
+
+  return `${identities.length} users (${assignment}), cohorts ${cohorts.join(' / ')}, ${tenants.length} tenant(s)`;
+}
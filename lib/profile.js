@@ -0,0 +1,129 @@
+/**
+ * Environment Profile Guard
+ *
+ * Resolves the profile selected with `--env PROFILE=<name>` (see
+ * config/profiles.js) and refuses to start a test that would exceed the
+ * profile's limits or hit production without CONFIRM_PROD=true.
+ *
+ * Limits are checked against the load a test schedules in `options`:
+ *   - VUs: stage targets, `vus`, or per scenario (summed, scenarios may overlap)
+ *   - RPS: arrival-rate scenarios (iterations/s times the requests each
+ *     iteration sends, see `requestsPerIteration`) and the global `rps` option
+ * Closed-model tests (looping VUs) have no fixed request rate, so only their
+ * VUs are checked. Load set with k6 CLI flags (--vus, --stage) is not seen.
+ *
+ * Usage:
+ *   import { PROFILE, assertProfileAllows } from '../lib/profile.js';
+ *   export const options = { ... };
+ *   assertProfileAllows(options);
+ *   // Tests whose iterations send several requests declare how many:
+ *   assertProfileAllows(options, { requestsPerIteration: 7 });
+ */
+
+import { resolveProfile } from '../config/profiles.js';
+import { parseDuration } from './stages.js';
+
+export const PROFILE = resolveProfile(__ENV.PROFILE || 'local', __ENV);
+
+/**
+ * Highest stage target, or the fallback when there are no stages
+ */
+function maxTarget(stages = [], fallback = 0) {
+  return stages.reduce((max, stage) => Math.max(max, stage.target), fallback);
+}
+
+/**
+ * Peak VUs and iterations/s of a single scenario (in `rps`, multiplied by
+ * the requests per iteration in scheduledLoad())
+ */
+function scenarioLoad(scenario) {
+  switch (scenario.executor) {
+    case 'constant-vus':
+    case 'per-vu-iterations':
+    case 'shared-iterations':
+      return { vus: scenario.vus || 1, rps: null };
+    case 'ramping-vus':
+      return { vus: maxTarget(scenario.stages, scenario.startVUs || 1), rps: null };
+    case 'constant-arrival-rate':
+      return {
+        vus: scenario.maxVUs || scenario.preAllocatedVUs,
+        rps: scenario.rate / (parseDuration(scenario.timeUnit || '1s') / 1000),
+      };
+    case 'ramping-arrival-rate':
+      return {
+        vus: scenario.maxVUs || scenario.preAllocatedVUs,
+        rps: maxTarget(scenario.stages, scenario.startRate || 0) / (parseDuration(scenario.timeUnit || '1s') / 1000),
+      };
+    case 'externally-controlled':
+      return { vus: scenario.maxVUs || scenario.vus || 1, rps: null };
+    default:
+      throw new Error(`Unknown executor "${scenario.executor}" - cannot check profile limits`);
+  }
+}
+
+/**
+ * Peak VUs and requests/s scheduled by the test options
+ *
+ * Arrival-rate scenarios schedule iterations; requestsPerIteration is the
+ * number of bot requests one iteration sends. The global `rps` option caps
+ * HTTP requests directly. rps is null when no scenario sets a rate.
+ */
+export function scheduledLoad(options, requestsPerIteration = 1) {
+  let vus = 0;
+  let rps = null;
+
+  if (options.scenarios) {
+    Object.values(options.scenarios).forEach((scenario) => {
+      const load = scenarioLoad(scenario);
+      vus += load.vus;
+      if (load.rps !== null) {
+        rps = (rps || 0) + load.rps * requestsPerIteration;
+      }
+    });
+  } else if (options.stages) {
+    vus = maxTarget(options.stages);
+  } else {
+    vus = options.vus || 1;
+  }
+
+  if (options.rps) {
+    rps = rps === null ? options.rps : Math.min(rps, options.rps);
+  }
+
+  return { vus, rps };
+}
+
+/**
+ * Reasons the test may not run against the profile (empty when allowed)
+ *
+ * settings: { profile, env, requestsPerIteration } (defaults: PROFILE,
+ * __ENV, 1 request per iteration)
+ */
+export function profileViolations(options, { profile = PROFILE, env = __ENV, requestsPerIteration = 1 } = {}) {
+  const violations = [];
+  const load = scheduledLoad(options, requestsPerIteration);
+
+  if (load.vus > profile.maxVus) {
+    violations.push(`schedules ${load.vus} VUs, profile "${profile.name}" allows at most ${profile.maxVus}`);
+  }
+  if (load.rps !== null && load.rps > profile.maxRps) {
+    violations.push(`schedules ${Math.round(load.rps * 100) / 100} requests/s, profile "${profile.name}" allows at most ${profile.maxRps}`);
+  }
+  if (profile.production && env.CONFIRM_PROD !== 'true') {
+    violations.push(`${profile.endpoint} is production - set CONFIRM_PROD=true to run against it`);
+  }
+
+  return violations;
+}
+
+/**
+ * Throw (aborting the test in the init stage) if the profile does not allow the options
+ *
+ * settings: see profileViolations()
+ */
+export function assertProfileAllows(options, settings = {}) {
+  const violations = profileViolations(options, settings);
+  if (violations.length > 0) {
+    throw new Error(`Refusing to start: ${violations.join('; ')}`);
+  }
+}
@@ -0,0 +1,213 @@
+/**
+ * Prompt Corpus
+ *
+ * Loads the prompts sent by the load tests from a JSON or CSV file into a
+ * k6 SharedArray (parsed once, shared read-only by all VUs) and picks them
+ * by weight.
+ *
+ * Entry format:
+ *   - text:     message sent to the bot (required)
+ *   - category: category tag used for metric tags and thresholds (required)
+ *   - intent:   expected intent label (default: unknown)
+ *   - weight:   relative pick weight (default: 1)
+ *   - expect:   answer expectations (optional, see lib/response-validation.js)
+ *
+ * JSON: an array of entries. CSV: a header row `text,category,intent,weight`
+ * (plus an optional `expect` column holding JSON).
+ *
+ * Setting TEST_MESSAGE replaces the corpus with that single message
+ * (category `custom`).
+ *
+ * Usage (init context only - SharedArray cannot be created in VU code):
+ *   import { loadPromptCorpus, createPromptPicker } from '../lib/prompt-corpus.js';
+ *   const prompts = loadPromptCorpus();
+ *   const pickPrompt = createPromptPicker(prompts);
+ */
+
+import { SharedArray } from 'k6/data';
+
+// Resolves to data/prompts.json from both tests/ and lib/
+export const DEFAULT_CORPUS = '../data/prompts.json';
+
+/**
+ * Split one CSV line into fields (supports quoted fields and "" escapes)
+ */
+function parseCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  fields.push(field);
+  return fields.map((value) => value.trim());
+}
+
+/**
+ * Parse CSV content with a header row into entry objects
+ */
+export function parseCsv(content) {
+  const lines = content.split(/\r?\n/).filter((line) => line.trim() !== '');
+  const header = parseCsvLine(lines[0]);
+
+  return lines.slice(1).map((line) => {
+    const fields = parseCsvLine(line);
+    const entry = {};
+    header.forEach((column, index) => {
+      entry[column] = fields[index];
+    });
+    return entry;
+  });
+}
+
+/**
+ * Validate and normalize a corpus entry
+ */
+function normalizeEntry(entry, index, path) {
+  if (!entry.text || !entry.category) {
+    throw new Error(`Prompt corpus ${path}: entry ${index + 1} needs "text" and "category"`);
+  }
+
+  const weight = entry.weight === undefined || entry.weight === '' ? 1 : Number(entry.weight);
+  if (!(weight > 0)) {
+    throw new Error(`Prompt corpus ${path}: entry ${index + 1} has invalid weight "${entry.weight}"`);
+  }
+
+  let expect = entry.expect;
+  if (typeof expect === 'string') {
+    try {
+      expect = expect.trim() === '' ? undefined : JSON.parse(expect);
+    } catch (error) {
+      throw new Error(`Prompt corpus ${path}: entry ${index + 1} has invalid "expect" JSON: ${error.message}`);
+    }
+  }
+
+  return {
+    ...entry,
+    expect: expect,
+    text: entry.text,
+    category: entry.category,
+    intent: entry.intent || 'unknown',
+    weight: weight,
+  };
+}
+
+/**
+ * Parse corpus file content (JSON or CSV, chosen by file extension)
+ */
+export function parseCorpus(content, path) {
+  const entries = path.toLowerCase().endsWith('.csv') ? parseCsv(content) : JSON.parse(content);
+
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error(`Prompt corpus ${path} is empty or not an array`);
+  }
+
+  return entries.map((entry, index) => normalizeEntry(entry, index, path));
+}
+
+/**
+ * Load the prompt corpus (PROMPT_CORPUS env var overrides the path)
+ */
+export function loadPromptCorpus(path = __ENV.PROMPT_CORPUS || DEFAULT_CORPUS) {
+  if (__ENV.TEST_MESSAGE) {
+    return [normalizeEntry({ text: __ENV.TEST_MESSAGE, category: 'custom', intent: 'custom' }, 0, 'TEST_MESSAGE')];
+  }
+
+  return new SharedArray('prompt-corpus', () => parseCorpus(open(path), path));
+}
+
+/**
+ * Create a function that picks a random entry by its `weight`
+ */
+export function createWeightedPicker(entries) {
+  const cumulative = [];
+  let total = 0;
+
+  for (let i = 0; i < entries.length; i++) {
+    total += entries[i].weight;
+    cumulative.push(total);
+  }
+
+  return function pickEntry() {
+    const target = Math.random() * total;
+    let low = 0;
+    let high = cumulative.length - 1;
+
+    // Binary search for the first cumulative weight above target
+    while (low < high) {
+      const mid = Math.floor((low + high) / 2);
+      if (cumulative[mid] > target) {
+        high = mid;
+      } else {
+        low = mid + 1;
+      }
+    }
+
+    return entries[low];
+  };
+}
+
+/**
+ * Create a function that picks a random prompt by weight
+ */
+export function createPromptPicker(prompts) {
+  return createWeightedPicker(prompts);
+}
+
+/**
+ * Distinct categories in the corpus
+ */
+export function getCategories(prompts) {
+  const categories = [];
+  for (let i = 0; i < prompts.length; i++) {
+    if (!categories.includes(prompts[i].category)) {
+      categories.push(prompts[i].category);
+    }
+  }
+  return categories;
+}
+
+/**
+ * Build one threshold per category for a metric, e.g.
+ *   categoryThresholds(prompts, 'http_req_duration', ['p(95)<60000'])
+ *   → { 'http_req_duration{category:greeting}': ['p(95)<60000'], ... }
+ *
+ * Thresholds on tagged sub-metrics also make each category show up in the summary.
+ */
+export function categoryThresholds(prompts, metric, thresholds) {
+  const result = {};
+  getCategories(prompts).forEach((category) => {
+    result[`${metric}{category:${category}}`] = thresholds;
+  });
+  return result;
+}
+
+/**
+ * Request tags for a prompt
+ */
+export function promptTags(prompt) {
+  return {
+    category: prompt.category,
+    intent: prompt.intent,
+  };
+}
@@ -0,0 +1,105 @@
+/**
+ * Reply Capture
+ *
+ * Fetches the bot's real replies from the mock Bot Connector
+ * (scripts/mock-connector.js) and records end-to-end reply latency, i.e. the
+ * time from sending the activity until the bot's answer arrives, not just
+ * the HTTP 200/202 acknowledgement.
+ *
+ * Enable with REPLY_CAPTURE=true and point the activities at the mock
+ * connector with SERVICE_URL (e.g. http://localhost:3979) - the replies are
+ * polled from the same SERVICE_URL the activities carry (lib/activity-factory.js),
+ * so reply capture refuses to start without it.
+ *
+ * Metrics:
+ *   - reply_latency:  send → first reply message (ms)
+ *   - reply_length:   characters in the reply text
+ *   - reply_received: rate of activities that got a reply within REPLY_TIMEOUT
+ *   - reply_valid:    rate of replies that passed the content checks
+ *
+ * Usage:
+ *   import { REPLY_CAPTURE_ENABLED, captureReply } from '../lib/reply-capture.js';
+ *   const sentAt = Date.now();
+ *   sendActivity(activity);
+ *   if (REPLY_CAPTURE_ENABLED) captureReply(activity.id, sentAt, tags);
+ */
+
+import http from 'k6/http';
+import { check } from 'k6';
+import { Rate, Trend } from 'k6/metrics';
+import { SERVICE_URL } from './activity-factory.js';
+import { ERROR_PHRASES } from './response-validation.js';
+
+export const REPLY_CAPTURE_ENABLED = __ENV.REPLY_CAPTURE === 'true';
+
+// The default SERVICE_URL is Teams - the bot would send its replies there
+if (REPLY_CAPTURE_ENABLED && !__ENV.SERVICE_URL) {
+  throw new Error('REPLY_CAPTURE=true needs SERVICE_URL pointing at the mock connector (npm run mock:connector), e.g. SERVICE_URL=http://localhost:3979');
+}
+
+export const CONNECTOR_URL = SERVICE_URL.replace(/\/$/, '');
+
+// Maximum time to wait for a reply in ms (AI agents can take up to 60s)
+const REPLY_TIMEOUT = parseInt(__ENV.REPLY_TIMEOUT || '60000', 10);
+
+// Custom metrics
+const replyLatency = new Trend('reply_latency', true);
+const replyLength = new Trend('reply_length');
+const replyReceived = new Rate('reply_received');
+const replyValid = new Rate('reply_valid');
+
+/**
+ * Long-poll the mock connector until a reply for the activity arrives or the timeout expires
+ */
+export function waitForReply(activityId, sentAt, timeout = REPLY_TIMEOUT) {
+  const url = `${CONNECTOR_URL}/replies/${encodeURIComponent(activityId)}`;
+
+  while (Date.now() - sentAt < timeout) {
+    const remaining = timeout - (Date.now() - sentAt);
+    const response = http.get(`${url}?wait=${Math.ceil(remaining)}`, {
+      tags: { name: 'PollReply' },
+      timeout: `${Math.ceil(remaining) + 5000}ms`,
+    });
+
+    if (response.status !== 200) {
+      console.error(`Reply poll failed: ${response.status} - ${response.body?.substring(0, 200)}`);
+      return null;
+    }
+
+    const replies = response.json('replies');
+    if (replies.length > 0) {
+      return {
+        reply: replies[0].activity,
+        latency: Date.now() - sentAt,
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Wait for the bot's reply and record latency and content metrics
+ */
+export function captureReply(activityId, sentAt, tags = {}) {
+  const result = waitForReply(activityId, sentAt);
+
+  replyReceived.add(result !== null, tags);
+  if (!result) {
+    console.warn(`No reply for ${activityId} within ${REPLY_TIMEOUT}ms`);
+    return null;
+  }
+
+  const text = result.reply.text || '';
+  replyLatency.add(result.latency, tags);
+  replyLength.add(text.length, tags);
+
+  const valid = check(result.reply, {
+    'reply has content': (reply) => text.trim() !== '' || (reply.attachments || []).length > 0,
+    'reply is not an error message': () => !ERROR_PHRASES.some((phrase) => text.toLowerCase().includes(phrase)),
+  }, tags);
+
+  replyValid.add(valid, tags);
+
+  return result;
+}
@@ -0,0 +1,647 @@
+/**
+ * HTML Report
+ *
+ * Renders a self-contained, single-file HTML report from the handleSummary()
+ * data - inline CSS and SVG charts, no external assets, so it can be shared
+ * and opened offline:
+ *   - overview (requests, throughput, latency, errors, checks)
+ *   - latency percentiles and requests/errors over time (lib/timeline.js)
+ *   - Gauges recorded per timeline bucket over time (lib/server-metrics.js)
+ *   - responses by status code
+ *   (request figures count the bot requests, tagged `traffic:bot`)
+ *   - per-tag tables for every tagged http_req_duration sub-metric
+ *     (category, phase, window, spike, …)
+ *   - thresholds, checks and custom metrics
+ *   - run configuration (endpoint, profile, load shape, prompt corpus)
+ *
+ * Set HTML_REPORT=false to skip the report.
+ *
+ * Usage:
+ *   import { addReportMetrics, stripReportMetrics, htmlReport } from '../lib/report.js';
+ *   export const options = { ... };
+ *   const TIMELINE = addReportMetrics(options);
+ *   // tags: { ...TIMELINE.tags() }
+ *   // handleSummary: summaryOutputs(data, { test, timestamp, timeline: TIMELINE, options, prompts })
+ *   // (lib/summary-output.js) adds the text summary and htmlReport()
+ */
+
+import { createTimeline, TIMELINE_TAG } from './timeline.js';
+import { PROFILE } from './profile.js';
+import { stripFailureSamples } from './failures.js';
+import { stripTraceRecords } from './tracing.js';
+import { DEFAULT_CORPUS, getCategories } from './prompt-corpus.js';
+import { formatMs, formatPercent, formatNumber, metricValues } from './summary.js';
+
+export const HTML_REPORT_ENABLED = __ENV.HTML_REPORT !== 'false';
+
+// Status codes broken down in the report (0 = no response, e.g. timeout or connection refused)
+const STATUS_CODES = [0, 200, 202, 400, 401, 403, 404, 408, 413, 429, 500, 502, 503, 504];
+
+// Bot endpoint requests (lib/bot-client.js) - the request figures of the
+// reports leave token mints, reply polls and server scrapes out
+const BOT_TRAFFIC = 'traffic:bot';
+
+// Names of the helper sub-metrics added by addReportThresholds() - they only
+// exist to feed the report (set again in the handleSummary() init context)
+const reportSubmetrics = new Set();
+
+// Built-in k6 metrics - everything else is listed under custom metrics
+const BUILTIN_METRICS = [
+  'checks', 'data_received', 'data_sent', 'dropped_iterations', 'group_duration',
+  'http_req_blocked', 'http_req_connecting', 'http_req_duration', 'http_req_failed',
+  'http_req_receiving', 'http_req_sending', 'http_req_tls_handshaking', 'http_req_waiting',
+  'http_reqs', 'iteration_duration', 'iterations', 'vus', 'vus_max',
+];
+
+const LATENCY_SERIES = [
+  { key: 'med', label: 'p50', color: '#2b8a3e' },
+  { key: 'p(90)', label: 'p90', color: '#1971c2' },
+  { key: 'p(95)', label: 'p95', color: '#e67700' },
+  { key: 'p(99)', label: 'p99', color: '#c92a2a' },
+];
+
+/**
+ * Add the timeline and status code thresholds the report reads, return the timeline
+ *
+ * Pass { timeline: false } for single-shot tests - returns null then.
+ */
+export function addReportMetrics(options, { timeline: withTimeline = true } = {}) {
+  const timeline = withTimeline ? createTimeline(options) : null;
+  const statusThresholds = {};
+  STATUS_CODES.forEach((status) => {
+    statusThresholds[botMetric(`http_reqs{status:${status}}`)] = ['count>=0'];
+  });
+
+  addReportThresholds(options, {
+    ...(timeline ? timeline.thresholds : {}),
+    ...statusThresholds,
+    [botMetric('http_reqs')]: ['count>=0'],
+    [botMetric('http_req_duration')]: ['max>=0'],
+    [botMetric('http_req_failed')]: ['rate>=0'],
+  });
+  return timeline;
+}
+
+/**
+ * Sub-metric of the bot requests: 'http_reqs' → 'http_reqs{traffic:bot}',
+ * 'http_reqs{status:200}' → 'http_reqs{status:200,traffic:bot}'
+ */
+function botMetric(name) {
+  return name.endsWith('}') ? `${name.slice(0, -1)},${BOT_TRAFFIC}}` : `${name}{${BOT_TRAFFIC}}`;
+}
+
+/**
+ * Values of an HTTP metric for the bot requests only (all requests for
+ * summaries without the bot sub-metric)
+ */
+export function botMetricValues(data, name) {
+  return metricValues(data, data.metrics[botMetric(name)] ? botMetric(name) : name);
+}
+
+/**
+ * Add always-passing helper thresholds that only expose sub-metrics for the
+ * report - they are left out of the text summary and the report's tables.
+ * Thresholds the test sets itself are kept and still listed.
+ */
+export function addReportThresholds(options, thresholds) {
+  options.thresholds = options.thresholds || {};
+  Object.keys(thresholds).forEach((name) => {
+    if (!options.thresholds[name]) {
+      options.thresholds[name] = thresholds[name];
+      reportSubmetrics.add(name);
+    }
+  });
+}
+
+/**
+ * Summary data without the report's helper sub-metrics, the failure
+ * sample groups of lib/failures.js and the trace records of lib/tracing.js
+ * (for textSummary)
+ */
+export function stripReportMetrics(data) {
+  const metrics = {};
+  Object.entries(data.metrics).forEach(([name, metric]) => {
+    if (!reportSubmetrics.has(name)) {
+      metrics[name] = metric;
+    }
+  });
+  return stripTraceRecords(stripFailureSamples({ ...data, metrics }));
+}
+
+/**
+ * Escape text for HTML
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Format an offset in ms as m:ss
+ */
+function formatOffset(ms) {
+  const seconds = Math.round(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Round up to a "nice" axis maximum (1, 2, 5 × 10^n)
+ */
+function niceMax(value) {
+  if (!value || value <= 0) {
+    return 1;
+  }
+  const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+  const step = [1, 2, 5, 10].find((factor) => factor * magnitude >= value);
+  return step * magnitude;
+}
+
+/**
+ * HTML table - cells are escaped unless passed as { html }
+ */
+function htmlTable(columns, rows) {
+  const cell = (value) => (value && typeof value === 'object' ? value.html : escapeHtml(value));
+  const head = columns.map((column) => `<th class="${column.align || 'left'}">${escapeHtml(column.title)}</th>`).join('');
+  const body = rows.map((row) => `<tr>${row.map((value, index) => (
+    `<td class="${columns[index].align || 'left'}">${cell(value)}</td>`
+  )).join('')}</tr>`).join('\n');
+
+  return `<table><thead><tr>${head}</tr></thead><tbody>\n${body}\n</tbody></table>`;
+}
+
+/**
+ * Shared SVG frame: y grid with labels and x labels
+ */
+function chartFrame(width, height, pad, yMax, formatY, xLabels) {
+  const plotHeight = height - pad.top - pad.bottom;
+  const parts = [];
+
+  for (let i = 0; i <= 4; i++) {
+    const y = pad.top + plotHeight - (plotHeight * i) / 4;
+    parts.push(`<line x1="${pad.left}" y1="${y}" x2="${width - pad.right}" y2="${y}" class="grid"/>`);
+    parts.push(`<text x="${pad.left - 6}" y="${y + 4}" class="axis" text-anchor="end">${escapeHtml(formatY((yMax * i) / 4))}</text>`);
+  }
+
+  xLabels.forEach(({ x, label }) => {
+    parts.push(`<text x="${x.toFixed(1)}" y="${height - pad.bottom + 16}" class="axis" text-anchor="middle">${escapeHtml(label)}</text>`);
+  });
+
+  return parts.join('');
+}
+
+/**
+ * Line chart over the timeline buckets; null points break the line
+ */
+function lineChart(points, series, formatY) {
+  const width = 860;
+  const height = 260;
+  const pad = { top: 12, right: 16, bottom: 28, left: 64 };
+  const plotWidth = width - pad.left - pad.right;
+  const plotHeight = height - pad.top - pad.bottom;
+
+  const values = series.flatMap((s) => points.map((point) => point[s.key])).filter((value) => typeof value === 'number');
+  const yMax = niceMax(Math.max(0, ...values));
+  const x = (index) => pad.left + (points.length > 1 ? (plotWidth * index) / (points.length - 1) : plotWidth / 2);
+  const y = (value) => pad.top + plotHeight - (plotHeight * value) / yMax;
+
+  const labelEvery = Math.max(1, Math.ceil(points.length / 10));
+  const xLabels = points
+    .map((point, index) => ({ x: x(index), label: point.label, index }))
+    .filter((label) => label.index % labelEvery === 0);
+
+  const lines = series.map((s) => {
+    const segments = [];
+    let current = [];
+    points.forEach((point, index) => {
+      if (typeof point[s.key] === 'number') {
+        current.push(`${x(index).toFixed(1)},${y(point[s.key]).toFixed(1)}`);
+      } else if (current.length > 0) {
+        segments.push(current);
+        current = [];
+      }
+    });
+    if (current.length > 0) {
+      segments.push(current);
+    }
+
+    return segments.map((segment) => (segment.length === 1
+      ? `<circle cx="${segment[0].split(',')[0]}" cy="${segment[0].split(',')[1]}" r="3" fill="${s.color}"/>`
+      : `<polyline points="${segment.join(' ')}" fill="none" stroke="${s.color}" stroke-width="2"/>`
+    )).join('');
+  }).join('');
+
+  const legend = series.map((s) => `<span class="legend"><i style="background:${s.color}"></i>${escapeHtml(s.label)}</span>`).join('');
+
+  return `<svg viewBox="0 0 ${width} ${height}" class="chart" role="img">${chartFrame(width, height, pad, yMax, formatY, xLabels)}${lines}</svg><div>${legend}</div>`;
+}
+
+/**
+ * Stacked bar chart (ok / failed) over the timeline buckets
+ */
+function barChart(points, formatY) {
+  const width = 860;
+  const height = 220;
+  const pad = { top: 12, right: 16, bottom: 28, left: 64 };
+  const plotWidth = width - pad.left - pad.right;
+  const plotHeight = height - pad.top - pad.bottom;
+
+  const yMax = niceMax(Math.max(0, ...points.map((point) => point.ok + point.failed)));
+  const slot = plotWidth / Math.max(points.length, 1);
+  const barWidth = Math.max(1, slot * 0.7);
+  const h = (value) => (plotHeight * value) / yMax;
+
+  const labelEvery = Math.max(1, Math.ceil(points.length / 10));
+  const xLabels = points
+    .map((point, index) => ({ x: pad.left + slot * index + slot / 2, label: point.label, index }))
+    .filter((label) => label.index % labelEvery === 0);
+
+  const bars = points.map((point, index) => {
+    const left = (pad.left + slot * index + (slot - barWidth) / 2).toFixed(1);
+    const bottom = pad.top + plotHeight;
+    const okHeight = h(point.ok);
+    const failedHeight = h(point.failed);
+    return `<rect x="${left}" y="${(bottom - okHeight).toFixed(1)}" width="${barWidth.toFixed(1)}" height="${okHeight.toFixed(1)}" fill="#40c057"/>`
+      + `<rect x="${left}" y="${(bottom - okHeight - failedHeight).toFixed(1)}" width="${barWidth.toFixed(1)}" height="${failedHeight.toFixed(1)}" fill="#fa5252"/>`;
+  }).join('');
+
+  const legend = '<span class="legend"><i style="background:#40c057"></i>ok</span><span class="legend"><i style="background:#fa5252"></i>failed</span>';
+
+  return `<svg viewBox="0 0 ${width} ${height}" class="chart" role="img">${chartFrame(width, height, pad, yMax, formatY, xLabels)}${bars}</svg><div>${legend}</div>`;
+}
+
+/**
+ * Per-bucket latency and request values from the timeline sub-metrics
+ */
+function timelinePoints(data, timeline) {
+  const bucketSeconds = timeline.bucketMs / 1000;
+
+  return timeline.buckets.map((bucket, index) => {
+    const duration = metricValues(data, `http_req_duration{${TIMELINE_TAG}:${bucket}}`);
+    const failed = metricValues(data, `http_req_failed{${TIMELINE_TAG}:${bucket}}`);
+    const requests = metricValues(data, `http_reqs{${TIMELINE_TAG}:${bucket}}`).count || 0;
+    const failedRequests = requests * (failed.rate || 0);
+
+    const point = {
+      label: formatOffset(index * timeline.bucketMs),
+      ok: (requests - failedRequests) / bucketSeconds,
+      failed: failedRequests / bucketSeconds,
+    };
+    LATENCY_SERIES.forEach((s) => {
+      point[s.key] = requests > 0 ? duration[s.key] : null;
+    });
+    return point;
+  });
+}
+
+/**
+ * Line chart per Gauge with timeline bucket sub-metrics (max per bucket)
+ */
+function gaugeCharts(data, timeline) {
+  const names = Object.keys(data.metrics).sort().filter((name) => (
+    data.metrics[name].type === 'gauge'
+    && !name.includes('{')
+    && timeline.buckets.some((bucket) => data.metrics[`${name}{${TIMELINE_TAG}:${bucket}}`])
+  ));
+
+  return names.map((name) => {
+    const format = data.metrics[name].contains === 'time' ? formatMs : (value) => formatNumber(value, 1);
+    const points = timeline.buckets.map((bucket, index) => {
+      const values = metricValues(data, `${name}{${TIMELINE_TAG}:${bucket}}`);
+      return { label: formatOffset(index * timeline.bucketMs), max: typeof values.max === 'number' ? values.max : null };
+    });
+    return `<h3>${escapeHtml(name)}</h3>${lineChart(points, [{ key: 'max', label: 'max', color: '#7048e8' }], format)}`;
+  }).join('\n');
+}
+
+/**
+ * Parse a sub-metric selector 'a:1,b:2' into [['a', '1'], ['b', '2']]
+ */
+function parseSelector(selector) {
+  return selector.split(',').map((pair) => {
+    const separator = pair.indexOf(':');
+    return [pair.slice(0, separator), pair.slice(separator + 1)];
+  });
+}
+
+/**
+ * Group tagged http_req_duration sub-metrics by tag key(s)
+ */
+function tagGroups(data) {
+  const groups = {};
+
+  Object.keys(data.metrics).forEach((name) => {
+    const match = /^http_req_duration\{(.+)\}$/.exec(name);
+    if (!match || match[1] === BOT_TRAFFIC || reportSubmetrics.has(name)) {
+      return;
+    }
+    const tags = parseSelector(match[1]);
+    const key = tags.map(([tag]) => tag).join(', ');
+    groups[key] = groups[key] || [];
+    groups[key].push({ selector: match[1], label: tags.map(([, value]) => value).join(', ') });
+  });
+
+  return Object.keys(groups).sort().map((key) => ({
+    key: key,
+    entries: groups[key].sort((a, b) => a.label.localeCompare(b.label, 'en', { numeric: true })),
+  }));
+}
+
+/**
+ * Table for one tag group
+ */
+function tagTable(data, group) {
+  const rows = group.entries.map(({ selector, label }) => {
+    const duration = metricValues(data, `http_req_duration{${selector}}`);
+    const failed = metricValues(data, `http_req_failed{${selector}}`);
+    const requests = metricValues(data, `http_reqs{${selector}}`).count ?? duration.count;
+    return [
+      label,
+      requests === undefined ? '-' : String(requests),
+      formatMs(duration.med),
+      formatMs(duration['p(95)']),
+      formatMs(duration['p(99)']),
+      formatPercent(failed.rate),
+    ];
+  });
+
+  return htmlTable([
+    { title: group.key },
+    { title: 'reqs', align: 'right' },
+    { title: 'p50', align: 'right' },
+    { title: 'p95', align: 'right' },
+    { title: 'p99', align: 'right' },
+    { title: 'errors', align: 'right' },
+  ], rows);
+}
+
+/**
+ * Responses by status code with share bars
+ */
+function statusTable(data) {
+  const counts = STATUS_CODES
+    .map((status) => ({ status, count: botMetricValues(data, `http_reqs{status:${status}}`).count || 0 }))
+    .filter((entry) => entry.count > 0);
+  const total = botMetricValues(data, 'http_reqs').count || 0;
+  const listed = counts.reduce((sum, entry) => sum + entry.count, 0);
+  if (total > listed) {
+    counts.push({ status: 'other', count: total - listed });
+  }
+  if (counts.length === 0) {
+    return '<p class="muted">No requests.</p>';
+  }
+
+  const describe = (status) => (status === 0 ? '0 (no response - timeout / connection error)' : String(status));
+
+  return htmlTable([
+    { title: 'status' },
+    { title: 'requests', align: 'right' },
+    { title: 'share', align: 'right' },
+    { title: '' },
+  ], counts.map(({ status, count }) => {
+    const share = total > 0 ? count / total : 0;
+    const ok = status === 200 || status === 202;
+    return [
+      describe(status),
+      String(count),
+      formatPercent(share),
+      { html: `<div class="bar"><div class="${ok ? 'ok' : 'fail'}" style="width:${(share * 100).toFixed(1)}%"></div></div>` },
+    ];
+  }));
+}
+
+/**
+ * Thresholds with pass/fail (without the report's helper thresholds)
+ */
+function thresholdTable(data) {
+  const rows = [];
+  Object.keys(data.metrics).sort().forEach((name) => {
+    const metric = data.metrics[name];
+    if (!metric.thresholds || reportSubmetrics.has(name)) {
+      return;
+    }
+    Object.entries(metric.thresholds).forEach(([expression, result]) => {
+      rows.push([
+        name,
+        expression,
+        { html: result.ok ? '<span class="pass">✓ pass</span>' : '<span class="fail-text">✗ fail</span>' },
+      ]);
+    });
+  });
+
+  if (rows.length === 0) {
+    return '<p class="muted">No thresholds defined.</p>';
+  }
+  return htmlTable([{ title: 'metric' }, { title: 'threshold' }, { title: 'result' }], rows);
+}
+
+/**
+ * Flatten the check results of all groups
+ */
+function checkRows(group, rows = []) {
+  (group.checks || []).forEach((check) => {
+    const total = check.passes + check.fails;
+    rows.push([
+      group.path ? `${group.path.replace(/^::/, '').replace(/::/g, ' › ')} › ${check.name}` : check.name,
+      String(check.passes),
+      String(check.fails),
+      formatPercent(total > 0 ? check.passes / total : undefined),
+    ]);
+  });
+  (group.groups || []).forEach((child) => checkRows(child, rows));
+  return rows;
+}
+
+/**
+ * Custom metrics (anything not built into k6), including tagged sub-metrics
+ */
+function customMetricTable(data) {
+  const rows = Object.keys(data.metrics).sort()
+    .filter((name) => !BUILTIN_METRICS.includes(name.split('{')[0]) && !reportSubmetrics.has(name))
+    .map((name) => {
+      const metric = data.metrics[name];
+      const values = metric.values;
+      const format = metric.contains === 'time' ? formatMs : (value) => formatNumber(value);
+
+      if (metric.type === 'trend') {
+        return [name, 'trend', `avg ${format(values.avg)} · p50 ${format(values.med)} · p95 ${format(values['p(95)'])} · max ${format(values.max)}`];
+      }
+      if (metric.type === 'rate') {
+        return [name, 'rate', `${formatPercent(values.rate)} (${values.passes} of ${values.passes + values.fails})`];
+      }
+      if (metric.type === 'counter') {
+        return [name, 'counter', `${values.count} (${formatNumber(values.rate)}/s)`];
+      }
+      return [name, metric.type, `${formatNumber(values.value)} (min ${formatNumber(values.min)}, max ${formatNumber(values.max)})`];
+    });
+
+  if (rows.length === 0) {
+    return '<p class="muted">No custom metrics.</p>';
+  }
+  return htmlTable([{ title: 'metric' }, { title: 'type' }, { title: 'values' }], rows);
+}
+
+/**
+ * Overview cards
+ */
+function overview(data) {
+  const reqs = botMetricValues(data, 'http_reqs');
+  const duration = botMetricValues(data, 'http_req_duration');
+  const failed = botMetricValues(data, 'http_req_failed');
+  const checks = metricValues(data, 'checks');
+  const vusMax = metricValues(data, 'vus_max');
+
+  const cards = [
+    ['Requests', reqs.count === undefined ? '-' : String(reqs.count)],
+    ['Throughput', reqs.rate === undefined ? '-' : `${formatNumber(reqs.rate)}/s`],
+    ['p50', formatMs(duration.med)],
+    ['p95', formatMs(duration['p(95)'])],
+    ['p99', formatMs(duration['p(99)'])],
+    ['Errors', formatPercent(failed.rate)],
+    ['Checks', formatPercent(checks.rate)],
+    ['Max VUs', vusMax.max === undefined ? '-' : String(vusMax.max)],
+  ];
+
+  return `<div class="cards">${cards.map(([label, value]) => (
+    `<div class="card"><div class="label">${escapeHtml(label)}</div><div class="value">${escapeHtml(value)}</div></div>`
+  )).join('')}</div>`;
+}
+
+/**
+ * Run configuration: endpoint, profile, load shape, prompt corpus and test extras
+ */
+function configTable(data, meta) {
+  const options = meta.options || {};
+  const load = options.scenarios
+    ? { scenarios: options.scenarios }
+    : { stages: options.stages, vus: options.vus, iterations: options.iterations, duration: options.duration };
+
+  const rows = [
+    ['Test', meta.test],
+    ['Endpoint', PROFILE.endpoint],
+    ['Profile', `${PROFILE.name}${PROFILE.production ? ' (production)' : ''}`],
+    ['Duration', data.state ? formatMs(data.state.testRunDurationMs) : '-'],
+  ];
+
+  if (meta.prompts) {
+    const source = __ENV.TEST_MESSAGE ? 'TEST_MESSAGE' : (__ENV.PROMPT_CORPUS || DEFAULT_CORPUS);
+    rows.push(['Prompt corpus', `${source} - ${meta.prompts.length} prompts (${getCategories(meta.prompts).join(', ')})`]);
+  }
+
+  Object.entries(meta.extra || {}).forEach(([label, value]) => rows.push([label, String(value)]));
+
+  rows.push(['Load', { html: `<pre>${escapeHtml(JSON.stringify(load, null, 2))}</pre>` }]);
+
+  return htmlTable([{ title: 'setting' }, { title: 'value' }], rows);
+}
+
+const STYLES = `
+body { font-family: -apple-system, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; margin: 0; color: #212529; background: #f8f9fa; }
+header { background: #1c2541; color: #fff; padding: 20px 32px; }
+header h1 { margin: 0 0 4px; font-size: 22px; }
+header .meta { opacity: 0.8; font-size: 13px; }
+main { padding: 8px 32px 32px; max-width: 1100px; }
+section { background: #fff; border: 1px solid #dee2e6; border-radius: 6px; padding: 16px 20px; margin-top: 16px; }
+h2 { font-size: 17px; margin: 0 0 12px; }
+h3 { font-size: 14px; margin: 16px 0 8px; }
+table { border-collapse: collapse; width: 100%; font-size: 13px; }
+th, td { padding: 4px 8px; border-bottom: 1px solid #e9ecef; vertical-align: top; }
+th { background: #f1f3f5; }
+.left { text-align: left; } .right { text-align: right; font-variant-numeric: tabular-nums; }
+pre { margin: 0; font-size: 12px; white-space: pre-wrap; }
+.cards { display: flex; flex-wrap: wrap; gap: 12px; }
+.card { border: 1px solid #dee2e6; border-radius: 6px; padding: 10px 14px; min-width: 100px; }
+.card .label { font-size: 12px; color: #868e96; } .card .value { font-size: 20px; font-weight: 600; }
+.chart { width: 100%; height: auto; }
+.chart .grid { stroke: #e9ecef; } .chart .axis { font-size: 11px; fill: #868e96; }
+.legend { font-size: 12px; margin-right: 14px; } .legend i { display: inline-block; width: 10px; height: 10px; margin-right: 4px; }
+.bar { background: #f1f3f5; width: 200px; height: 10px; } .bar div { height: 10px; }
+.bar .ok { background: #40c057; } .bar .fail { background: #fa5252; }
+.pass { color: #2b8a3e; font-weight: 600; } .fail-text { color: #c92a2a; font-weight: 600; }
+.muted { color: #868e96; }
+.status-ok { color: #2b8a3e; } .status-fail { color: #c92a2a; }
+`;
+
+/**
+ * Render the HTML report
+ */
+export function renderHtmlReport(data, meta) {
+  const thresholdsOk = Object.values(data.metrics)
+    .every((metric) => !metric.thresholds || Object.values(metric.thresholds).every((threshold) => threshold.ok));
+
+  const sections = [`<section><h2>Overview</h2>${overview(data)}</section>`];
+
+  if (meta.timeline) {
+    const points = timelinePoints(data, meta.timeline);
+    const series = LATENCY_SERIES.filter((s) => points.some((point) => typeof point[s.key] === 'number'));
+    sections.push(`<section><h2>Latency over time</h2>${lineChart(points, series, formatMs)}`
+      + `<h3>Requests per second</h3>${barChart(points, (value) => formatNumber(value, 1))}`
+      + `<p class="muted">${meta.timeline.bucketMs / 1000}s buckets, time since test start</p></section>`);
+
+    const gauges = gaugeCharts(data, meta.timeline);
+    if (gauges) {
+      sections.push(`<section><h2>Server metrics over time</h2>${gauges}`
+        + `<p class="muted">Max per ${meta.timeline.bucketMs / 1000}s bucket, same time axis as the latency chart</p></section>`);
+    }
+  }
+
+  sections.push(`<section><h2>Responses by status code</h2>${statusTable(data)}</section>`);
+
+  const groups = tagGroups(data);
+  if (groups.length > 0) {
+    sections.push(`<section><h2>Latency by tag</h2>${groups.map((group) => (
+      `<h3>${escapeHtml(group.key)}</h3>${tagTable(data, group)}`
+    )).join('\n')}</section>`);
+  }
+
+  sections.push(`<section><h2>Thresholds</h2>${thresholdTable(data)}</section>`);
+
+  const checks = data.root_group ? checkRows(data.root_group) : [];
+  if (checks.length > 0) {
+    sections.push(`<section><h2>Checks</h2>${htmlTable([
+      { title: 'check' },
+      { title: 'passes', align: 'right' },
+      { title: 'fails', align: 'right' },
+      { title: 'success', align: 'right' },
+    ], checks)}</section>`);
+  }
+
+  sections.push(`<section><h2>Custom metrics</h2>${customMetricTable(data)}</section>`);
+  sections.push(`<section><h2>Run configuration</h2>${configTable(data, meta)}</section>`);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(meta.test)} - k6 report</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<header>
+<h1>${escapeHtml(meta.test)} test report</h1>
+<div class="meta">${escapeHtml(PROFILE.endpoint)} · profile ${escapeHtml(PROFILE.name)} · generated ${escapeHtml(new Date().toISOString())} ·
+<span class="${thresholdsOk ? 'status-ok' : 'status-fail'}">${thresholdsOk ? '✓ all thresholds passed' : '✗ thresholds failed'}</span></div>
+</header>
+<main>
+${sections.join('\n')}
+</main>
+</body>
+</html>
+`;
+}
+
+/**
+ * handleSummary output entry for the HTML report ({} when HTML_REPORT=false)
+ *
+ * meta: { test, timestamp, timeline, options, prompts, extra }
+ */
+export function htmlReport(data, meta) {
+  if (!HTML_REPORT_ENABLED) {
+    return {};
+  }
+  return {
+    [`results/${meta.test}-report-${meta.timestamp}.html`]: renderHtmlReport(data, meta),
+  };
+}
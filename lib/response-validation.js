@@ -0,0 +1,314 @@
+/**
+ * Response Validation
+ *
+ * Checks the content of the bot's answers, not just the HTTP status: a bot
+ * that answers fast with generic errors or canned fallbacks should fail.
+ * Each corpus prompt can declare expectations in `expect`; every rule is
+ * recorded in its own Rate metric (`validation_<rule>`), so a drop in answer
+ * quality shows up per rule and, through the request tags, per load phase.
+ *
+ * Enable with RESPONSE_VALIDATION=true. The answer is taken from:
+ *   - the mock connector, when REPLY_CAPTURE=true (see lib/reply-capture.js)
+ *   - otherwise the HTTP response: activities are sent with
+ *     `deliveryMode: expectReplies`, so the bot returns its replies in the
+ *     response body (`{ activities: [...] }`) instead of posting them
+ *
+ * Rules (prompt `expect` keys):
+ *   - hasContent:    reply has text or attachments (default: true)
+ *   - noErrorPhrase: text contains no generic error phrase (default: true)
+ *   - keywords:      words that must all appear in the text (case-insensitive)
+ *   - pattern:       regular expression the text must match (case-insensitive,
+ *                    ^ and $ match at line breaks)
+ *   - minLength / maxLength: text length bounds
+ *   - adaptiveCard:  reply must (true) or must not (false) carry an Adaptive Card
+ *   - schema:        JSON schema (subset, see matchesSchema) of the reply activity
+ * Custom rules are added with registerRule() in the init context, before
+ * assertKnownRules() checks the corpus for rule names nobody registered.
+ *
+ * In the CSV corpus `expect` is a JSON string column.
+ *
+ * Usage:
+ *   import { RESPONSE_VALIDATION_ENABLED, assertKnownRules, prepareActivity, replyFromResponse, validateReply } from '../lib/response-validation.js';
+ *   const prompts = loadPromptCorpus();
+ *   assertKnownRules(prompts);
+ *   const activity = prepareActivity(createMessageActivity(prompt.text));
+ *   const response = sendActivity(activity, tags);
+ *   if (RESPONSE_VALIDATION_ENABLED) validateReply(prompt, replyFromResponse(response), tags);
+ */
+
+import { check } from 'k6';
+import { Rate } from 'k6/metrics';
+import { formatTable, formatPercent, metricValues } from './summary.js';
+
+export const RESPONSE_VALIDATION_ENABLED = __ENV.RESPONSE_VALIDATION === 'true';
+
+// Minimum share of answers passing all their rules
+const VALIDATION_MIN_PASS_RATE = parseFloat(__ENV.VALIDATION_MIN_PASS_RATE || '0.9');
+
+// Phrases that indicate the bot answered with a generic error
+export const ERROR_PHRASES = [
+  'something went wrong',
+  'an error occurred',
+  'try again later',
+  'sorry, i could not',
+];
+
+const ADAPTIVE_CARD_CONTENT_TYPE = 'application/vnd.microsoft.card.adaptive';
+
+// Rules applied to every answer unless the prompt turns them off
+const DEFAULT_EXPECT = {
+  hasContent: true,
+  noErrorPhrase: true,
+};
+
+// Compiled `pattern` expressions of this VU
+const patternCache = {};
+
+/**
+ * Text of a reply activity ('' without text)
+ */
+function replyText(reply) {
+  return reply && reply.text ? reply.text : '';
+}
+
+/**
+ * JSON type name of a value (integer counts as number too)
+ */
+function jsonType(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  return typeof value;
+}
+
+/**
+ * Check a value against a JSON schema subset: type, enum, const, required,
+ * properties, items, minLength, maxLength, pattern, minItems, maxItems,
+ * minimum, maximum
+ */
+export function matchesSchema(value, schema) {
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const type = jsonType(value);
+    const typeOk = types.some((expected) => (
+      expected === type || (expected === 'integer' && Number.isInteger(value))
+    ));
+    if (!typeOk) {
+      return false;
+    }
+  }
+  if (schema.enum && !schema.enum.some((option) => JSON.stringify(option) === JSON.stringify(value))) {
+    return false;
+  }
+  if (schema.const !== undefined && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+    return false;
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) return false;
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) return false;
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) return false;
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) return false;
+    if (schema.maximum !== undefined && value > schema.maximum) return false;
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) return false;
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) return false;
+    if (schema.items && !value.every((item) => matchesSchema(item, schema.items))) return false;
+  }
+  if (jsonType(value) === 'object') {
+    if (schema.required && !schema.required.every((key) => value[key] !== undefined)) return false;
+    const properties = schema.properties || {};
+    if (!Object.keys(properties).every((key) => value[key] === undefined || matchesSchema(value[key], properties[key]))) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+// Rule name -> { validate(reply, param), metric }
+const rules = {};
+
+/**
+ * Register a validation rule (init context only - it creates a metric)
+ *
+ * validate(reply, param) receives the reply activity (null if there was no
+ * answer) and the prompt's `expect[name]` value, and returns true or false.
+ * Results go to the Rate `validation_<snake_case name>`.
+ */
+export function registerRule(name, validate) {
+  const metricName = `validation_${name.replace(/([A-Z])/g, '_$1').toLowerCase()}`;
+  rules[name] = { validate, metric: new Rate(metricName), metricName };
+}
+
+registerRule('hasContent', (reply, expected) => (
+  (replyText(reply).trim() !== '' || (reply !== null && (reply.attachments || []).length > 0)) === expected
+));
+
+registerRule('noErrorPhrase', (reply, expected) => {
+  const text = replyText(reply).toLowerCase();
+  return (reply !== null && !ERROR_PHRASES.some((phrase) => text.includes(phrase))) === expected;
+});
+
+registerRule('keywords', (reply, keywords) => {
+  const text = replyText(reply).toLowerCase();
+  return reply !== null && keywords.every((keyword) => text.includes(keyword.toLowerCase()));
+});
+
+registerRule('pattern', (reply, pattern) => {
+  patternCache[pattern] = patternCache[pattern] || new RegExp(pattern, 'im');
+  return reply !== null && patternCache[pattern].test(replyText(reply));
+});
+
+registerRule('minLength', (reply, minLength) => reply !== null && replyText(reply).length >= minLength);
+
+registerRule('maxLength', (reply, maxLength) => reply !== null && replyText(reply).length <= maxLength);
+
+registerRule('adaptiveCard', (reply, expected) => (
+  reply !== null
+  && (reply.attachments || []).some((attachment) => attachment.contentType === ADAPTIVE_CARD_CONTENT_TYPE) === expected
+));
+
+registerRule('schema', (reply, schema) => reply !== null && matchesSchema(reply, schema));
+
+const validationPassed = new Rate('validation_passed');
+
+/**
+ * Fail on corpus expectations naming a rule that is not registered
+ *
+ * Init context only, after any registerRule() calls: a typo in `expect`
+ * stops the test before it starts instead of throwing in every iteration
+ * that picks the prompt. Does nothing when validation is off.
+ */
+export function assertKnownRules(prompts) {
+  if (!RESPONSE_VALIDATION_ENABLED) {
+    return;
+  }
+
+  for (let i = 0; i < prompts.length; i++) {
+    const unknown = Object.keys(prompts[i].expect || {}).filter((name) => !rules[name]);
+    if (unknown.length > 0) {
+      throw new Error(`Unknown validation rule "${unknown.join('", "')}" in the expectations of "${prompts[i].text}" `
+        + `(registered: ${Object.keys(rules).join(', ')})`);
+    }
+  }
+}
+
+/**
+ * Ask for the replies in the HTTP response (unless they come from the mock connector)
+ */
+export function prepareActivity(activity) {
+  if (RESPONSE_VALIDATION_ENABLED && __ENV.REPLY_CAPTURE !== 'true') {
+    activity.deliveryMode = 'expectReplies';
+  }
+  return activity;
+}
+
+/**
+ * First message reply in an expectReplies response body, null if there is none
+ */
+export function replyFromResponse(response) {
+  let body;
+  try {
+    body = response.json();
+  } catch (error) {
+    return null;
+  }
+
+  const activities = body && Array.isArray(body.activities) ? body.activities : [];
+  return activities.find((activity) => activity.type === 'message') || null;
+}
+
+/**
+ * Expectations for a prompt: the defaults merged with its `expect`
+ */
+export function promptExpectations(prompt) {
+  return { ...DEFAULT_EXPECT, ...(prompt.expect || {}) };
+}
+
+/**
+ * Validate a reply against the prompt's expectations
+ *
+ * Records every applicable rule in its Rate metric and as a k6 check, and
+ * returns whether all of them passed. A missing reply (null) fails them.
+ */
+export function validateReply(prompt, reply, tags = {}) {
+  const expectations = promptExpectations(prompt);
+  const checks = {};
+
+  Object.keys(expectations).forEach((name) => {
+    const rule = rules[name];
+    if (!rule) {
+      throw new Error(`Unknown validation rule "${name}" in the expectations of "${prompt.text}"`);
+    }
+    if (expectations[name] === undefined || expectations[name] === null) {
+      return;
+    }
+
+    const passed = rule.validate(reply, expectations[name]);
+    rule.metric.add(passed, tags);
+    checks[`answer: ${name}`] = () => passed;
+  });
+
+  const passed = check(reply, checks, tags);
+  validationPassed.add(passed, tags);
+  return passed;
+}
+
+/**
+ * Thresholds: overall pass rate, and every rule listed in the summary
+ * ({} when validation is off)
+ */
+export function validationThresholds(minPassRate = VALIDATION_MIN_PASS_RATE) {
+  const thresholds = {};
+  if (!RESPONSE_VALIDATION_ENABLED) {
+    return thresholds;
+  }
+
+  thresholds.validation_passed = [`rate>${minPassRate}`];
+  Object.values(rules).forEach((rule) => {
+    thresholds[rule.metricName] = ['rate>=0'];
+  });
+  return thresholds;
+}
+
+/**
+ * Pass rate table per rule for handleSummary stdout ('' when nothing was validated)
+ */
+export function validationReport(data) {
+  const rows = [];
+  Object.keys(rules).forEach((name) => {
+    const values = metricValues(data, rules[name].metricName);
+    const checked = (values.passes || 0) + (values.fails || 0);
+    if (checked === 0) {
+      return;
+    }
+    rows.push([name, String(checked), String(values.fails), formatPercent(values.rate)]);
+  });
+
+  if (rows.length === 0) {
+    return '';
+  }
+
+  const table = formatTable([
+    { title: 'rule' },
+    { title: 'checked', align: 'right' },
+    { title: 'failed', align: 'right' },
+    { title: 'pass rate', align: 'right' },
+  ], rows);
+
+  const overall = metricValues(data, 'validation_passed');
+  return [
+    '',
+    `  Answer validation - ${formatPercent(overall.rate)} of answers passed all rules`,
+    '',
+    table,
+    '',
+  ].join('\n');
+}
@@ -0,0 +1,422 @@
+/**
+ * Server Metrics
+ *
+ * Polls the bot's own view of its state while the load runs, so client-side
+ * latency can be read against what the server was doing at the time. A
+ * dedicated scenario (one VU) scrapes at a fixed interval:
+ *   - the health endpoint of the PROFILE (HEALTH_ENDPOINT), JSON
+ *   - optionally a Prometheus text-format endpoint (SERVER_METRICS_URL)
+ * and records the numeric fields in Gauges:
+ *   - server_event_loop_lag  (ms)
+ *   - server_heap_used_mb
+ *   - server_in_flight       (requests being processed)
+ *   - server_n8n_queue_depth (n8n calls waiting)
+ *
+ * Each field is looked up in the Prometheus samples first (summed over all
+ * label sets), then in the health JSON (dotted paths). Fields that are not
+ * found are skipped. SERVER_METRICS_FIELDS maps additional or different
+ * sources: `name=source,...` becomes the Gauge `server_<name>`, e.g.
+ * `cpu_percent=process.cpu,event_loop_lag=stats.lagMs`.
+ *
+ * Samples are tagged with the timeline bucket (and optional test tags such as
+ * `phase`), so the summary shows the server values per bucket or phase next
+ * to the client p95, and the HTML report charts them over time.
+ *
+ * Configuration:
+ *   - SERVER_METRICS=true:    enable the scraper scenario
+ *   - SERVER_METRICS_URL:     Prometheus endpoint, e.g. http://localhost:3978/metrics (optional)
+ *   - SERVER_METRICS_INTERVAL: scrape interval (default: 5s)
+ *   - SERVER_METRICS_FIELDS:  additional `name=source` mappings (optional)
+ *
+ * Usage:
+ *   import { addServerMetrics, serverMetricsReport } from '../lib/server-metrics.js';
+ *   export { scrapeServerMetrics } from '../lib/server-metrics.js';
+ *   const TIMELINE = addReportMetrics(options);
+ *   addServerMetrics(options, TIMELINE);
+ *   assertProfileAllows(options);
+ *   // handleSummary: summaryOutputs(data, { sections: [serverMetricsReport(data)], ... })
+ */
+
+import http from 'k6/http';
+import { sleep } from 'k6';
+import { Gauge, Rate } from 'k6/metrics';
+import { PROFILE } from './profile.js';
+import { parseDuration } from './stages.js';
+import { plannedDurationMs, TIMELINE_TAG } from './timeline.js';
+import { HTML_REPORT_ENABLED, addReportThresholds } from './report.js';
+import { formatTable, formatMs, formatNumber, formatPercent, metricValues } from './summary.js';
+
+export const SERVER_METRICS_ENABLED = __ENV.SERVER_METRICS === 'true';
+
+const SERVER_METRICS_URL = __ENV.SERVER_METRICS_URL || '';
+const SERVER_METRICS_INTERVAL = __ENV.SERVER_METRICS_INTERVAL || '5s';
+
+// Name of the scraper scenario
+const SCENARIO_NAME = 'server_metrics';
+
+// Scrapes never count as failed requests - failures go to server_scrape_ok
+const ANY_STATUS = http.expectedStatuses({ min: 0, max: 599 });
+
+const BYTES_PER_MB = 1024 * 1024;
+
+// Built-in fields: Gauge name, label, Prometheus metric and scale, health JSON paths
+const DEFAULT_FIELDS = [
+  {
+    name: 'event_loop_lag',
+    label: 'event loop lag',
+    time: true,
+    prometheus: { metric: 'nodejs_eventloop_lag_seconds', scale: 1000 },
+    health: ['eventLoopLag', 'eventLoopLagMs', 'eventLoop.lag'],
+  },
+  {
+    name: 'heap_used_mb',
+    label: 'heap used (MB)',
+    prometheus: { metric: 'nodejs_heap_size_used_bytes', scale: 1 / BYTES_PER_MB },
+    health: ['heapUsedMb', 'memory.heapUsedMb'],
+    healthBytes: ['heapUsed', 'memory.heapUsed'],
+  },
+  {
+    name: 'in_flight',
+    label: 'in-flight requests',
+    prometheus: { metric: 'http_requests_in_flight', scale: 1 },
+    health: ['inFlight', 'inFlightRequests', 'activeRequests', 'requests.inFlight'],
+  },
+  {
+    name: 'n8n_queue_depth',
+    label: 'n8n queue depth',
+    prometheus: { metric: 'n8n_queue_depth', scale: 1 },
+    health: ['n8nQueueDepth', 'queueDepth', 'n8n.queueDepth'],
+  },
+];
+
+/**
+ * Parse SERVER_METRICS_FIELDS ('name=source,...') into field definitions
+ */
+function parseFieldMappings(value) {
+  if (!value) {
+    return [];
+  }
+
+  return value.split(',').map((entry) => {
+    const separator = entry.indexOf('=');
+    const name = entry.slice(0, separator).trim();
+    const source = entry.slice(separator + 1).trim();
+    if (separator < 1 || !/^[a-z0-9_]+$/.test(name) || source === '') {
+      throw new Error(`Invalid SERVER_METRICS_FIELDS entry "${entry}" (expected name=source, name in lower_snake_case)`);
+    }
+    return {
+      name: name,
+      label: name.replace(/_/g, ' '),
+      prometheus: { metric: source, scale: 1 },
+      health: [source],
+    };
+  });
+}
+
+/**
+ * Built-in fields, replaced or extended by SERVER_METRICS_FIELDS
+ */
+function resolveFields() {
+  const fields = DEFAULT_FIELDS.slice();
+  parseFieldMappings(__ENV.SERVER_METRICS_FIELDS).forEach((custom) => {
+    const index = fields.findIndex((field) => field.name === custom.name);
+    if (index >= 0) {
+      fields[index] = { ...custom, label: fields[index].label, time: fields[index].time };
+    } else {
+      fields.push(custom);
+    }
+  });
+  return fields;
+}
+
+// Gauges are created in the init context for every VU
+const FIELDS = resolveFields().map((field) => ({
+  ...field,
+  metric: `server_${field.name}`,
+  gauge: new Gauge(`server_${field.name}`, field.time === true),
+}));
+
+const scrapeOk = new Rate('server_scrape_ok');
+
+// Set by addServerMetrics() in the init context: sample tags and summary rows
+let sampleTags = () => ({});
+let summaryRows = [];
+let rowTitle = 'time';
+
+/**
+ * Value at a dotted path ('memory.heapUsed') if it is a finite number
+ */
+function numberAt(body, path) {
+  const value = path.split('.').reduce((node, key) => (node && typeof node === 'object' ? node[key] : undefined), body);
+  const number = typeof value === 'string' ? parseFloat(value) : value;
+  return typeof number === 'number' && Number.isFinite(number) ? number : undefined;
+}
+
+/**
+ * Parse Prometheus text format into { metric: sum of its samples }
+ *
+ * Comment lines are skipped; samples with the same name but different
+ * labels are summed (e.g. in-flight requests per route).
+ */
+export function parsePrometheus(text) {
+  const samples = {};
+
+  text.split('\n').forEach((line) => {
+    const trimmed = line.trim();
+    if (trimmed === '' || trimmed.startsWith('#')) {
+      return;
+    }
+    const match = /^([a-zA-Z_:][a-zA-Z0-9_:]*)(\{.*\})?\s+(\S+)/.exec(trimmed);
+    if (!match) {
+      return;
+    }
+    const value = parseFloat(match[3]);
+    if (Number.isFinite(value)) {
+      samples[match[1]] = (samples[match[1]] || 0) + value;
+    }
+  });
+
+  return samples;
+}
+
+/**
+ * Value of a field from the Prometheus samples, else the health JSON
+ */
+function fieldValue(field, prometheus, health) {
+  if (prometheus && prometheus[field.prometheus.metric] !== undefined) {
+    return prometheus[field.prometheus.metric] * field.prometheus.scale;
+  }
+  if (!health) {
+    return undefined;
+  }
+
+  for (const path of field.health) {
+    const value = numberAt(health, path);
+    if (value !== undefined) {
+      return value;
+    }
+  }
+  for (const path of field.healthBytes || []) {
+    const value = numberAt(health, path);
+    if (value !== undefined) {
+      return value / BYTES_PER_MB;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * GET a scrape endpoint, recording whether it answered with 200
+ */
+function fetchSource(url, source) {
+  const response = http.get(url, {
+    headers: PROFILE.apiKey ? { 'x-api-key': PROFILE.apiKey } : {},
+    tags: { name: source === 'health' ? 'ServerHealth' : 'ServerMetrics', traffic: 'monitor' },
+    responseCallback: ANY_STATUS,
+  });
+
+  const ok = response.status === 200;
+  scrapeOk.add(ok, { source });
+  return ok ? response : null;
+}
+
+/**
+ * Scrape the health (and Prometheus) endpoint once and record the Gauges
+ */
+function scrapeOnce() {
+  const healthResponse = fetchSource(PROFILE.healthUrl, 'health');
+  let health = null;
+  if (healthResponse) {
+    try {
+      health = healthResponse.json();
+    } catch (error) {
+      // Plain-text health endpoints have no fields to record
+    }
+  }
+
+  const metricsResponse = SERVER_METRICS_URL ? fetchSource(SERVER_METRICS_URL, 'prometheus') : null;
+  const prometheus = metricsResponse ? parsePrometheus(String(metricsResponse.body)) : null;
+
+  const tags = sampleTags();
+  FIELDS.forEach((field) => {
+    const value = fieldValue(field, prometheus, health);
+    if (value !== undefined) {
+      field.gauge.add(value, tags);
+    }
+  });
+}
+
+/**
+ * Exec function of the scraper scenario - re-export it from the test
+ *
+ * Scrapes until the scenario ends, one scrape per SERVER_METRICS_INTERVAL.
+ */
+export function scrapeServerMetrics() {
+  const intervalMs = parseDuration(SERVER_METRICS_INTERVAL);
+  const started = Date.now();
+
+  scrapeOnce();
+
+  sleep(Math.max(0, intervalMs - (Date.now() - started)) / 1000);
+}
+
+/**
+ * Options shortcuts (stages, vus/duration) as the equivalent `default`
+ * scenario - k6 ignores the shortcuts once `scenarios` is set
+ */
+function shortcutScenarios(options) {
+  if (options.stages) {
+    return { default: { executor: 'ramping-vus', startVUs: options.vus || 1, stages: options.stages } };
+  }
+  if (options.duration) {
+    return { default: { executor: 'constant-vus', vus: options.vus || 1, duration: options.duration } };
+  }
+  throw new Error('SERVER_METRICS needs a duration-based test (stages, duration or scenarios)');
+}
+
+/**
+ * Add the scraper scenario, its Gauge thresholds and the summary rows
+ *
+ * Call after addReportMetrics() and before assertProfileAllows(). Options:
+ *   - tags: function returning extra sample tags (e.g. () => ({ phase }))
+ *   - rows: [{ label, selector }] for the summary table, e.g. per phase
+ *           (default: the timeline buckets)
+ *   - title: first column title of the summary table (default: 'time')
+ * Does nothing unless SERVER_METRICS=true.
+ */
+export function addServerMetrics(options, timeline, { tags, rows, title } = {}) {
+  if (!SERVER_METRICS_ENABLED) {
+    return;
+  }
+
+  sampleTags = () => ({ ...timeline.tags(), ...(tags ? tags() : {}) });
+  summaryRows = rows || timeline.buckets.map((bucket, index) => {
+    const seconds = Math.round(index * timeline.bucketMs / 1000);
+    return { label: `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`, selector: `${TIMELINE_TAG}:${bucket}` };
+  });
+  rowTitle = title || 'time';
+
+  const scenarios = options.scenarios || shortcutScenarios(options);
+  const durationMs = plannedDurationMs({ scenarios });
+  delete options.stages;
+  delete options.duration;
+  delete options.vus;
+
+  options.scenarios = {
+    ...scenarios,
+    [SCENARIO_NAME]: {
+      executor: 'constant-vus',
+      vus: 1,
+      duration: `${Math.ceil(durationMs / 1000)}s`,
+      exec: 'scrapeServerMetrics',
+    },
+  };
+
+  // Always pass - they only expose the per-row / per-bucket sub-metrics
+  // (Gauges only accept the `value` aggregation; the summary still has min / max)
+  // The bucket sub-metrics feed the report's charts (and the default rows)
+  if (HTML_REPORT_ENABLED) {
+    const bucketThresholds = {};
+    FIELDS.forEach((field) => {
+      timeline.buckets.forEach((bucket) => {
+        bucketThresholds[`${field.metric}{${TIMELINE_TAG}:${bucket}}`] = ['value>=0'];
+      });
+    });
+    addReportThresholds(options, bucketThresholds);
+  }
+
+  const thresholds = { server_scrape_ok: ['rate>=0'] };
+  FIELDS.forEach((field) => {
+    summaryRows.forEach((row) => {
+      const name = `${field.metric}{${row.selector}}`;
+      if (!options.thresholds[name]) {
+        thresholds[name] = ['value>=0'];
+      }
+    });
+  });
+  options.thresholds = { ...options.thresholds, ...thresholds };
+}
+
+/**
+ * Scrape sources for the setup banner
+ */
+export function describeServerMetrics() {
+  if (!SERVER_METRICS_ENABLED) {
+    return 'off (SERVER_METRICS=true to scrape the bot)';
+  }
+  return `${PROFILE.healthUrl}${SERVER_METRICS_URL ? ` + ${SERVER_METRICS_URL}` : ''} every ${SERVER_METRICS_INTERVAL}`;
+}
+
+/**
+ * Format a Gauge value
+ */
+function formatField(field, value) {
+  if (value === undefined) {
+    return '-';
+  }
+  if (field.time) {
+    return formatMs(value);
+  }
+  return formatNumber(value, Number.isInteger(value) ? 0 : 1);
+}
+
+/**
+ * Server metrics for handleSummary stdout ('' when off or nothing was scraped):
+ * min / max / last per Gauge, and the max per row next to the client p95
+ */
+export function serverMetricsReport(data) {
+  if (!SERVER_METRICS_ENABLED) {
+    return '';
+  }
+
+  const scrapes = `scrapes ok: ${formatPercent(metricValues(data, 'server_scrape_ok').rate)}`;
+  const recorded = FIELDS.filter((field) => data.metrics[field.metric]);
+  if (recorded.length === 0) {
+    return `\n  Server metrics - no known numeric fields in the responses (${scrapes}), see SERVER_METRICS_FIELDS\n`;
+  }
+
+  const totals = formatTable([
+    { title: 'server metric' },
+    { title: 'min', align: 'right' },
+    { title: 'max', align: 'right' },
+    { title: 'last', align: 'right' },
+  ], recorded.map((field) => {
+    const values = metricValues(data, field.metric);
+    return [field.label, formatField(field, values.min), formatField(field, values.max), formatField(field, values.value)];
+  }));
+
+  const rows = summaryRows
+    .map((row) => {
+      const duration = metricValues(data, `http_req_duration{${row.selector}}`);
+      const serverValues = recorded.map((field) => metricValues(data, `${field.metric}{${row.selector}}`).max);
+      if (!duration.count && serverValues.every((value) => value === undefined)) {
+        return null;
+      }
+      return [
+        row.label,
+        formatMs(duration['p(95)']),
+        formatPercent(metricValues(data, `http_req_failed{${row.selector}}`).rate),
+        ...serverValues.map((value, index) => formatField(recorded[index], value)),
+      ];
+    })
+    .filter((row) => row !== null);
+
+  const correlation = formatTable([
+    { title: rowTitle },
+    { title: 'p95', align: 'right' },
+    { title: 'errors', align: 'right' },
+    ...recorded.map((field) => ({ title: `${field.label} max`, align: 'right' })),
+  ], rows);
+
+  return [
+    '',
+    `  Server metrics (${describeServerMetrics()}, ${scrapes})`,
+    '',
+    totals,
+    '',
+    '  Server vs. client',
+    '',
+    correlation,
+    '',
+  ].join('\n');
+}
@@ -0,0 +1,53 @@
+/**
+ * Stage Helpers
+ *
+ * Duration parsing and elapsed scenario time, used to map requests onto
+ * `options.stages` so they can be tagged with the load step that is actually
+ * running instead of the VU id.
+ *
+ * Usage:
+ *   import { parseDuration, scenarioElapsedMs } from '../lib/stages.js';
+ *   parseDuration('1m30s');   // 90000
+ *   scenarioElapsedMs();      // uses k6 execution context
+ */
+
+import exec from 'k6/execution';
+
+const DURATION_UNITS = {
+  ms: 1,
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+};
+
+/**
+ * Parse a k6 duration string ('30s', '1m30s', '2h', '500ms') into milliseconds
+ */
+export function parseDuration(duration) {
+  if (typeof duration === 'number') {
+    return duration;
+  }
+
+  const pattern = /(\d+(?:\.\d+)?)(ms|s|m|h)/g;
+  let total = 0;
+  let matched = '';
+  let match;
+
+  while ((match = pattern.exec(duration)) !== null) {
+    total += parseFloat(match[1]) * DURATION_UNITS[match[2]];
+    matched += match[0];
+  }
+
+  if (matched === '' || matched !== duration) {
+    throw new Error(`Invalid duration: ${duration}`);
+  }
+
+  return total;
+}
+
+/**
+ * Milliseconds since the current scenario started
+ */
+export function scenarioElapsedMs() {
+  return Date.now() - exec.scenario.startTime;
+}
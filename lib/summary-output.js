@@ -0,0 +1,53 @@
+/**
+ * Summary Output
+ *
+ * Assembles the handleSummary() result every test writes:
+ *   - stdout: the k6 text summary (without the report helper sub-metrics),
+ *     the test's own sections, the failure report and the slowest traces
+ *   - the test's own result files
+ *   - HTML report, trace results and the optional CI reports
+ *
+ * Usage:
+ *   import { summaryOutputs } from '../lib/summary-output.js';
+ *   export function handleSummary(data) {
+ *     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+ *     return summaryOutputs(data, {
+ *       test: 'conversation',
+ *       timestamp,
+ *       sections: [turnTable(data)],
+ *       timeline: TIMELINE,
+ *       options,
+ *     });
+ *   }
+ */
+
+import { textSummary } from 'https://jslib.k6.io/k6-summary/0.0.2/index.js';
+import { stripReportMetrics, htmlReport } from './report.js';
+import { ciReports } from './ci-report.js';
+import { failureReport } from './failures.js';
+import { traceReport, traceResults } from './tracing.js';
+
+/**
+ * handleSummary() outputs of a test
+ *
+ * meta: { test, timestamp, sections, files } plus the htmlReport() meta
+ * (timeline, options, prompts, extra). sections are stdout strings added
+ * after the text summary, files extra `{ path: content }` outputs.
+ */
+export function summaryOutputs(data, { sections = [], files = {}, ...meta }) {
+  const { test, timestamp } = meta;
+  const stdout = [
+    textSummary(stripReportMetrics(data), { indent: '  ', enableColors: true }),
+    ...sections,
+    failureReport(data),
+    traceReport(data, { test, timestamp }),
+  ];
+
+  return {
+    'stdout': stdout.join(''),
+    ...files,
+    ...htmlReport(data, meta),
+    ...traceResults(data, { test, timestamp }),
+    ...ciReports(data, { test, timestamp }),
+  };
+}
@@ -0,0 +1,104 @@
+/**
+ * Summary Helpers
+ *
+ * Formatting helpers for custom tables in handleSummary().
+ *
+ * Usage:
+ *   import { formatTable, formatMs, formatPercent } from '../lib/summary.js';
+ *   const table = formatTable(
+ *     [{ title: 'phase' }, { title: 'p95', align: 'right' }],
+ *     [['phase1-5vu', formatMs(1234)]],
+ *   );
+ */
+
+/**
+ * Format milliseconds for a summary table ('850ms', '12.3s')
+ */
+export function formatMs(value) {
+  if (value === undefined || value === null || Number.isNaN(value)) {
+    return '-';
+  }
+  return value < 1000 ? `${Math.round(value)}ms` : `${(value / 1000).toFixed(1)}s`;
+}
+
+/**
+ * Format a 0..1 rate as a percentage
+ */
+export function formatPercent(value) {
+  if (value === undefined || value === null || Number.isNaN(value)) {
+    return '-';
+  }
+  return `${(value * 100).toFixed(1)}%`;
+}
+
+/**
+ * Format a plain number with fixed decimals
+ */
+export function formatNumber(value, decimals = 2) {
+  if (value === undefined || value === null || Number.isNaN(value)) {
+    return '-';
+  }
+  return value.toFixed(decimals);
+}
+
+/**
+ * Format rows as an aligned text table
+ *
+ * columns: [{ title, align: 'left' | 'right' }]
+ * rows:    arrays of cell strings, same order as columns
+ */
+export function formatTable(columns, rows, indent = '  ') {
+  const widths = columns.map((column, index) => Math.max(
+    column.title.length,
+    ...rows.map((row) => String(row[index]).length),
+  ));
+
+  const formatRow = (cells) => indent + cells.map((cell, index) => {
+    const text = String(cell);
+    return columns[index].align === 'right' ? text.padStart(widths[index]) : text.padEnd(widths[index]);
+  }).join('  ');
+
+  const separator = indent + widths.map((width) => '─'.repeat(width)).join('  ');
+
+  return [
+    formatRow(columns.map((column) => column.title)),
+    separator,
+    ...rows.map(formatRow),
+  ].join('\n');
+}
+
+/**
+ * Values of a metric or tagged sub-metric, e.g. metricValues(data, 'http_req_duration{phase:x}')
+ */
+export function metricValues(data, name) {
+  return data.metrics[name] ? data.metrics[name].values : {};
+}
+
+/**
+ * Whether all thresholds on a metric passed (true when it has none)
+ */
+export function thresholdsOk(data, name) {
+  const metric = data.metrics[name];
+  if (!metric || !metric.thresholds) {
+    return true;
+  }
+  return Object.values(metric.thresholds).every((threshold) => threshold.ok);
+}
+
+/**
+ * Groups with the given name below a summary group, at any depth - nested
+ * when the test called group() around the code that created them
+ */
+export function findGroups(parent, name) {
+  return (parent.groups || []).flatMap((child) => (child.name === name ? [child] : findGroups(child, name)));
+}
+
+/**
+ * Summary group without the groups of the given name, at any depth
+ */
+export function withoutGroups(parent, name) {
+  return {
+    ...parent,
+    groups: (parent.groups || []).filter((child) => child.name !== name).map((child) => withoutGroups(child, name)),
+  };
+}
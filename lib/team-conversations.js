@@ -0,0 +1,210 @@
+/**
+ * Team Conversations
+ *
+ * Builds message activities for the three Teams conversation types the way
+ * Teams delivers them, keeping per-VU conversation state:
+ *   - personal:  1:1 chat with the bot (one conversation per VU)
+ *   - groupChat: named group chat, the bot is @mentioned (`<at>` text and a
+ *                `mention` entity), sometimes together with a colleague
+ *   - channel:   team channel post with `channelData.team/channel`; either a
+ *                new thread (root post) or a threaded reply, whose
+ *                conversation ID ends in `;messageid=<root post ID>`
+ *
+ * Configuration:
+ *   - CONVERSATION_TYPES:  types to run (default: personal,groupChat,channel)
+ *   - THREAD_REPLY_RATE:   share of channel messages replying to an open thread (default: 0.5)
+ *   - EXTRA_MENTION_RATE:  share of group/channel messages also @mentioning a colleague (default: 0.2)
+ *   - TEAM_COUNT:          simulated teams (default: 3)
+ *   - CHANNELS_PER_TEAM:   channels per team (default: 2)
+ *
+ * VUs are spread over the teams and post into random channels of their team,
+ * so several VUs share each channel.
+ *
+ * Usage:
+ *   import { createTeamMessage } from '../lib/team-conversations.js';
+ *   const { activity, tags } = createTeamMessage('channel', 'hello', { from, tenantId });
+ *   sendActivity(activity, { name: 'SendMessage', ...tags });
+ */
+
+import { ConversationTypes, BOT_ACCOUNT, TENANT_ID, createConversation, createMessageActivity } from './activity-factory.js';
+
+export const CONVERSATION_TYPES = (__ENV.CONVERSATION_TYPES || 'personal,groupChat,channel')
+  .split(',')
+  .map((type) => type.trim());
+
+const THREAD_REPLY_RATE = parseFloat(__ENV.THREAD_REPLY_RATE || '0.5');
+const EXTRA_MENTION_RATE = parseFloat(__ENV.EXTRA_MENTION_RATE || '0.2');
+const TEAM_COUNT = parseInt(__ENV.TEAM_COUNT || '3', 10);
+const CHANNELS_PER_TEAM = parseInt(__ENV.CHANNELS_PER_TEAM || '2', 10);
+
+// Thread roots each VU keeps open for replies
+const OPEN_THREADS = 5;
+
+CONVERSATION_TYPES.forEach((type) => {
+  if (!Object.values(ConversationTypes).includes(type)) {
+    throw new Error(`Unknown conversation type "${type}" in CONVERSATION_TYPES (personal, groupChat, channel)`);
+  }
+});
+
+// Per-VU state - k6 keeps module state for the lifetime of each VU
+let personalChat = null;
+let groupChat = null;
+const threadRoots = [];
+
+/**
+ * Simulated team and channel for 0-based team and channel indexes
+ */
+export function createTeamChannel(teamIndex, channelIndex) {
+  const teamNumber = teamIndex % TEAM_COUNT + 1;
+  const channelNumber = channelIndex % CHANNELS_PER_TEAM + 1;
+
+  return {
+    team: {
+      id: `19:load-test-team-${teamNumber}@thread.tacv2`,
+      name: `Load Test Team ${teamNumber}`,
+      aadGroupId: `00000000-0000-4000-9000-${String(teamNumber).padStart(12, '0')}`,
+    },
+    channel: {
+      id: `19:load-test-team-${teamNumber}-channel-${channelNumber}@thread.tacv2`,
+      name: channelNumber === 1 ? 'General' : `Channel ${channelNumber}`,
+    },
+  };
+}
+
+/**
+ * Colleague @mentioned next to the bot
+ */
+function createColleague() {
+  const number = Math.floor(Math.random() * 20) + 1;
+  return { id: `29:load-test-colleague-${number}`, name: `Colleague ${number}`, role: 'user' };
+}
+
+/**
+ * Accounts to @mention in a group chat or channel message
+ */
+function pickMentions() {
+  return Math.random() < EXTRA_MENTION_RATE ? [BOT_ACCOUNT, createColleague()] : [BOT_ACCOUNT];
+}
+
+/**
+ * Personal chat message - one stable 1:1 conversation per VU
+ */
+function personalMessage(text, options) {
+  if (!personalChat) {
+    personalChat = createConversation(ConversationTypes.PERSONAL, { idPrefix: 'team-test', tenantId: options.tenantId });
+  }
+
+  return {
+    activity: createMessageActivity(text, { ...options, conversation: personalChat }),
+    tags: { conversation_type: ConversationTypes.PERSONAL },
+  };
+}
+
+/**
+ * Group chat message - one named group chat per VU, bot @mentioned
+ */
+function groupChatMessage(text, options) {
+  if (!groupChat) {
+    groupChat = createConversation(ConversationTypes.GROUP_CHAT, {
+      idPrefix: 'team-test',
+      tenantId: options.tenantId,
+      name: `Load Test Group ${__VU}`,
+    });
+  }
+
+  return {
+    activity: createMessageActivity(text, { ...options, conversation: groupChat, mentions: pickMentions() }),
+    tags: { conversation_type: ConversationTypes.GROUP_CHAT },
+  };
+}
+
+/**
+ * Channel message - a new thread, or a reply to one of the VU's open threads
+ */
+function channelMessage(text, options) {
+  const reply = threadRoots.length > 0 && Math.random() < THREAD_REPLY_RATE;
+  const root = reply ? threadRoots[Math.floor(Math.random() * threadRoots.length)] : null;
+  const { team, channel } = root || createTeamChannel(__VU - 1, Math.floor(Math.random() * CHANNELS_PER_TEAM));
+
+  const conversation = createConversation(ConversationTypes.CHANNEL, {
+    id: channel.id,
+    tenantId: options.tenantId,
+    messageId: root ? root.messageId : undefined,
+  });
+
+  const activity = createMessageActivity(text, {
+    ...options,
+    conversation: conversation,
+    team: team,
+    channelData: { teamsTeamId: team.id, teamsChannelId: channel.id, channel: channel },
+    replyToId: root ? root.messageId : undefined,
+    mentions: pickMentions(),
+  });
+
+  if (!root) {
+    threadRoots.push({ team, channel, messageId: activity.id });
+    if (threadRoots.length > OPEN_THREADS) {
+      threadRoots.shift();
+    }
+  }
+
+  return {
+    activity: activity,
+    tags: { conversation_type: ConversationTypes.CHANNEL, thread: root ? 'reply' : 'root' },
+  };
+}
+
+/**
+ * Create a message activity in a conversation of the given type
+ *
+ * Options are passed to the activity factory (idPrefix, from, locale,
+ * tenantId). Returns { activity, tags } with the `conversation_type` tag and,
+ * for channels, the `thread` tag (root or reply).
+ */
+export function createTeamMessage(type, text, options = {}) {
+  const activityOptions = { ...options, tenantId: options.tenantId || TENANT_ID };
+
+  switch (type) {
+    case ConversationTypes.PERSONAL:
+      return personalMessage(text, activityOptions);
+    case ConversationTypes.GROUP_CHAT:
+      return groupChatMessage(text, activityOptions);
+    case ConversationTypes.CHANNEL:
+      return channelMessage(text, activityOptions);
+    default:
+      throw new Error(`Unknown conversation type: ${type}`);
+  }
+}
+
+/**
+ * Build one threshold per conversation type for a metric (and channel
+ * root/reply), e.g.
+ *   conversationTypeThresholds('http_req_duration', ['p(95)<10000'])
+ *   → { 'http_req_duration{conversation_type:personal}': ['p(95)<10000'], ... }
+ */
+export function conversationTypeThresholds(metric, thresholds) {
+  const result = {};
+  CONVERSATION_TYPES.forEach((type) => {
+    result[`${metric}{conversation_type:${type}}`] = thresholds;
+    if (type === ConversationTypes.CHANNEL) {
+      result[`${metric}{conversation_type:channel,thread:root}`] = thresholds;
+      result[`${metric}{conversation_type:channel,thread:reply}`] = thresholds;
+    }
+  });
+  return result;
+}
+
+/**
+ * Summary rows: [{ label, selector }] per conversation type and channel thread kind
+ */
+export function conversationTypeRows() {
+  const rows = [];
+  CONVERSATION_TYPES.forEach((type) => {
+    rows.push({ label: type, selector: `conversation_type:${type}` });
+    if (type === ConversationTypes.CHANNEL) {
+      rows.push({ label: '  new thread', selector: 'conversation_type:channel,thread:root' });
+      rows.push({ label: '  thread reply', selector: 'conversation_type:channel,thread:reply' });
+    }
+  });
+  return rows;
+}
@@ -0,0 +1,98 @@
+/**
+ * Request Timeline
+ *
+ * handleSummary() only sees totals, so charts over time need the requests
+ * tagged with the time slice they were sent in: the planned test duration
+ * (from `options`) is split into buckets (`time_bucket`: b01, b02, …), and a
+ * threshold per bucket makes each bucket's values appear in the summary data.
+ *
+ * Usage:
+ *   import { createTimeline } from '../lib/timeline.js';
+ *   const timeline = createTimeline(options);
+ *   http.post(url, body, { tags: { ...timeline.tags() } });
+ */
+
+import exec from 'k6/execution';
+import { parseDuration } from './stages.js';
+
+// Target number of buckets - the bucket length is rounded up to whole seconds
+const TIMELINE_BUCKETS = parseInt(__ENV.REPORT_BUCKETS || '20', 10);
+
+export const TIMELINE_TAG = 'time_bucket';
+
+/**
+ * Sum of stage durations
+ */
+function stagesDurationMs(stages = []) {
+  return stages.reduce((total, stage) => total + parseDuration(stage.duration), 0);
+}
+
+/**
+ * Planned duration of a scenario, without its start time
+ */
+function scenarioDurationMs(scenario) {
+  switch (scenario.executor) {
+    case 'ramping-vus':
+    case 'ramping-arrival-rate':
+      return stagesDurationMs(scenario.stages);
+    case 'per-vu-iterations':
+    case 'shared-iterations':
+      return parseDuration(scenario.maxDuration || '10m');
+    default:
+      return parseDuration(scenario.duration);
+  }
+}
+
+/**
+ * Planned duration of the whole test in ms
+ */
+export function plannedDurationMs(options) {
+  if (options.scenarios) {
+    return Math.max(...Object.values(options.scenarios).map((scenario) => (
+      parseDuration(scenario.startTime || '0s') + scenarioDurationMs(scenario)
+    )));
+  }
+  if (options.stages) {
+    return stagesDurationMs(options.stages);
+  }
+  if (options.duration) {
+    return parseDuration(options.duration);
+  }
+  // Iteration-based test without duration: k6 default maxDuration
+  return parseDuration('10m');
+}
+
+/**
+ * Split the planned test duration into tagged buckets
+ */
+export function createTimeline(options) {
+  const durationMs = Math.max(plannedDurationMs(options), 1000);
+  const bucketMs = Math.ceil(durationMs / TIMELINE_BUCKETS / 1000) * 1000;
+  const count = Math.ceil(durationMs / bucketMs);
+  const width = Math.max(2, String(count).length);
+  const buckets = Array.from({ length: count }, (_, index) => `b${String(index + 1).padStart(width, '0')}`);
+
+  const thresholds = {};
+  buckets.forEach((bucket) => {
+    // Always pass - they only expose the bucket's sub-metrics
+    thresholds[`http_req_duration{${TIMELINE_TAG}:${bucket}}`] = ['max>=0'];
+    thresholds[`http_req_failed{${TIMELINE_TAG}:${bucket}}`] = ['rate>=0'];
+    thresholds[`http_reqs{${TIMELINE_TAG}:${bucket}}`] = ['count>=0'];
+  });
+
+  return {
+    bucketMs: bucketMs,
+    buckets: buckets,
+    thresholds: thresholds,
+
+    /**
+     * Tag for the bucket running now - requests after the planned end
+     * (graceful stop) count towards the last bucket
+     */
+    tags() {
+      const elapsedMs = exec.instance.currentTestRunDuration;
+      const index = Math.min(Math.floor(elapsedMs / bucketMs), count - 1);
+      return { [TIMELINE_TAG]: buckets[index] };
+    },
+  };
+}
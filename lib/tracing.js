@@ -0,0 +1,270 @@
+/**
+ * Request Tracing
+ *
+ * Gives every activity sent to the bot a lookup key into the bot and n8n
+ * logs:
+ *   - W3C `traceparent` header (00-<trace ID>-<span ID>-01), so a bot with
+ *     OpenTelemetry / Application Insights continues the trace into n8n
+ *   - `channelData.correlationId` (the trace ID) in the activity, for bots
+ *     that log the activity instead of the headers
+ *
+ * Every failed request and the slowest TRACE_SLOWEST successful requests
+ * are recorded with their IDs, phase and other tags, and the timings
+ * breakdown (blocked, connecting, tls_handshaking, sending, waiting,
+ * receiving):
+ *   - failed requests as one JSON line each in the console output, as they
+ *     happen - collect them with
+ *     `k6 run --log-format=raw --console-output=results/failed-traces.jsonl`
+ *   - the slowest in results/<test>-traces-<timestamp>.json. Like the failure
+ *     samples (lib/failures.js), they reach handleSummary() as base64-encoded
+ *     group names under the `request_traces` group; each VU only emits
+ *     requests that enter its own slowest list, the summary keeps the
+ *     overall slowest.
+ *
+ * Set TRACING=false to send and record nothing.
+ *
+ * sendActivity() (lib/bot-client.js) traces every activity, and
+ * summaryOutputs() (lib/summary-output.js) adds traceReport() and
+ * traceResults() to every test's handleSummary().
+ *
+ * Usage:
+ *   import { traceReport, traceResults } from '../lib/tracing.js';
+ *   // handleSummary:
+ *   //   'stdout': textSummary(...) + traceReport(data, { test, timestamp }),
+ *   //   ...traceResults(data, { test, timestamp }),
+ */
+
+import { group } from 'k6';
+import encoding from 'k6/encoding';
+import { classifyFailure } from './failures.js';
+import { formatTable, formatMs, metricValues, findGroups, withoutGroups } from './summary.js';
+
+export const TRACING_ENABLED = __ENV.TRACING !== 'false';
+
+// Slowest successful requests kept (per VU while running, in total in the results file)
+const TRACE_SLOWEST = parseInt(__ENV.TRACE_SLOWEST || '20', 10);
+
+// Slowest requests listed in the console summary
+const CONSOLE_SLOWEST = 5;
+
+export const TRACE_GROUP = 'request_traces';
+
+const TIMING_FIELDS = ['blocked', 'connecting', 'tls_handshaking', 'sending', 'waiting', 'receiving'];
+
+// Durations of this VU's slowest requests, ascending
+const slowest = [];
+
+/**
+ * Random lowercase hex string of the given length (never all zeros)
+ */
+function randomHex(length) {
+  let hex = '';
+  while (hex.length < length) {
+    hex += Math.floor(Math.random() * 0x100000000).toString(16).padStart(8, '0');
+  }
+  hex = hex.substring(0, length);
+  return /^0+$/.test(hex) ? `${hex.substring(0, length - 1)}1` : hex;
+}
+
+/**
+ * Create trace IDs for an activity and set its `channelData.correlationId`
+ *
+ * Returns { traceId, spanId, activityId, conversationId, headers }; headers
+ * holds the `traceparent` header to send with the activity ({} when
+ * TRACING=false).
+ */
+export function traceActivity(activity) {
+  if (!TRACING_ENABLED) {
+    return { headers: {} };
+  }
+
+  const traceId = randomHex(32);
+  const spanId = randomHex(16);
+  activity.channelData = { ...activity.channelData, correlationId: traceId };
+
+  return {
+    traceId: traceId,
+    spanId: spanId,
+    activityId: activity.id,
+    conversationId: activity.conversation ? activity.conversation.id : null,
+    headers: { traceparent: `00-${traceId}-${spanId}-01` },
+  };
+}
+
+/**
+ * Store a slow request's trace record in the summary data (see module comment)
+ */
+function storeTrace(record) {
+  const name = encoding.b64encode(JSON.stringify(record), 'rawurl');
+  group(TRACE_GROUP, () => {
+    group(name, () => {});
+  });
+}
+
+/**
+ * Whether a successful request of this duration enters the VU's slowest list
+ */
+function entersSlowest(durationMs) {
+  if (slowest.length >= TRACE_SLOWEST && durationMs <= slowest[0]) {
+    return false;
+  }
+  slowest.push(durationMs);
+  slowest.sort((a, b) => a - b);
+  if (slowest.length > TRACE_SLOWEST) {
+    slowest.shift();
+  }
+  return true;
+}
+
+/**
+ * Record a response if it failed or is among the VU's slowest
+ *
+ * Returns the record kind ('failed' or 'slow'), or null if nothing was recorded.
+ */
+export function recordTrace(response, trace, tags = {}) {
+  if (!TRACING_ENABLED || !trace.traceId) {
+    return null;
+  }
+
+  const category = classifyFailure(response);
+  let kind = null;
+  if (category) {
+    kind = 'failed';
+  } else if (entersSlowest(response.timings.duration)) {
+    kind = 'slow';
+  }
+  if (!kind) {
+    return null;
+  }
+
+  const timings = {};
+  TIMING_FIELDS.forEach((field) => {
+    timings[field] = Math.round(response.timings[field] * 10) / 10;
+  });
+
+  const record = {
+    kind: kind,
+    time: new Date().toISOString(),
+    vu: __VU,
+    traceId: trace.traceId,
+    spanId: trace.spanId,
+    activityId: trace.activityId,
+    conversationId: trace.conversationId,
+    name: tags.name || null,
+    phase: tags.phase || null,
+    tags: tags,
+    status: response.status,
+    category: category,
+    error: response.error || null,
+    durationMs: Math.round(response.timings.duration),
+    timings: timings,
+  };
+
+  if (kind === 'failed') {
+    console.log(JSON.stringify(record));
+  } else {
+    storeTrace(record);
+  }
+  return kind;
+}
+
+/**
+ * The overall TRACE_SLOWEST slowest successful requests from the summary data
+ */
+export function slowestTraces(data) {
+  const records = [];
+
+  findGroups(data.root_group, TRACE_GROUP).forEach((tracesGroup) => {
+    (tracesGroup.groups || []).forEach((child) => {
+      try {
+        records.push(JSON.parse(encoding.b64decode(child.name, 'rawurl', 's')));
+      } catch (error) {
+        // Not a trace record
+      }
+    });
+  });
+
+  return records.sort((a, b) => b.durationMs - a.durationMs).slice(0, TRACE_SLOWEST);
+}
+
+/**
+ * Failed bot requests of the run - each one was logged with its trace record
+ */
+function failedCount(data) {
+  return metricValues(data, 'http_req_failed{traffic:bot}').passes || 0;
+}
+
+/**
+ * Summary data without the trace record groups (for textSummary)
+ */
+export function stripTraceRecords(data) {
+  return { ...data, root_group: withoutGroups(data.root_group, TRACE_GROUP) };
+}
+
+/**
+ * Path of the trace results file
+ */
+function tracePath(meta) {
+  return `results/${meta.test}-traces-${meta.timestamp}.json`;
+}
+
+/**
+ * Slowest requests with their trace IDs for handleSummary stdout
+ * ('' when TRACING=false or nothing was recorded)
+ *
+ * meta: { test, timestamp }
+ */
+export function traceReport(data, meta) {
+  const slowest = slowestTraces(data);
+  const failed = failedCount(data);
+  if (!TRACING_ENABLED || (slowest.length === 0 && failed === 0)) {
+    return '';
+  }
+
+  const lines = [''];
+  if (slowest.length > 0) {
+    const table = formatTable([
+      { title: 'trace ID' },
+      { title: 'request' },
+      { title: 'phase' },
+      { title: 'duration', align: 'right' },
+      { title: 'waiting', align: 'right' },
+      { title: 'connecting', align: 'right' },
+    ], slowest.slice(0, CONSOLE_SLOWEST).map((record) => [
+      record.traceId,
+      record.name || '-',
+      record.phase || '-',
+      formatMs(record.durationMs),
+      formatMs(record.timings.waiting),
+      formatMs(record.timings.connecting),
+    ]));
+    lines.push('  Slowest requests (search the bot and n8n logs for the trace ID / channelData.correlationId)', '', table, '');
+    lines.push(`  Slowest ${TRACE_SLOWEST}: ${tracePath(meta)}`, '');
+  }
+
+  if (failed > 0) {
+    lines.push(`  ${failed} failed request(s) - their trace IDs are logged as JSON lines`
+      + ' (k6 run --log-format=raw --console-output=<file>)', '');
+  }
+  return lines.join('\n');
+}
+
+/**
+ * handleSummary output entry for the trace results file ({} when TRACING=false)
+ *
+ * meta: { test, timestamp }
+ */
+export function traceResults(data, meta) {
+  if (!TRACING_ENABLED) {
+    return {};
+  }
+
+  return {
+    [tracePath(meta)]: JSON.stringify({
+      generatedAt: new Date().toISOString(),
+      test: meta.test,
+      settings: { slowest: TRACE_SLOWEST },
+      slowest: slowestTraces(data),
+    }, null, 2),
+  };
+}
@@ -0,0 +1,529 @@
+/**
+ * Workload Plan
+ *
+ * Validates and normalizes a workload plan - named scenarios that run
+ * concurrently against the bot - and turns it into k6 `options.scenarios`
+ * and thresholds. Plain JavaScript without k6 or Node imports, so the plan
+ * is checked the same way by the CLI (scripts/run-workload.js) before k6
+ * starts and by tests/workload.test.js in the k6 init context.
+ *
+ * Plan:
+ *   name:       plan name, used in result file names (required)
+ *   duration:   default scenario duration (default: 5m)
+ *   load:       total load split by scenario `share`:
+ *               { rate, timeUnit } (arrival rate) or { vus } (looping VUs);
+ *               shares of a rate keep their exact ratio by moving to a longer
+ *               time unit, plans whose shares round off by more than 2% fail
+ *   expectedResponseS: sizes arrival-rate VU pools (Little's law, default: 30)
+ *   thresholds: test-wide thresholds, replacing the defaults per metric
+ *   scenarios:  { <name>: scenario } (required)
+ *
+ * Scenario:
+ *   type:       message (prompt from the corpus) or card (card action click)
+ *   share:      fraction of `load`, or an explicit k6 executor:
+ *   executor:   constant-vus, ramping-vus, constant-arrival-rate, ramping-arrival-rate
+ *               with vus / rate / timeUnit / duration / stages / startVUs /
+ *               startRate / preAllocatedVUs / maxVUs as in k6
+ *   startTime:  scenario start offset (default: 0s)
+ *   prompts:    { categories: [...], intents: [...] } - message mix (type message)
+ *   cards:      card action names (type card)
+ *   cohort:     identity pool cohort the users are taken from
+ *   thinkTime:  seconds between iterations of looping VUs, n or [min, max] (default: [1, 3])
+ *   slowMs:     accepted requests slower than this count as slow failures (default: 10000)
+ *   thresholds: thresholds scoped to the scenario (`{scenario:<name>}`)
+ *
+ * Usage:
+ *   import { normalizePlan, buildScenarios, buildThresholds } from '../lib/workload-plan.js';
+ *   const plan = normalizePlan(JSON.parse(open(path)), path);
+ *   export const options = { scenarios: buildScenarios(plan), thresholds: buildThresholds(plan) };
+ */
+
+export const WorkloadTypes = {
+  MESSAGE: 'message',
+  CARD: 'card',
+};
+
+// Exec function of the workload test per scenario type
+export const WORKLOAD_EXEC = {
+  [WorkloadTypes.MESSAGE]: 'messageScenario',
+  [WorkloadTypes.CARD]: 'cardScenario',
+};
+
+const EXECUTORS = ['constant-vus', 'ramping-vus', 'constant-arrival-rate', 'ramping-arrival-rate'];
+
+const PLAN_KEYS = ['name', 'description', 'duration', 'load', 'expectedResponseS', 'thresholds', 'scenarios'];
+
+const SCENARIO_KEYS = [
+  'type', 'description', 'share', 'executor', 'vus', 'rate', 'timeUnit', 'duration', 'stages',
+  'startVUs', 'startRate', 'preAllocatedVUs', 'maxVUs', 'startTime', 'prompts', 'cards', 'cohort',
+  'thinkTime', 'slowMs', 'thresholds',
+];
+
+// Applied unless the plan sets its own thresholds for these metrics
+const DEFAULT_THRESHOLDS = {
+  http_req_failed: ['rate<0.01'],
+  errors: ['rate<0.05'],
+};
+
+const DEFAULT_DURATION = '5m';
+const DEFAULT_EXPECTED_RESPONSE_S = 30;
+const DEFAULT_THINK_TIME = [1, 3];
+const DEFAULT_SLOW_MS = 10000;
+
+// Largest change of a scenario's share by rounding its VUs / rate to whole numbers
+const SHARE_TOLERANCE = 0.02;
+
+// Longer time units tried until a share of the load rate is a whole number
+const SHARE_TIME_UNITS = ['1s', '1m', '1h'];
+
+const DURATION_PATTERN = /^(\d+(\.\d+)?(ms|s|m|h))+$/;
+const NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]*$/;
+
+/**
+ * Whether a value is a plain object
+ */
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Whether a value is a positive number (integer if requested)
+ */
+function isPositive(value, integer = false) {
+  return typeof value === 'number' && value > 0 && (!integer || Number.isInteger(value));
+}
+
+/**
+ * Whether a value is a k6 duration longer than zero (e.g. 30s, 5m, 1h30m)
+ */
+function isPositiveDuration(value) {
+  return DURATION_PATTERN.test(String(value)) && durationSeconds(value) > 0;
+}
+
+/**
+ * Whether a value is an array of non-empty strings
+ */
+function isStringList(value) {
+  return Array.isArray(value) && value.every((item) => typeof item === 'string' && item !== '');
+}
+
+/**
+ * Problems in a thresholds object ({ metric: ['expression', ...] })
+ */
+function thresholdErrors(thresholds, where) {
+  if (!isObject(thresholds)) {
+    return [`${where}: thresholds must be an object of metric → list of expressions`];
+  }
+  return Object.keys(thresholds)
+    .filter((metric) => !Array.isArray(thresholds[metric]) || thresholds[metric].length === 0)
+    .map((metric) => `${where}: thresholds.${metric} must be a non-empty list`);
+}
+
+/**
+ * Problems in k6 stages ([{ duration, target }])
+ */
+function stageErrors(stages, where) {
+  if (!Array.isArray(stages) || stages.length === 0) {
+    return [`${where}: stages must be a non-empty list of { duration, target }`];
+  }
+  const errors = [];
+  stages.forEach((stage, index) => {
+    if (!isObject(stage) || !DURATION_PATTERN.test(String(stage.duration)) || !(typeof stage.target === 'number' && stage.target >= 0)) {
+      errors.push(`${where}: stages[${index}] needs a duration (e.g. 30s) and a target >= 0`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Problems in one scenario of the plan
+ */
+function scenarioErrors(name, scenario, plan) {
+  const where = `scenarios.${name}`;
+  if (!NAME_PATTERN.test(name)) {
+    return [`${where}: name may only contain letters, digits, "-" and "_"`];
+  }
+  if (!isObject(scenario)) {
+    return [`${where}: must be an object`];
+  }
+
+  const errors = Object.keys(scenario)
+    .filter((key) => !SCENARIO_KEYS.includes(key))
+    .map((key) => `${where}: unknown key "${key}"`);
+
+  const type = scenario.type || WorkloadTypes.MESSAGE;
+  if (!Object.values(WorkloadTypes).includes(type)) {
+    errors.push(`${where}: unknown type "${type}" (${Object.values(WorkloadTypes).join(', ')})`);
+  }
+
+  if (scenario.share !== undefined) {
+    if (scenario.executor !== undefined) {
+      errors.push(`${where}: set either share or executor, not both`);
+    }
+    if (!(typeof scenario.share === 'number' && scenario.share > 0 && scenario.share <= 1)) {
+      errors.push(`${where}: share must be a number in (0, 1]`);
+    }
+    if (!plan.load) {
+      errors.push(`${where}: share needs a plan-level load ({ rate, timeUnit } or { vus })`);
+    }
+  } else if (!EXECUTORS.includes(scenario.executor)) {
+    errors.push(`${where}: needs a share or an executor (${EXECUTORS.join(', ')})`);
+  } else {
+    switch (scenario.executor) {
+      case 'constant-vus':
+        if (!isPositive(scenario.vus, true)) errors.push(`${where}: constant-vus needs vus (positive integer)`);
+        break;
+      case 'constant-arrival-rate':
+        if (!isPositive(scenario.rate)) errors.push(`${where}: constant-arrival-rate needs a positive rate`);
+        break;
+      default:
+        errors.push(...stageErrors(scenario.stages, where));
+    }
+  }
+
+  ['duration', 'timeUnit'].forEach((key) => {
+    if (scenario[key] !== undefined && !isPositiveDuration(scenario[key])) {
+      errors.push(`${where}: ${key} "${scenario[key]}" is not a positive duration (e.g. 30s, 5m, 1h30m)`);
+    }
+  });
+  if (scenario.startTime !== undefined && !DURATION_PATTERN.test(String(scenario.startTime))) {
+    errors.push(`${where}: startTime "${scenario.startTime}" is not a duration (e.g. 30s, 5m, 1h30m)`);
+  }
+  ['startVUs', 'startRate', 'preAllocatedVUs', 'maxVUs'].forEach((key) => {
+    if (scenario[key] !== undefined && !(Number.isInteger(scenario[key]) && scenario[key] >= 0)) {
+      errors.push(`${where}: ${key} must be a non-negative integer`);
+    }
+  });
+
+  if (scenario.prompts !== undefined) {
+    if (type !== WorkloadTypes.MESSAGE) {
+      errors.push(`${where}: prompts only apply to type message`);
+    } else if (!isObject(scenario.prompts)
+      || Object.keys(scenario.prompts).some((key) => !['categories', 'intents'].includes(key))
+      || Object.values(scenario.prompts).some((value) => !isStringList(value))) {
+      errors.push(`${where}: prompts must be { categories: [...], intents: [...] }`);
+    }
+  }
+  if (scenario.cards !== undefined) {
+    if (type !== WorkloadTypes.CARD) {
+      errors.push(`${where}: cards only apply to type card`);
+    } else if (!isStringList(scenario.cards)) {
+      errors.push(`${where}: cards must be a list of card action names`);
+    }
+  }
+  if (scenario.cohort !== undefined && (typeof scenario.cohort !== 'string' || scenario.cohort === '')) {
+    errors.push(`${where}: cohort must be a cohort name`);
+  }
+
+  const thinkTime = scenario.thinkTime;
+  if (thinkTime !== undefined
+    && !(typeof thinkTime === 'number' && thinkTime >= 0)
+    && !(Array.isArray(thinkTime) && thinkTime.length === 2 && thinkTime.every((value) => typeof value === 'number' && value >= 0) && thinkTime[0] <= thinkTime[1])) {
+    errors.push(`${where}: thinkTime must be seconds or [min, max]`);
+  }
+  if (scenario.slowMs !== undefined && !isPositive(scenario.slowMs)) {
+    errors.push(`${where}: slowMs must be a positive number`);
+  }
+  if (scenario.thresholds !== undefined) {
+    errors.push(...thresholdErrors(scenario.thresholds, where));
+  }
+
+  return errors;
+}
+
+/**
+ * Seconds in a k6 duration string
+ */
+function durationSeconds(duration) {
+  const units = { ms: 0.001, s: 1, m: 60, h: 3600 };
+  let total = 0;
+  String(duration).replace(/(\d+(?:\.\d+)?)(ms|s|m|h)/g, (match, value, unit) => {
+    total += parseFloat(value) * units[unit];
+    return match;
+  });
+  return total;
+}
+
+/**
+ * A scenario's `share` of the plan load as whole VUs or a whole rate
+ *
+ * Rates move to a longer time unit until the share is exact (0.7 of 1/s →
+ * 42/1m). Returns { vus } or { rate, timeUnit }, plus `deviation`: the
+ * relative change of the share left by rounding.
+ */
+function shareOfLoad(load, share) {
+  if (load.vus !== undefined) {
+    const exact = load.vus * share;
+    const vus = Math.max(1, Math.round(exact));
+    return { vus: vus, deviation: Math.abs(vus - exact) / exact };
+  }
+
+  const timeUnit = load.timeUnit || '1s';
+  const perSecond = (load.rate / durationSeconds(timeUnit)) * share;
+  const units = [timeUnit, ...SHARE_TIME_UNITS.filter((unit) => durationSeconds(unit) > durationSeconds(timeUnit))];
+
+  let best = null;
+  units.forEach((unit) => {
+    const exact = perSecond * durationSeconds(unit);
+    const rate = Math.max(1, Math.round(exact));
+    const deviation = Math.abs(rate - exact) / exact;
+    if (!best || deviation < best.deviation - 1e-9) {
+      best = { rate: rate, timeUnit: unit, deviation: deviation };
+    }
+  });
+  return best;
+}
+
+/**
+ * List every problem in a plan ([] when it is valid)
+ */
+export function validatePlan(plan) {
+  if (!isObject(plan)) {
+    return ['plan must be an object with name and scenarios'];
+  }
+
+  const errors = Object.keys(plan)
+    .filter((key) => !PLAN_KEYS.includes(key))
+    .map((key) => `unknown key "${key}"`);
+
+  if (typeof plan.name !== 'string' || !NAME_PATTERN.test(plan.name)) {
+    errors.push('name is required (letters, digits, "-" and "_")');
+  }
+  if (plan.duration !== undefined && !isPositiveDuration(plan.duration)) {
+    errors.push(`duration "${plan.duration}" is not a positive duration (e.g. 30s, 5m, 1h30m)`);
+  }
+  if (plan.expectedResponseS !== undefined && !isPositive(plan.expectedResponseS)) {
+    errors.push('expectedResponseS must be a positive number');
+  }
+  if (plan.thresholds !== undefined) {
+    errors.push(...thresholdErrors(plan.thresholds, 'plan'));
+  }
+
+  let loadValid = false;
+  if (plan.load !== undefined) {
+    const load = plan.load;
+    if (!isObject(load) || (load.rate === undefined) === (load.vus === undefined)) {
+      errors.push('load must be { rate, timeUnit } or { vus }');
+    } else if (load.rate !== undefined && !isPositive(load.rate)) {
+      errors.push('load.rate must be a positive number');
+    } else if (load.vus !== undefined && !isPositive(load.vus, true)) {
+      errors.push('load.vus must be a positive integer');
+    } else if (load.timeUnit !== undefined && !isPositiveDuration(load.timeUnit)) {
+      errors.push(`load.timeUnit "${load.timeUnit}" is not a positive duration`);
+    } else {
+      loadValid = true;
+    }
+  }
+
+  if (!isObject(plan.scenarios) || Object.keys(plan.scenarios).length === 0) {
+    errors.push('scenarios must name at least one scenario');
+    return errors;
+  }
+
+  Object.keys(plan.scenarios).forEach((name) => {
+    errors.push(...scenarioErrors(name, plan.scenarios[name], plan));
+  });
+
+  const shares = Object.values(plan.scenarios)
+    .filter((scenario) => isObject(scenario) && typeof scenario.share === 'number')
+    .reduce((sum, scenario) => sum + scenario.share, 0);
+  if (shares > 1.0001) {
+    errors.push(`scenario shares add up to ${Math.round(shares * 1000) / 1000}, at most 1`);
+  }
+
+  if (loadValid) {
+    Object.keys(plan.scenarios).forEach((name) => {
+      const scenario = plan.scenarios[name];
+      if (!isObject(scenario) || !(typeof scenario.share === 'number' && scenario.share > 0 && scenario.share <= 1)) {
+        return;
+      }
+      const resolved = shareOfLoad(plan.load, scenario.share);
+      if (resolved.deviation > SHARE_TOLERANCE) {
+        const actual = resolved.vus !== undefined ? `${resolved.vus} VUs` : `${resolved.rate}/${resolved.timeUnit}`;
+        errors.push(`scenarios.${name}: share ${scenario.share} of the load rounds to ${actual}, `
+          + `${Math.round(resolved.deviation * 100)}% off - raise the load or adjust the shares`);
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * VU pool for an arrival rate (Little's law: rate/s × expected response time)
+ */
+function arrivalVus(rate, timeUnit, expectedResponseS) {
+  const preAllocated = Math.max(1, Math.ceil((rate / durationSeconds(timeUnit)) * expectedResponseS));
+  return { preAllocatedVUs: preAllocated, maxVUs: preAllocated * 3 };
+}
+
+/**
+ * k6 executor settings of a scenario, with its `share` of the plan load resolved
+ */
+function executorSettings(scenario, plan, duration, expectedResponseS) {
+  if (scenario.share !== undefined) {
+    const { vus, rate, timeUnit } = shareOfLoad(plan.load, scenario.share);
+    if (vus !== undefined) {
+      return { executor: 'constant-vus', vus, duration };
+    }
+    return { executor: 'constant-arrival-rate', rate, timeUnit, duration, ...arrivalVus(rate, timeUnit, expectedResponseS) };
+  }
+
+  switch (scenario.executor) {
+    case 'constant-vus':
+      return { executor: scenario.executor, vus: scenario.vus, duration };
+    case 'ramping-vus':
+      return { executor: scenario.executor, startVUs: scenario.startVUs || 0, stages: scenario.stages };
+    case 'constant-arrival-rate': {
+      const timeUnit = scenario.timeUnit || '1s';
+      return {
+        executor: scenario.executor,
+        rate: scenario.rate,
+        timeUnit,
+        duration,
+        ...arrivalVus(scenario.rate, timeUnit, expectedResponseS),
+      };
+    }
+    default: {
+      const timeUnit = scenario.timeUnit || '1s';
+      const peak = Math.max(scenario.startRate || 0, ...scenario.stages.map((stage) => stage.target));
+      return {
+        executor: scenario.executor,
+        startRate: scenario.startRate || 0,
+        timeUnit,
+        stages: scenario.stages,
+        ...arrivalVus(peak, timeUnit, expectedResponseS),
+      };
+    }
+  }
+}
+
+/**
+ * Validate a plan and fill in the defaults
+ *
+ * Throws one Error listing every problem. Returns { name, description,
+ * load, thresholds, scenarios: [{ name, type, share, k6, prompts, cards,
+ * cohort, thinkTime, slowMs, thresholds }] }, where `k6` holds the executor
+ * settings.
+ */
+export function normalizePlan(plan, source = 'plan') {
+  const errors = validatePlan(plan);
+  if (errors.length > 0) {
+    throw new Error(`Invalid workload plan ${source}:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  const duration = plan.duration || DEFAULT_DURATION;
+  const expectedResponseS = plan.expectedResponseS || DEFAULT_EXPECTED_RESPONSE_S;
+
+  return {
+    name: plan.name,
+    description: plan.description || '',
+    load: plan.load || null,
+    thresholds: { ...DEFAULT_THRESHOLDS, ...(plan.thresholds || {}) },
+    scenarios: Object.keys(plan.scenarios).map((name) => {
+      const scenario = plan.scenarios[name];
+      const settings = executorSettings(scenario, plan, scenario.duration || duration, expectedResponseS);
+      const thinkTime = scenario.thinkTime === undefined ? DEFAULT_THINK_TIME : scenario.thinkTime;
+
+      return {
+        name: name,
+        type: scenario.type || WorkloadTypes.MESSAGE,
+        description: scenario.description || '',
+        share: scenario.share === undefined ? null : scenario.share,
+        k6: {
+          ...settings,
+          ...(scenario.preAllocatedVUs !== undefined ? { preAllocatedVUs: scenario.preAllocatedVUs } : {}),
+          ...(scenario.maxVUs !== undefined ? { maxVUs: scenario.maxVUs } : {}),
+          ...(scenario.startTime ? { startTime: scenario.startTime } : {}),
+        },
+        prompts: { categories: [], intents: [], ...(scenario.prompts || {}) },
+        cards: scenario.cards || [],
+        cohort: scenario.cohort || null,
+        thinkTime: Array.isArray(thinkTime) ? thinkTime : [thinkTime, thinkTime],
+        slowMs: scenario.slowMs || DEFAULT_SLOW_MS,
+        thresholds: scenario.thresholds || {},
+      };
+    }),
+  };
+}
+
+/**
+ * k6 `options.scenarios` for a normalized plan
+ */
+export function buildScenarios(plan) {
+  const scenarios = {};
+  plan.scenarios.forEach((scenario) => {
+    scenarios[scenario.name] = {
+      ...scenario.k6,
+      exec: WORKLOAD_EXEC[scenario.type],
+      tags: { workload_type: scenario.type },
+    };
+  });
+  return scenarios;
+}
+
+/**
+ * Add a tag to a threshold key: 'metric' → 'metric{tag}', 'metric{a:b}' → 'metric{a:b,tag}'
+ */
+function scopeThreshold(metric, tag) {
+  return metric.endsWith('}') ? `${metric.slice(0, -1)},${tag}}` : `${metric}{${tag}}`;
+}
+
+/**
+ * Threshold key of a plan metric: the built-in `http_req_*` metrics only
+ * count bot requests (`traffic:bot`, see lib/bot-client.js), not token
+ * mints or server scrapes
+ */
+function planThresholdKey(metric) {
+  if (!/^http_reqs?(_|\{|$)/.test(metric) || metric.includes('traffic:')) {
+    return metric;
+  }
+  return scopeThreshold(metric, 'traffic:bot');
+}
+
+/**
+ * Threshold key of a metric in one scenario, e.g.
+ * 'http_req_duration' → 'http_req_duration{traffic:bot,scenario:chat}'
+ */
+export function scenarioThresholdKey(metric, scenarioName) {
+  return scopeThreshold(planThresholdKey(metric), `scenario:${scenarioName}`);
+}
+
+/**
+ * k6 thresholds for a normalized plan: test-wide, per-scenario, and an
+ * always-passing latency / error sub-metric per scenario for the summary
+ */
+export function buildThresholds(plan) {
+  const thresholds = {};
+  Object.keys(plan.thresholds).forEach((metric) => {
+    thresholds[planThresholdKey(metric)] = plan.thresholds[metric];
+  });
+  plan.scenarios.forEach((scenario) => {
+    thresholds[scenarioThresholdKey('http_req_duration', scenario.name)] = ['max>=0'];
+    thresholds[scenarioThresholdKey('http_reqs', scenario.name)] = ['count>=0'];
+    thresholds[scenarioThresholdKey('errors', scenario.name)] = ['rate>=0'];
+    Object.keys(scenario.thresholds).forEach((metric) => {
+      const key = scenarioThresholdKey(metric, scenario.name);
+      thresholds[key] = [...(thresholds[key] || []).filter((expression) => !/>=\s*0\s*$/.test(expression)), ...scenario.thresholds[metric]];
+    });
+  });
+  return thresholds;
+}
+
+/**
+ * One-line load description of a normalized scenario, e.g. 'constant-arrival-rate 42/1m for 10m'
+ */
+export function describeScenarioLoad(scenario) {
+  const k6 = scenario.k6;
+  const start = k6.startTime ? ` from ${k6.startTime}` : '';
+  switch (k6.executor) {
+    case 'constant-vus':
+      return `${k6.vus} VUs for ${k6.duration}${start}`;
+    case 'constant-arrival-rate':
+      return `${k6.rate}/${k6.timeUnit} for ${k6.duration}${start}`;
+    case 'ramping-vus':
+      return `ramping to ${k6.stages.map((stage) => stage.target).join(' → ')} VUs${start}`;
+    default:
+      return `ramping to ${k6.stages.map((stage) => stage.target).join(' → ')}/${k6.timeUnit}${start}`;
+  }
+}
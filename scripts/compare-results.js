@@ -0,0 +1,309 @@
+#!/usr/bin/env node
+
+/**
+ * Compare Results Script
+ *
+ * Compares k6 summary JSONs against a baseline and exits non-zero when a
+ * run regresses beyond the tolerances - a release gate for "no worse than
+ * the last release". Accepts the summary `data` written from handleSummary()
+ * (e.g. results/stress-<timestamp>.json) and `k6 run --summary-export` files.
+ *
+ * Compared per metric and tagged sub-metric (see lib/compare.js):
+ *   - p50 / p95 / p99 latency, error and check rates, throughput (req/s)
+ *   - custom counters, gauges and trends (informational)
+ *
+ * Usage:
+ *   node scripts/compare-results.js <baseline.json> <run.json> [<run.json> ...]
+ *   npm run compare -- --baseline baselines/stress.json results/stress-<timestamp>.json
+ *   npm run compare -- --baseline baselines/stress.json --update-baseline results/stress-<timestamp>.json
+ *
+ * Options:
+ *   --baseline <file>            Stored baseline (default: first file)
+ *   --update-baseline            Store the last run as the baseline if it passes
+ *                                (or if the baseline file does not exist yet)
+ *   --tolerances <file>          JSON with tolerance overrides (see DEFAULT_TOLERANCES)
+ *   --latency-tolerance <n>      Relative p50/p95/p99 increase (default 0.10)
+ *   --rate-tolerance <n>         Absolute rate change (default 0.01)
+ *   --throughput-tolerance <n>   Relative throughput decrease (default 0.10)
+ *   --filter <regex>             Only compare metrics matching the pattern
+ *   --json                       Machine-readable output
+ *
+ * Exit codes: 0 = no regressions, 1 = regressions, 2 = usage or input error
+ */
+
+import { existsSync, mkdirSync, readFileSync, copyFileSync } from 'fs';
+import { basename, dirname, resolve } from 'path';
+import { compareSummaries } from '../lib/compare.js';
+import { formatTable, formatMs, formatPercent, formatNumber } from '../lib/summary.js';
+
+// Color codes for terminal output
+const colors = {
+  reset: '\x1b[0m',
+  bright: '\x1b[1m',
+  dim: '\x1b[2m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  cyan: '\x1b[36m',
+};
+
+const CHECK_MARK = '✓';
+const CROSS_MARK = '✗';
+const WARNING_MARK = '⚠';
+
+/**
+ * Error for invalid arguments or unreadable input (exit code 2)
+ */
+class UsageError extends Error {}
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+  const args = {
+    baseline: null,
+    updateBaseline: false,
+    tolerances: {},
+    filter: null,
+    json: false,
+    files: [],
+  };
+
+  const numberArg = (flag, value) => {
+    const number = parseFloat(value);
+    if (Number.isNaN(number) || number < 0) {
+      throw new UsageError(`${flag} expects a non-negative number, got "${value}"`);
+    }
+    return number;
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => {
+      if (i + 1 >= argv.length) {
+        throw new UsageError(`${arg} expects a value`);
+      }
+      return argv[++i];
+    };
+
+    switch (arg) {
+      case '--baseline':
+        args.baseline = next();
+        break;
+      case '--update-baseline':
+        args.updateBaseline = true;
+        break;
+      case '--tolerances':
+        args.tolerances = { ...readJson(next()), ...args.tolerances };
+        break;
+      case '--latency-tolerance':
+        args.tolerances.latency = numberArg(arg, next());
+        break;
+      case '--rate-tolerance':
+        args.tolerances.rate = numberArg(arg, next());
+        break;
+      case '--throughput-tolerance':
+        args.tolerances.throughput = numberArg(arg, next());
+        break;
+      case '--filter':
+        args.filter = new RegExp(next());
+        break;
+      case '--json':
+        args.json = true;
+        break;
+      default:
+        if (arg.startsWith('--')) {
+          throw new UsageError(`Unknown option ${arg}`);
+        }
+        args.files.push(arg);
+    }
+  }
+
+  if (!args.baseline) {
+    args.baseline = args.files.shift() || null;
+  }
+  if (!args.baseline || args.files.length === 0) {
+    throw new UsageError('Usage: compare-results.js [--baseline <file>] <run.json> [<run.json> ...]');
+  }
+
+  return args;
+}
+
+/**
+ * Read and parse a JSON file
+ */
+function readJson(file) {
+  try {
+    return JSON.parse(readFileSync(resolve(file), 'utf-8'));
+  } catch (error) {
+    throw new UsageError(`Cannot read ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * Format a compared value by kind
+ */
+function formatValue(row, value) {
+  if (row.kind === 'latency') {
+    return formatMs(value);
+  }
+  if (row.kind === 'rate') {
+    return formatPercent(value);
+  }
+  if (row.kind === 'throughput') {
+    return value === undefined ? '-' : `${formatNumber(value)}/s`;
+  }
+  return value === undefined ? '-' : String(Math.round(value * 100) / 100);
+}
+
+/**
+ * Format a change: relative in %, absolute rates in percentage points
+ */
+function formatChange(row) {
+  if (row.change === null || Number.isNaN(row.change)) {
+    return '-';
+  }
+  const sign = row.change >= 0 ? '+' : '';
+  return row.relative
+    ? `${sign}${formatPercent(row.change)}`
+    : `${sign}${formatNumber(row.change * 100, 1)}pp`;
+}
+
+/**
+ * Status cell for a row
+ */
+function formatStatus(row) {
+  if (row.regression) {
+    return `${CROSS_MARK} REGRESSION`;
+  }
+  return row.gated ? CHECK_MARK : '';
+}
+
+/**
+ * Print the comparison of one run
+ */
+function printComparison(baselineFile, runFile, result) {
+  console.log('');
+  console.log(`${colors.bright}${colors.cyan}${basename(runFile)} vs ${basename(baselineFile)}${colors.reset}`);
+  console.log('─'.repeat(60));
+
+  const rows = result.rows.map((row) => [
+    row.metric,
+    row.stat,
+    formatValue(row, row.baseline),
+    formatValue(row, row.value),
+    formatChange(row),
+    formatStatus(row),
+  ]);
+
+  const table = formatTable([
+    { title: 'metric' },
+    { title: 'stat' },
+    { title: 'baseline', align: 'right' },
+    { title: 'run', align: 'right' },
+    { title: 'change', align: 'right' },
+    { title: '' },
+  ], rows);
+
+  // Color whole lines after alignment so escape codes don't break the widths
+  console.log(table.split('\n').map((line) => (line.includes('REGRESSION') ? `${colors.red}${line}${colors.reset}` : line)).join('\n'));
+
+  if (result.missing.length > 0) {
+    console.log('');
+    console.log(`  ${colors.yellow}${WARNING_MARK} Only in baseline:${colors.reset} ${result.missing.join(', ')}`);
+  }
+  if (result.added.length > 0) {
+    console.log(`  ${colors.dim}Only in run: ${result.added.join(', ')}${colors.reset}`);
+  }
+
+  console.log('');
+  if (result.regressions.length > 0) {
+    console.log(`  ${colors.red}${CROSS_MARK} ${result.regressions.length} regression(s) beyond tolerance${colors.reset}`);
+  } else {
+    console.log(`  ${colors.green}${CHECK_MARK} No regressions beyond tolerance${colors.reset}`);
+  }
+}
+
+/**
+ * Store a run as the new baseline
+ */
+function saveBaseline(runFile, baselineFile) {
+  mkdirSync(dirname(resolve(baselineFile)), { recursive: true });
+  copyFileSync(resolve(runFile), resolve(baselineFile));
+}
+
+/**
+ * Main comparison function
+ */
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const lastRun = args.files[args.files.length - 1];
+
+  // First run against a new baseline file: store it and pass
+  if (args.updateBaseline && !existsSync(resolve(args.baseline))) {
+    readJson(lastRun);
+    saveBaseline(lastRun, args.baseline);
+    if (args.json) {
+      console.log(JSON.stringify({ ok: true, baseline: args.baseline, baselineCreated: true, runs: [] }, null, 2));
+    } else {
+      console.log(`${colors.green}${CHECK_MARK}${colors.reset} No baseline yet - stored ${lastRun} as ${args.baseline}`);
+    }
+    return 0;
+  }
+
+  const baseline = readJson(args.baseline);
+  const runs = args.files.map((file) => {
+    const summary = readJson(file);
+    let result;
+    try {
+      result = compareSummaries(baseline, summary, args.tolerances, args.filter);
+    } catch (error) {
+      throw new UsageError(`${file}: ${error.message}`);
+    }
+    return { file, ...result };
+  });
+
+  const ok = runs.every((run) => run.regressions.length === 0);
+  const baselineUpdated = ok && args.updateBaseline;
+  if (baselineUpdated) {
+    saveBaseline(lastRun, args.baseline);
+  }
+
+  if (args.json) {
+    console.log(JSON.stringify({
+      ok: ok,
+      baseline: args.baseline,
+      baselineUpdated: baselineUpdated,
+      tolerances: runs[0].tolerances,
+      runs: runs.map((run) => ({
+        file: run.file,
+        ok: run.regressions.length === 0,
+        regressions: run.regressions,
+        missing: run.missing,
+        added: run.added,
+        rows: run.rows,
+      })),
+    }, null, 2));
+    return ok ? 0 : 1;
+  }
+
+  runs.forEach((run) => printComparison(args.baseline, run.file, run));
+
+  const tolerances = runs[0].tolerances;
+  console.log('');
+  console.log(`${colors.dim}Tolerances: latency +${formatPercent(tolerances.latency)}, `
+    + `rates ±${formatNumber(tolerances.rate * 100, 1)}pp, throughput -${formatPercent(tolerances.throughput)}${colors.reset}`);
+  if (baselineUpdated) {
+    console.log(`${colors.green}${CHECK_MARK}${colors.reset} Baseline updated: ${args.baseline}`);
+  }
+
+  return ok ? 0 : 1;
+}
+
+// Run the script
+try {
+  process.exit(main());
+} catch (error) {
+  console.error(`${colors.red}Error:${colors.reset} ${error.message}`);
+  process.exit(error instanceof UsageError ? 2 : 1);
+}
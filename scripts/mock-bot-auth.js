@@ -0,0 +1,215 @@
+#!/usr/bin/env node
+
+/**
+ * Mock Bot Framework Auth Service
+ *
+ * Local stand-in for the Bot Framework channel token issuer, so the bot's
+ * real JWT validation path can be load-tested offline (without
+ * LOAD_TEST_MODE and the x-api-key shortcut):
+ *   - serves OpenID metadata and a JWKS like
+ *     https://login.botframework.com/v1/.well-known/openidconfiguration
+ *   - mints RS256 tokens with the claims of Bot Framework channel tokens
+ *     (iss https://api.botframework.com, aud = bot app ID, serviceurl)
+ *
+ * Point the bot's channel validation at the metadata URL:
+ *   - CloudAdapter / ConfigurationBotFrameworkAuthentication:
+ *       ToBotFromChannelOpenIdMetadataUrl=http://localhost:3980/v1/.well-known/openidconfiguration
+ *   - BotFrameworkAdapter: ChannelValidation.OpenIdMetadataEndpoint = <same URL>
+ *
+ * The signing key is stored in MOCK_AUTH_KEY_FILE and reused on restart -
+ * the bot caches the JWKS and only re-fetches it for unknown key IDs once
+ * per hour.
+ *
+ * Auth API (called by the bot):
+ *   GET  /v1/.well-known/openidconfiguration
+ *   GET  /v1/.well-known/keys
+ *
+ * Test API (called by k6):
+ *   POST /token   { appId, serviceUrl, lifetime } → { access_token, expires_in, expires_on }
+ *   GET  /stats
+ *   GET  /health
+ *
+ * Usage:
+ *   node scripts/mock-bot-auth.js
+ *   npm run mock:auth
+ *   MOCK_AUTH_PORT=4000 npm run mock:auth
+ */
+
+import { createServer } from 'http';
+import { createPrivateKey, createPublicKey, createSign, generateKeyPairSync, createHash } from 'crypto';
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { dirname, resolve } from 'path';
+
+const PORT = parseInt(process.env.MOCK_AUTH_PORT || '3980', 10);
+const KEY_FILE = resolve(process.env.MOCK_AUTH_KEY_FILE || 'tmp/mock-bot-auth-key.pem');
+
+// Claims of Bot Framework channel tokens (botframework-connector AuthenticationConstants)
+const ISSUER = 'https://api.botframework.com';
+const ENDORSEMENTS = ['msteams'];
+
+// Token lifetime bounds in seconds (real channel tokens live about an hour)
+const DEFAULT_LIFETIME = 3600;
+const MAX_LIFETIME = 24 * 3600;
+
+const VERBOSE = process.env.MOCK_AUTH_VERBOSE === 'true';
+
+const stats = {
+  tokensMinted: 0,
+  metadataRequests: 0,
+  keyRequests: 0,
+  startedAt: new Date().toISOString(),
+};
+
+/**
+ * Load the signing key, or create and store a new one
+ */
+function loadSigningKey() {
+  if (!existsSync(KEY_FILE)) {
+    const { privateKey } = generateKeyPairSync('rsa', { modulusLength: 2048 });
+    mkdirSync(dirname(KEY_FILE), { recursive: true });
+    writeFileSync(KEY_FILE, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+    console.log(`Created signing key ${KEY_FILE}`);
+  }
+  return createPrivateKey(readFileSync(KEY_FILE, 'utf-8'));
+}
+
+const privateKey = loadSigningKey();
+const publicJwk = createPublicKey(privateKey).export({ format: 'jwk' });
+
+// Key ID derived from the key, so it stays stable across restarts
+const KEY_ID = createHash('sha256').update(publicJwk.n).digest('base64url').substring(0, 27);
+
+/**
+ * Base64url-encode a JSON object
+ */
+function encodeJson(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+/**
+ * Sign a channel token for the bot
+ */
+function mintToken(appId, serviceUrl, lifetime) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = { alg: 'RS256', typ: 'JWT', kid: KEY_ID, x5t: KEY_ID };
+  const payload = {
+    serviceurl: serviceUrl,
+    nbf: now - 5,
+    exp: now + lifetime,
+    iss: ISSUER,
+    aud: appId,
+  };
+
+  const unsigned = `${encodeJson(header)}.${encodeJson(payload)}`;
+  const signature = createSign('RSA-SHA256').update(unsigned).sign(privateKey).toString('base64url');
+  stats.tokensMinted++;
+
+  return { token: `${unsigned}.${signature}`, expiresOn: payload.exp };
+}
+
+/**
+ * Read and parse a JSON request body
+ */
+function readJson(req) {
+  return new Promise((resolvePromise, rejectPromise) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      try {
+        resolvePromise(body ? JSON.parse(body) : {});
+      } catch (error) {
+        rejectPromise(error);
+      }
+    });
+    req.on('error', rejectPromise);
+  });
+}
+
+/**
+ * Send a JSON response
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Public base URL as seen by the caller
+ */
+function baseUrl(req) {
+  return `http://${req.headers.host || `localhost:${PORT}`}`;
+}
+
+/**
+ * Route a request
+ */
+async function handleRequest(req, res) {
+  const url = new URL(req.url, baseUrl(req));
+
+  if (VERBOSE) {
+    console.log(`${req.method} ${url.pathname}`);
+  }
+
+  if (req.method === 'GET' && url.pathname === '/health') {
+    return sendJson(res, 200, { status: 'ok', keyId: KEY_ID });
+  }
+  if (req.method === 'GET' && url.pathname === '/stats') {
+    return sendJson(res, 200, stats);
+  }
+
+  // Auth API
+  if (req.method === 'GET' && url.pathname === '/v1/.well-known/openidconfiguration') {
+    stats.metadataRequests++;
+    return sendJson(res, 200, {
+      issuer: ISSUER,
+      authorization_endpoint: `${baseUrl(req)}/v1/authorize`,
+      jwks_uri: `${baseUrl(req)}/v1/.well-known/keys`,
+      id_token_signing_alg_values_supported: ['RS256'],
+      token_endpoint_auth_methods_supported: ['private_key_jwt'],
+    });
+  }
+  if (req.method === 'GET' && url.pathname === '/v1/.well-known/keys') {
+    stats.keyRequests++;
+    return sendJson(res, 200, {
+      keys: [{ kty: 'RSA', use: 'sig', kid: KEY_ID, x5t: KEY_ID, n: publicJwk.n, e: publicJwk.e, endorsements: ENDORSEMENTS }],
+    });
+  }
+
+  // Test API
+  if (req.method === 'POST' && url.pathname === '/token') {
+    const body = await readJson(req);
+    if (!body.appId || !body.serviceUrl) {
+      return sendJson(res, 400, { error: '"appId" and "serviceUrl" are required' });
+    }
+    const lifetime = Math.min(parseInt(body.lifetime || DEFAULT_LIFETIME, 10) || DEFAULT_LIFETIME, MAX_LIFETIME);
+    const { token, expiresOn } = mintToken(body.appId, body.serviceUrl, lifetime);
+    return sendJson(res, 200, {
+      token_type: 'Bearer',
+      access_token: token,
+      expires_in: lifetime,
+      expires_on: expiresOn,
+    });
+  }
+
+  return sendJson(res, 404, { error: `No mock route for ${req.method} ${url.pathname}` });
+}
+
+const server = createServer((req, res) => {
+  handleRequest(req, res).catch((error) => {
+    sendJson(res, 400, { error: error.message });
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock Bot Framework auth listening on http://localhost:${PORT} (key ${KEY_ID})`);
+  console.log(`Point the bot at it with: ToBotFromChannelOpenIdMetadataUrl=http://localhost:${PORT}/v1/.well-known/openidconfiguration`);
+});
+
+['SIGINT', 'SIGTERM'].forEach((signal) => {
+  process.on(signal, () => {
+    server.close(() => process.exit(0));
+    server.closeAllConnections();
+  });
+});
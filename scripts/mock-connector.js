@@ -0,0 +1,256 @@
+#!/usr/bin/env node
+
+/**
+ * Mock Bot Connector Service
+ *
+ * Stands in for the Bot Framework Connector (https://smba.trafficmanager.net/teams)
+ * so the bot's replies can be captured during load tests. Point the activity
+ * `serviceUrl` at this service (SERVICE_URL=http://localhost:3979) and the bot
+ * posts its replies here instead of to Teams.
+ *
+ * Replies are matched to the originating activity via `replyToId` (or the
+ * activity ID in the reply URL) and can be fetched by k6 with a long-poll.
+ *
+ * Connector API (called by the bot):
+ *   POST /v3/conversations/:conversationId/activities
+ *   POST /v3/conversations/:conversationId/activities/:activityId
+ *   PUT  /v3/conversations/:conversationId/activities/:activityId
+ *   POST /v3/conversations
+ *   GET  /v3/conversations/:conversationId/members[/:memberId]
+ *
+ * Test API (called by k6):
+ *   GET    /replies/:replyToId?wait=<ms>&type=<activity type>
+ *   GET    /stats
+ *   GET    /health
+ *   DELETE /replies
+ *
+ * Usage:
+ *   node scripts/mock-connector.js
+ *   npm run mock:connector
+ *   MOCK_CONNECTOR_PORT=4000 npm run mock:connector
+ */
+
+import { createServer } from 'http';
+import { randomUUID } from 'crypto';
+
+const PORT = parseInt(process.env.MOCK_CONNECTOR_PORT || '3979', 10);
+
+// How long captured replies are kept before they are discarded
+const REPLY_TTL_MS = parseInt(process.env.MOCK_CONNECTOR_REPLY_TTL_MS || '300000', 10);
+
+// Upper bound for a single long-poll request
+const MAX_WAIT_MS = 60000;
+
+const VERBOSE = process.env.MOCK_CONNECTOR_VERBOSE === 'true';
+
+// replyToId -> { createdAt, replies: [], waiters: [] }
+const entries = new Map();
+
+const stats = {
+  activitiesReceived: 0,
+  repliesMatched: 0,
+  repliesUnmatched: 0,
+  polls: 0,
+  pollTimeouts: 0,
+  startedAt: new Date().toISOString(),
+};
+
+/**
+ * Get or create the entry for an originating activity ID
+ */
+function getEntry(replyToId) {
+  let entry = entries.get(replyToId);
+  if (!entry) {
+    entry = { createdAt: Date.now(), replies: [], waiters: [] };
+    entries.set(replyToId, entry);
+  }
+  return entry;
+}
+
+/**
+ * Replies of an entry matching the requested activity type
+ */
+function matchingReplies(entry, type) {
+  return type === 'any' ? entry.replies : entry.replies.filter((reply) => reply.activity.type === type);
+}
+
+/**
+ * Store a reply posted by the bot and wake up waiting pollers
+ */
+function recordReply(activity, replyToId) {
+  stats.activitiesReceived++;
+
+  if (!replyToId) {
+    stats.repliesUnmatched++;
+    return;
+  }
+
+  stats.repliesMatched++;
+  const entry = getEntry(replyToId);
+  entry.replies.push({ receivedAt: Date.now(), activity: activity });
+
+  const pending = entry.waiters;
+  entry.waiters = [];
+  pending.forEach((waiter) => waiter());
+}
+
+/**
+ * Discard replies older than REPLY_TTL_MS
+ */
+function pruneEntries() {
+  const cutoff = Date.now() - REPLY_TTL_MS;
+  for (const [replyToId, entry] of entries) {
+    if (entry.createdAt < cutoff && entry.waiters.length === 0) {
+      entries.delete(replyToId);
+    }
+  }
+}
+
+/**
+ * Read and parse a JSON request body
+ */
+function readJson(req) {
+  return new Promise((resolvePromise, rejectPromise) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      try {
+        resolvePromise(body ? JSON.parse(body) : {});
+      } catch (error) {
+        rejectPromise(error);
+      }
+    });
+    req.on('error', rejectPromise);
+  });
+}
+
+/**
+ * Send a JSON response
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * GET /replies/:replyToId - return replies, waiting up to `wait` ms for the first one
+ *
+ * Responds with an empty `replies` array when nothing arrived in time.
+ */
+function handlePoll(req, res, replyToId, query) {
+  stats.polls++;
+
+  const type = query.get('type') || 'message';
+  const wait = Math.min(parseInt(query.get('wait') || '0', 10) || 0, MAX_WAIT_MS);
+  const entry = getEntry(replyToId);
+
+  // Always 200 so an empty poll doesn't count as a failed request in k6
+  const respond = () => {
+    sendJson(res, 200, { replyToId, replies: matchingReplies(entry, type) });
+  };
+
+  if (matchingReplies(entry, type).length > 0 || wait === 0) {
+    respond();
+    return;
+  }
+
+  let timer = null;
+  const waiter = () => {
+    if (matchingReplies(entry, type).length === 0) {
+      entry.waiters.push(waiter);
+      return;
+    }
+    clearTimeout(timer);
+    respond();
+  };
+
+  timer = setTimeout(() => {
+    entry.waiters = entry.waiters.filter((w) => w !== waiter);
+    stats.pollTimeouts++;
+    respond();
+  }, wait);
+
+  req.on('close', () => {
+    clearTimeout(timer);
+    entry.waiters = entry.waiters.filter((w) => w !== waiter);
+  });
+
+  entry.waiters.push(waiter);
+}
+
+/**
+ * Route a request
+ */
+async function handleRequest(req, res) {
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+  const parts = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+
+  if (VERBOSE) {
+    console.log(`${req.method} ${url.pathname}`);
+  }
+
+  // Test API
+  if (req.method === 'GET' && url.pathname === '/health') {
+    return sendJson(res, 200, { status: 'ok' });
+  }
+  if (req.method === 'GET' && url.pathname === '/stats') {
+    return sendJson(res, 200, { ...stats, storedReplies: entries.size });
+  }
+  if (req.method === 'DELETE' && url.pathname === '/replies') {
+    entries.clear();
+    return sendJson(res, 200, { cleared: true });
+  }
+  if (req.method === 'GET' && parts[0] === 'replies' && parts.length === 2) {
+    return handlePoll(req, res, parts[1], url.searchParams);
+  }
+
+  // Connector API
+  if (parts[0] === 'v3' && parts[1] === 'conversations') {
+    const conversationId = parts[2];
+
+    // POST /v3/conversations - create conversation (proactive messages)
+    if (req.method === 'POST' && parts.length === 2) {
+      await readJson(req);
+      return sendJson(res, 200, { id: `mock-conversation-${randomUUID()}`, activityId: randomUUID() });
+    }
+
+    // POST/PUT /v3/conversations/:id/activities[/:activityId]
+    if (parts[3] === 'activities' && (req.method === 'POST' || req.method === 'PUT')) {
+      const activity = await readJson(req);
+      // Replies use POST .../activities/:activityId, updates (PUT) only carry replyToId in the body
+      const replyToId = activity.replyToId || (req.method === 'POST' ? parts[4] : undefined);
+      recordReply({ ...activity, conversation: activity.conversation || { id: conversationId } }, replyToId);
+      return sendJson(res, 200, { id: parts[4] && req.method === 'PUT' ? parts[4] : randomUUID() });
+    }
+
+    // GET /v3/conversations/:id/members[/:memberId]
+    if (req.method === 'GET' && parts[3] === 'members') {
+      const member = { id: parts[4] || '29:load-test-user', name: 'Load Test User' };
+      return sendJson(res, 200, parts[4] ? member : [member]);
+    }
+  }
+
+  return sendJson(res, 404, { error: `No mock route for ${req.method} ${url.pathname}` });
+}
+
+const server = createServer((req, res) => {
+  handleRequest(req, res).catch((error) => {
+    sendJson(res, 400, { error: error.message });
+  });
+});
+
+setInterval(pruneEntries, 30000).unref();
+
+server.listen(PORT, () => {
+  console.log(`Mock Bot Connector listening on http://localhost:${PORT}`);
+  console.log(`Point the activities at it with: SERVICE_URL=http://localhost:${PORT}`);
+});
+
+['SIGINT', 'SIGTERM'].forEach((signal) => {
+  process.on(signal, () => {
+    server.close(() => process.exit(0));
+    server.closeAllConnections();
+  });
+});
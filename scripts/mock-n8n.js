@@ -0,0 +1,356 @@
+#!/usr/bin/env node
+
+/**
+ * Mock n8n Webhook Server
+ *
+ * Stands in for the n8n webhook (and the LLM stack behind it) so the bot's
+ * own overhead can be load-tested in isolation, with repeatable latency and
+ * on-demand failure modes. Point the bot's n8n webhook URL at this server,
+ * e.g. http://localhost:5679/webhook/load-test.
+ *
+ * Latency (MOCK_N8N_LATENCY):
+ *   - fixed:     always MOCK_N8N_LATENCY_MS
+ *   - normal:    normal distribution, MOCK_N8N_LATENCY_MS mean / MOCK_N8N_LATENCY_STDDEV_MS
+ *   - histogram: replayed from MOCK_N8N_HISTOGRAM (JSON file), either an array of
+ *                recorded latencies in ms or buckets [{ "min": 0, "max": 500, "weight": 3 }]
+ *
+ * Failure injection (fractions between 0 and 1):
+ *   - MOCK_N8N_ERROR_RATE:     respond with HTTP 500
+ *   - MOCK_N8N_TIMEOUT_RATE:   never answer, drop the connection after MOCK_N8N_TIMEOUT_MS
+ *   - MOCK_N8N_MALFORMED_RATE: respond 200 with malformed JSON
+ *
+ * Admin API:
+ *   GET  /admin/stats   per-request counters
+ *   GET  /admin/config  current configuration
+ *   POST /admin/config  change configuration at runtime (partial JSON, same keys as GET)
+ *   POST /admin/reset   reset counters
+ *   GET  /health
+ *
+ * Usage:
+ *   npm run mock:n8n
+ *   MOCK_N8N_LATENCY=normal MOCK_N8N_LATENCY_MS=8000 MOCK_N8N_ERROR_RATE=0.05 npm run mock:n8n
+ *   curl -X POST localhost:5679/admin/config -d '{"timeoutRate": 0.2}'
+ */
+
+import { createServer } from 'http';
+import { readFileSync } from 'fs';
+import { resolve } from 'path';
+
+const PORT = parseInt(process.env.MOCK_N8N_PORT || '5679', 10);
+
+const config = {
+  latency: process.env.MOCK_N8N_LATENCY || 'fixed',
+  latencyMs: parseFloat(process.env.MOCK_N8N_LATENCY_MS || '1000'),
+  latencyStddevMs: parseFloat(process.env.MOCK_N8N_LATENCY_STDDEV_MS || '250'),
+  histogram: process.env.MOCK_N8N_HISTOGRAM ? loadHistogram(process.env.MOCK_N8N_HISTOGRAM) : null,
+  errorRate: parseFloat(process.env.MOCK_N8N_ERROR_RATE || '0'),
+  timeoutRate: parseFloat(process.env.MOCK_N8N_TIMEOUT_RATE || '0'),
+  malformedRate: parseFloat(process.env.MOCK_N8N_MALFORMED_RATE || '0'),
+  timeoutMs: parseFloat(process.env.MOCK_N8N_TIMEOUT_MS || '120000'),
+};
+
+let stats = createStats();
+
+/**
+ * Create empty counters
+ */
+function createStats() {
+  return {
+    requests: 0,
+    inFlight: 0,
+    aborted: 0,
+    outcomes: { ok: 0, error: 0, timeout: 0, malformed: 0 },
+    paths: {},
+    latency: { count: 0, totalMs: 0, minMs: null, maxMs: null },
+    since: new Date().toISOString(),
+  };
+}
+
+/**
+ * Load a latency histogram file
+ */
+function loadHistogram(path) {
+  const histogram = JSON.parse(readFileSync(resolve(process.cwd(), path), 'utf-8'));
+  validateHistogram(histogram);
+  return histogram;
+}
+
+/**
+ * Validate a histogram: array of latencies or of { min, max, weight } buckets
+ */
+function validateHistogram(histogram) {
+  if (!Array.isArray(histogram) || histogram.length === 0) {
+    throw new Error('Histogram must be a non-empty array');
+  }
+
+  const valid = histogram.every((item) => typeof item === 'number'
+    || (typeof item.min === 'number' && typeof item.max === 'number' && item.max >= item.min));
+
+  if (!valid) {
+    throw new Error('Histogram entries must be latencies in ms or { min, max, weight } buckets');
+  }
+}
+
+/**
+ * Whether a value is a finite number (not a numeric string)
+ */
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+/**
+ * Validate the configuration (startup and runtime updates)
+ */
+function validateConfig(candidate) {
+  if (!['fixed', 'normal', 'histogram'].includes(candidate.latency)) {
+    throw new Error(`Unknown latency mode "${candidate.latency}" (fixed, normal, histogram)`);
+  }
+  if (candidate.latency === 'histogram' && !candidate.histogram) {
+    throw new Error('Latency mode "histogram" needs MOCK_N8N_HISTOGRAM or a "histogram" array');
+  }
+  if (candidate.histogram) {
+    validateHistogram(candidate.histogram);
+  }
+
+  // Strings would pass the range checks and concatenate in sampleOutcome()
+  ['latencyMs', 'latencyStddevMs', 'timeoutMs'].forEach((key) => {
+    if (!isNumber(candidate[key]) || candidate[key] < 0) {
+      throw new Error(`${key} must be a non-negative number`);
+    }
+  });
+  ['errorRate', 'timeoutRate', 'malformedRate'].forEach((key) => {
+    if (!isNumber(candidate[key]) || candidate[key] < 0 || candidate[key] > 1) {
+      throw new Error(`${key} must be a number between 0 and 1`);
+    }
+  });
+
+  if (candidate.errorRate + candidate.timeoutRate + candidate.malformedRate > 1) {
+    throw new Error('errorRate + timeoutRate + malformedRate must not exceed 1');
+  }
+}
+
+/**
+ * Sample from a normal distribution (Box-Muller)
+ */
+function sampleNormal(mean, stddev) {
+  const u1 = Math.random() || Number.MIN_VALUE;
+  const u2 = Math.random();
+  return mean + stddev * Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+}
+
+/**
+ * Sample from the configured histogram
+ */
+function sampleHistogram(histogram) {
+  // Recorded latencies: replay one at random
+  if (typeof histogram[0] === 'number') {
+    return histogram[Math.floor(Math.random() * histogram.length)];
+  }
+
+  // Buckets: pick by weight, then uniformly within the bucket
+  const total = histogram.reduce((sum, bucket) => sum + (bucket.weight ?? 1), 0);
+  let target = Math.random() * total;
+  for (const bucket of histogram) {
+    target -= bucket.weight ?? 1;
+    if (target <= 0) {
+      return bucket.min + Math.random() * (bucket.max - bucket.min);
+    }
+  }
+  const last = histogram[histogram.length - 1];
+  return last.min + Math.random() * (last.max - last.min);
+}
+
+/**
+ * Sample the latency for one request in ms
+ */
+function sampleLatency() {
+  switch (config.latency) {
+    case 'normal':
+      return Math.max(0, sampleNormal(config.latencyMs, config.latencyStddevMs));
+    case 'histogram':
+      return Math.max(0, sampleHistogram(config.histogram));
+    default:
+      return config.latencyMs;
+  }
+}
+
+/**
+ * Pick the outcome for one request based on the failure rates
+ */
+function sampleOutcome() {
+  const roll = Math.random();
+  if (roll < config.errorRate) return 'error';
+  if (roll < config.errorRate + config.timeoutRate) return 'timeout';
+  if (roll < config.errorRate + config.timeoutRate + config.malformedRate) return 'malformed';
+  return 'ok';
+}
+
+/**
+ * Read and parse a JSON request body (invalid JSON is passed through as text)
+ */
+function readBody(req) {
+  return new Promise((resolvePromise, rejectPromise) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      try {
+        resolvePromise(body ? JSON.parse(body) : {});
+      } catch (error) {
+        resolvePromise({ raw: body });
+      }
+    });
+    req.on('error', rejectPromise);
+  });
+}
+
+/**
+ * Send a JSON response
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Extract the user's message from a webhook payload
+ */
+function extractText(body) {
+  return body.chatInput || body.text || body.message || body.activity?.text || '';
+}
+
+/**
+ * Record the outcome and latency of a webhook request
+ */
+function recordRequest(path, outcome, latencyMs) {
+  stats.outcomes[outcome]++;
+  stats.paths[path] = stats.paths[path] || { ok: 0, error: 0, timeout: 0, malformed: 0 };
+  stats.paths[path][outcome]++;
+
+  stats.latency.count++;
+  stats.latency.totalMs += latencyMs;
+  stats.latency.minMs = stats.latency.minMs === null ? latencyMs : Math.min(stats.latency.minMs, latencyMs);
+  stats.latency.maxMs = stats.latency.maxMs === null ? latencyMs : Math.max(stats.latency.maxMs, latencyMs);
+}
+
+/**
+ * Handle a webhook call: wait the sampled latency, then respond per the sampled outcome
+ */
+async function handleWebhook(req, res, path) {
+  const body = await readBody(req);
+  const outcome = sampleOutcome();
+  const latencyMs = outcome === 'timeout' ? config.timeoutMs : sampleLatency();
+
+  stats.requests++;
+  stats.inFlight++;
+
+  let done = false;
+  const timer = setTimeout(() => {
+    done = true;
+    stats.inFlight--;
+    recordRequest(path, outcome, latencyMs);
+
+    switch (outcome) {
+      case 'error':
+        sendJson(res, 500, { message: 'Mock n8n: injected workflow error' });
+        break;
+      case 'timeout':
+        res.destroy();
+        break;
+      case 'malformed':
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end('{"output": "Mock n8n: malformed respo');
+        break;
+      default:
+        sendJson(res, 200, { output: `Mock n8n answer for: ${extractText(body)}` });
+    }
+  }, latencyMs);
+
+  // Caller gave up before the response was sent
+  res.on('close', () => {
+    if (done) return;
+    clearTimeout(timer);
+    stats.inFlight--;
+    stats.aborted++;
+  });
+}
+
+/**
+ * Apply a partial configuration update from the admin API
+ */
+function updateConfig(update) {
+  const unknown = Object.keys(update).filter((key) => !(key in config));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown config keys: ${unknown.join(', ')}`);
+  }
+
+  const candidate = { ...config, ...update };
+  validateConfig(candidate);
+  Object.assign(config, candidate);
+}
+
+/**
+ * Route a request
+ */
+async function handleRequest(req, res) {
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+  if (req.method === 'GET' && url.pathname === '/health') {
+    return sendJson(res, 200, { status: 'ok' });
+  }
+  if (req.method === 'GET' && url.pathname === '/admin/stats') {
+    const averageMs = stats.latency.count > 0 ? stats.latency.totalMs / stats.latency.count : null;
+    return sendJson(res, 200, { ...stats, latency: { ...stats.latency, averageMs } });
+  }
+  if (req.method === 'GET' && url.pathname === '/admin/config') {
+    return sendJson(res, 200, config);
+  }
+  if (req.method === 'POST' && url.pathname === '/admin/config') {
+    const update = await readBody(req);
+    try {
+      updateConfig(update);
+    } catch (error) {
+      return sendJson(res, 400, { error: error.message });
+    }
+    console.log(`Config updated: ${JSON.stringify(update)}`);
+    return sendJson(res, 200, config);
+  }
+  if (req.method === 'POST' && url.pathname === '/admin/reset') {
+    const inFlight = stats.inFlight;
+    stats = createStats();
+    stats.inFlight = inFlight;
+    return sendJson(res, 200, { reset: true });
+  }
+
+  // Every other POST is treated as a webhook call (n8n uses /webhook/<id>)
+  if (req.method === 'POST') {
+    return handleWebhook(req, res, url.pathname);
+  }
+
+  return sendJson(res, 404, { error: `No mock route for ${req.method} ${url.pathname}` });
+}
+
+validateConfig(config);
+
+const server = createServer((req, res) => {
+  handleRequest(req, res).catch((error) => {
+    sendJson(res, 400, { error: error.message });
+  });
+});
+
+// Injected timeouts hold connections longer than Node's default request timeout
+server.requestTimeout = 0;
+
+server.listen(PORT, () => {
+  console.log(`Mock n8n webhook listening on http://localhost:${PORT}`);
+  console.log(`Latency: ${config.latency} | error ${config.errorRate} | timeout ${config.timeoutRate} | malformed ${config.malformedRate}`);
+  console.log(`Counters: http://localhost:${PORT}/admin/stats`);
+});
+
+['SIGINT', 'SIGTERM'].forEach((signal) => {
+  process.on(signal, () => {
+    server.close(() => process.exit(0));
+    server.closeAllConnections();
+  });
+});
@@ -0,0 +1,200 @@
+#!/usr/bin/env node
+
+/**
+ * Workload Runner Script
+ *
+ * Runs a workload plan - named scenarios with their own executor, load,
+ * message mix, user cohort and thresholds (see lib/workload-plan.js) -
+ * with tests/workload.test.js. The plan is read from YAML or JSON and
+ * validated before k6 starts, so a typo fails in a second instead of
+ * after the ramp-up.
+ *
+ * The plan is written as JSON, as read, to results/workload-<name>-plan.json
+ * and passed to k6 as WORKLOAD_PLAN; the test resolves the same defaults and
+ * executors from it that --dry-run prints.
+ *
+ * Usage:
+ *   node scripts/run-workload.js <plan.yaml|plan.json> [--dry-run] [-- <k6 run options>]
+ *   npm run workload -- plans/mixed-workload.yaml
+ *   npm run workload -- plans/mixed-workload.yaml --dry-run
+ *   npm run workload -- plans/mixed-workload.yaml -- --env SERVER_METRICS=true --out json=results/raw.json
+ *
+ * Options:
+ *   --dry-run   Validate the plan and print the scenarios without running k6
+ *   --k6 <bin>  k6 binary (default: K6_BIN or k6)
+ *
+ * Exit codes: k6's exit code, 2 = usage error or invalid plan
+ */
+
+import { spawnSync } from 'child_process';
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { dirname, extname, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import YAML from 'yaml';
+import { normalizePlan, buildThresholds, describeScenarioLoad } from '../lib/workload-plan.js';
+
+// Color codes for terminal output
+const colors = {
+  reset: '\x1b[0m',
+  bright: '\x1b[1m',
+  dim: '\x1b[2m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  cyan: '\x1b[36m',
+};
+
+const CHECK_MARK = '✓';
+
+const ROOT = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+const WORKLOAD_TEST = resolve(ROOT, 'tests/workload.test.js');
+
+/**
+ * Error for invalid arguments or an invalid plan (exit code 2)
+ */
+class UsageError extends Error {}
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+  const args = {
+    plan: null,
+    dryRun: false,
+    k6: process.env.K6_BIN || 'k6',
+    k6Args: [],
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case '--':
+        args.k6Args = argv.slice(i + 1);
+        i = argv.length;
+        break;
+      case '--dry-run':
+        args.dryRun = true;
+        break;
+      case '--k6':
+        if (i + 1 >= argv.length) {
+          throw new UsageError('--k6 expects a value');
+        }
+        args.k6 = argv[++i];
+        break;
+      default:
+        if (arg.startsWith('--')) {
+          throw new UsageError(`Unknown option ${arg}`);
+        }
+        if (args.plan) {
+          throw new UsageError(`Only one plan can be run at a time (got ${args.plan} and ${arg})`);
+        }
+        args.plan = arg;
+    }
+  }
+
+  if (!args.plan) {
+    throw new UsageError('Usage: run-workload.js <plan.yaml|plan.json> [--dry-run] [-- <k6 run options>]');
+  }
+  return args;
+}
+
+/**
+ * Read a YAML or JSON plan file (chosen by file extension)
+ */
+function readPlan(file) {
+  let content;
+  try {
+    content = readFileSync(file, 'utf8');
+  } catch (error) {
+    throw new UsageError(`Cannot read ${file}: ${error.message}`);
+  }
+
+  const extension = extname(file).toLowerCase();
+  try {
+    if (extension === '.yaml' || extension === '.yml') {
+      return YAML.parse(content);
+    }
+    if (extension === '.json') {
+      return JSON.parse(content);
+    }
+  } catch (error) {
+    throw new UsageError(`Cannot parse ${file}: ${error.message}`);
+  }
+  throw new UsageError(`${file}: plans must be .yaml, .yml or .json`);
+}
+
+/**
+ * Print the scenarios and thresholds of a normalized plan
+ */
+function printPlan(plan) {
+  console.log(`${colors.bright}Workload "${plan.name}"${colors.reset}${plan.description ? ` - ${plan.description}` : ''}`);
+  if (plan.load) {
+    const load = plan.load.vus !== undefined ? `${plan.load.vus} VUs` : `${plan.load.rate}/${plan.load.timeUnit || '1s'}`;
+    console.log(`  ${colors.dim}Load: ${load}, split by share${colors.reset}`);
+  }
+  plan.scenarios.forEach((scenario) => {
+    const filters = [
+      ...scenario.prompts.categories.map((category) => `category:${category}`),
+      ...scenario.prompts.intents.map((intent) => `intent:${intent}`),
+      ...scenario.cards.map((card) => `card:${card}`),
+      ...(scenario.cohort ? [`cohort:${scenario.cohort}`] : []),
+    ];
+    const share = scenario.share === null ? '' : ` (${Math.round(scenario.share * 1000) / 10}%)`;
+    console.log(`  ${colors.cyan}${scenario.name}${colors.reset} (${scenario.type}) ${describeScenarioLoad(scenario)}${share}`
+      + `${filters.length > 0 ? ` ${colors.dim}[${filters.join(', ')}]${colors.reset}` : ''}`);
+  });
+
+  const thresholds = buildThresholds(plan);
+  const gates = Object.keys(thresholds)
+    .map((metric) => [metric, thresholds[metric].filter((expression) => !/>=\s*0\s*$/.test(expression))])
+    .filter(([, expressions]) => expressions.length > 0);
+  console.log(`${colors.dim}Thresholds:${colors.reset}`);
+  gates.forEach(([metric, expressions]) => {
+    console.log(`  ${metric}: ${expressions.join(', ')}`);
+  });
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const source = readPlan(args.plan);
+
+  let plan;
+  try {
+    plan = normalizePlan(source, args.plan);
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  printPlan(plan);
+  if (args.dryRun) {
+    console.log(`${colors.green}${CHECK_MARK}${colors.reset} Plan is valid (dry run, k6 not started)`);
+    return 0;
+  }
+
+  // k6 reads the plan as JSON - the runner's YAML parser stays out of the k6 bundle
+  const resultsDir = resolve(ROOT, 'results');
+  if (!existsSync(resultsDir)) {
+    mkdirSync(resultsDir, { recursive: true });
+  }
+  const planFile = resolve(resultsDir, `workload-${plan.name}-plan.json`);
+  writeFileSync(planFile, JSON.stringify(source, null, 2));
+
+  const k6Args = ['run', '--env', `WORKLOAD_PLAN=${planFile}`, ...args.k6Args, WORKLOAD_TEST];
+  console.log(`${colors.dim}${args.k6} ${k6Args.join(' ')}${colors.reset}\n`);
+
+  const result = spawnSync(args.k6, k6Args, { cwd: ROOT, stdio: 'inherit' });
+  if (result.error) {
+    if (result.error.code === 'ENOENT') {
+      throw new Error(`${args.k6} not found - install k6 (https://k6.io/docs/get-started/installation/) or set K6_BIN`);
+    }
+    throw result.error;
+  }
+  return result.status === null ? 1 : result.status;
+}
+
+// Run the script
+try {
+  process.exit(main());
+} catch (error) {
+  console.error(`${colors.red}Error:${colors.reset} ${error.message}`);
+  process.exit(error instanceof UsageError ? 2 : 1);
+}
@@ -4,17 +4,29 @@
  * Setup Verification Script
  *
  * Verifies that the environment is correctly configured for running
- * k6 load tests against the Bot Framework endpoint.
+ * k6 load tests against the bot endpoint:
+ *   - project files, Node.js dependencies and k6 installation
+ *   - environment profile (PROFILE), its endpoint and API key variable
+ *   - .env keys (TEST_USER_* identity)
+ *   - URL syntax and prompt corpus
+ *   - results/ directory is writable
+ *   - bot health endpoint and a probe activity
+ *   - BOT_AUTH=jwt: mock auth service, token minting and validation of the
+ *     token with botframework-connector (the bot's own validation path)
  *
  * Usage:
  *   node scripts/verify-setup.js
  *   npm run verify
+ *   npm run verify -- --json        # Machine-readable output for CI
+ *   npm run verify -- --no-probe    # Skip network checks
+ *   PROFILE=stage npm run verify    # Verify another environment profile
  */
 
 import dotenv from 'dotenv';
-import { existsSync } from 'fs';
+import { existsSync, mkdirSync, writeFileSync, unlinkSync, readFileSync } from 'fs';
 import { resolve, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import { resolveProfile } from '../config/profiles.js';
 
 // Get current directory
 const __filename = fileURLToPath(import.meta.url);
@@ -24,6 +36,14 @@ const projectRoot = resolve(__dirname, '..');
 // Load environment variables
 dotenv.config({ path: resolve(projectRoot, '.env') });
 
+// Command line flags
+const args = process.argv.slice(2);
+const jsonOutput = args.includes('--json');
+const probe = !args.includes('--no-probe');
+
+// Timeout for health check and probe requests
+const REQUEST_TIMEOUT_MS = parseInt(process.env.VERIFY_TIMEOUT_MS || '60000', 10);
+
 // Color codes for terminal output
 const colors = {
   reset: '\x1b[0m',
@@ -42,14 +62,28 @@ const WARNING_MARK = '⚠';
 
 let hasErrors = false;
 let hasWarnings = false;
+let currentSection = '';
+
+// Collected results for --json
+const results = [];
+
+/**
+ * Print text output (suppressed in --json mode)
+ */
+function log(...lines) {
+  if (!jsonOutput) {
+    console.log(...lines);
+  }
+}
 
 /**
  * Print section header
  */
 function printHeader(title) {
-  console.log('');
-  console.log(`${colors.bright}${colors.cyan}${title}${colors.reset}`);
-  console.log('─'.repeat(60));
+  currentSection = title;
+  log('');
+  log(`${colors.bright}${colors.cyan}${title}${colors.reset}`);
+  log('─'.repeat(60));
 }
 
 /**
@@ -60,10 +94,12 @@ function printCheck(label, passed, message = '') {
   const color = passed ? colors.green : colors.red;
   const status = passed ? 'OK' : 'FAIL';
 
-  console.log(`  ${color}${symbol}${colors.reset} ${label}: ${color}${status}${colors.reset}`);
+  results.push({ section: currentSection, label, status: passed ? 'ok' : 'fail', message });
+
+  log(`  ${color}${symbol}${colors.reset} ${label}: ${color}${status}${colors.reset}`);
 
   if (message) {
-    console.log(`    ${colors.dim}${message}${colors.reset}`);
+    log(`    ${colors.dim}${message}${colors.reset}`);
   }
 
   if (!passed) {
@@ -75,10 +111,12 @@ function printCheck(label, passed, message = '') {
  * Print warning
  */
 function printWarning(label, message = '') {
-  console.log(`  ${colors.yellow}${WARNING_MARK}${colors.reset} ${label}: ${colors.yellow}WARNING${colors.reset}`);
+  results.push({ section: currentSection, label, status: 'warn', message });
+
+  log(`  ${colors.yellow}${WARNING_MARK}${colors.reset} ${label}: ${colors.yellow}WARNING${colors.reset}`);
 
   if (message) {
-    console.log(`    ${colors.dim}${message}${colors.reset}`);
+    log(`    ${colors.dim}${message}${colors.reset}`);
   }
 
   hasWarnings = true;
@@ -97,7 +135,7 @@ function checkFile(filePath, label) {
 /**
  * Check environment variable
  */
-function checkEnvVar(varName, required = true) {
+function checkEnvVar(varName, required = true, hint = 'Optional but recommended') {
   const value = process.env[varName];
   const exists = !!value;
 
@@ -105,7 +143,7 @@ function checkEnvVar(varName, required = true) {
     printCheck(varName, exists, exists ? 'Set' : 'Missing');
   } else {
     if (!exists) {
-      printWarning(varName, 'Optional but recommended');
+      printWarning(varName, hint);
     } else {
       printCheck(varName, true, 'Set');
     }
@@ -115,42 +153,182 @@ function checkEnvVar(varName, required = true) {
 }
 
 /**
- * Check credentials for an environment
+ * Check that an environment variable holds a valid http(s) URL
+ */
+function checkUrl(varName, value) {
+  try {
+    const url = new URL(value);
+    const valid = url.protocol === 'http:' || url.protocol === 'https:';
+    printCheck(`${varName} URL`, valid, valid ? url.href : `Unsupported protocol: ${url.protocol}`);
+    return valid;
+  } catch (error) {
+    printCheck(`${varName} URL`, false, `Invalid URL: ${value}`);
+    return false;
+  }
+}
+
+/**
+ * Check that the results/ directory exists (or can be created) and is writable
+ */
+function checkResultsDir() {
+  const resultsDir = resolve(projectRoot, 'results');
+  const probeFile = resolve(resultsDir, `.verify-${process.pid}`);
+
+  try {
+    mkdirSync(resultsDir, { recursive: true });
+    writeFileSync(probeFile, 'ok');
+    unlinkSync(probeFile);
+    printCheck('results/ writable', true, resultsDir);
+  } catch (error) {
+    printCheck('results/ writable', false, `${resultsDir}: ${error.message}`);
+  }
+}
+
+/**
+ * Check that the prompt corpus can be parsed (path is relative to tests/, like in k6)
+ */
+function checkPromptCorpus() {
+  if (process.env.TEST_MESSAGE) {
+    printWarning('TEST_MESSAGE', 'Set - tests send this single message instead of the prompt corpus');
+    return;
+  }
+
+  const corpusPath = resolve(projectRoot, 'tests', process.env.PROMPT_CORPUS || '../data/prompts.json');
+
+  try {
+    const content = readFileSync(corpusPath, 'utf-8');
+    const count = corpusPath.toLowerCase().endsWith('.csv')
+      ? content.split(/\r?\n/).filter((line) => line.trim() !== '').length - 1
+      : JSON.parse(content).length;
+    printCheck('Prompt corpus', count > 0, `${corpusPath} (${count} prompts)`);
+  } catch (error) {
+    printCheck('Prompt corpus', false, `${corpusPath}: ${error.message}`);
+  }
+}
+
+/**
+ * Call the bot's health endpoint
+ */
+async function checkHealth(healthEndpoint, apiKey) {
+  try {
+    const response = await fetch(healthEndpoint, {
+      headers: { 'x-api-key': apiKey },
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+    printCheck('Health endpoint', response.status === 200, `${healthEndpoint} → ${response.status}`);
+  } catch (error) {
+    printCheck('Health endpoint', false, `${healthEndpoint}: ${error.cause?.code || error.message}`);
+  }
+}
+
+/**
+ * Mint a token at the mock auth service and validate it like the bot does
+ *
+ * Returns the token, or null if minting failed.
+ */
+async function checkJwtAuth() {
+  const mockAuthUrl = process.env.MOCK_AUTH_URL || 'http://localhost:3980';
+  const appId = process.env.BOT_APP_ID;
+  const serviceUrl = process.env.SERVICE_URL || 'https://smba.trafficmanager.net/teams';
+
+  if (!checkEnvVar('BOT_APP_ID')) {
+    return null;
+  }
+
+  let token;
+  try {
+    const response = await fetch(`${mockAuthUrl}/token`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ appId, serviceUrl, lifetime: 300 }),
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+    if (response.status !== 200) {
+      printCheck('Token minting', false, `${mockAuthUrl}/token → ${response.status}`);
+      return null;
+    }
+    token = (await response.json()).access_token;
+    printCheck('Token minting', true, `${mockAuthUrl}/token`);
+  } catch (error) {
+    printCheck('Token minting', false, `${mockAuthUrl}: ${error.cause?.code || error.message} - start it with: npm run mock:auth`);
+    return null;
+  }
+
+  try {
+    const { ChannelValidation, SimpleCredentialProvider } = await import('botframework-connector');
+    ChannelValidation.OpenIdMetadataEndpoint = `${mockAuthUrl}/v1/.well-known/openidconfiguration`;
+    const identity = await ChannelValidation.authenticateChannelTokenWithServiceUrl(
+      `Bearer ${token}`,
+      new SimpleCredentialProvider(appId, ''),
+      serviceUrl,
+      'msteams',
+    );
+    printCheck('Token validation', identity.isAuthenticated, 'Accepted by botframework-connector ChannelValidation');
+  } catch (error) {
+    printCheck('Token validation', false, error.message);
+  }
+
+  return token;
+}
+
+/**
+ * Send a probe message activity to the bot endpoint
  */
-function checkEnvironmentCredentials(env) {
-  const envUpper = env.toUpperCase();
-  printHeader(`${env.toUpperCase()} Environment`);
+async function checkProbeActivity(botEndpoint, apiKey, apiKeyVar, token) {
+  // The activity factory is a k6 module - provide the k6 globals it reads
+  globalThis.__ENV = { ...process.env };
+  globalThis.__VU = 0;
+  const { createMessageActivity } = await import('../lib/activity-factory.js');
+
+  const activity = createMessageActivity('verify setup probe', { idPrefix: 'verify' });
+  const startTime = Date.now();
 
-  const appId = checkEnvVar(`${envUpper}_MICROSOFT_APP_ID`);
-  const appPassword = checkEnvVar(`${envUpper}_MICROSOFT_APP_PASSWORD`);
-  const tenantId = checkEnvVar(`${envUpper}_MICROSOFT_APP_TENANT_ID`);
-  const endpoint = checkEnvVar(`${envUpper}_BOT_ENDPOINT`);
+  try {
+    const response = await fetch(botEndpoint, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { Authorization: `Bearer ${token}` } : { 'x-api-key': apiKey }),
+      },
+      body: JSON.stringify(activity),
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+    const duration = Date.now() - startTime;
+    const accepted = response.status === 200 || response.status === 202;
+
+    let message = `${response.status} in ${duration}ms`;
+    if ((response.status === 401 || response.status === 403) && token) {
+      message += ' - check BOT_APP_ID and that the bot reads its OpenID metadata from the mock auth service';
+    } else if (response.status === 401 || response.status === 403) {
+      message += ` - check ${apiKeyVar} and that the bot runs with LOAD_TEST_MODE=true`;
+    }
 
-  return appId && appPassword && tenantId && endpoint;
+    printCheck('Probe activity', accepted, message);
+  } catch (error) {
+    printCheck('Probe activity', false, `${botEndpoint}: ${error.cause?.code || error.message}`);
+  }
 }
 
 /**
  * Main verification function
  */
 async function main() {
-  console.log(`${colors.bright}${colors.cyan}`);
-  console.log('╔═══════════════════════════════════════════════════════════╗');
-  console.log('║         k6 Load Test Setup Verification                   ║');
-  console.log('╚═══════════════════════════════════════════════════════════╝');
-  console.log(colors.reset);
+  log(`${colors.bright}${colors.cyan}`);
+  log('╔═══════════════════════════════════════════════════════════╗');
+  log('║         k6 Load Test Setup Verification                   ║');
+  log('╚═══════════════════════════════════════════════════════════╝');
+  log(colors.reset);
 
   // Check required files
   printHeader('Required Files');
   checkFile('package.json', 'package.json');
   checkFile('.env', '.env file');
-  checkFile('lib/auth-helper.js', 'Authentication helper');
   checkFile('lib/activity-factory.js', 'Activity factory');
-  checkFile('lib/constants.js', 'Constants');
+  checkFile('lib/bot-client.js', 'Bot client');
+  checkFile('config/profiles.js', 'Environment profiles');
   checkFile('tests/simple-message.test.js', 'Simple message test');
   checkFile('tests/smoke.test.js', 'Smoke test');
-  checkFile('config/local.env.js', 'Local config');
-  checkFile('config/stage.env.js', 'Stage config');
-  checkFile('config/prod.env.js', 'Prod config');
+  checkFile('tests/stress-breakpoint.test.js', 'Stress test');
 
   // Check Node.js dependencies
   printHeader('Node.js Dependencies');
@@ -162,68 +340,126 @@ async function main() {
   printHeader('k6 Installation');
   try {
     const { execSync } = await import('child_process');
-    const k6Version = execSync('k6 version', { encoding: 'utf-8' }).trim();
+    const k6Version = execSync('k6 version', { encoding: 'utf-8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
     printCheck('k6', true, k6Version);
   } catch (error) {
     printCheck('k6', false, 'k6 not found. Install from: https://k6.io/docs/get-started/installation/');
   }
 
-  // Check environment configurations
-  const localOk = checkEnvironmentCredentials('local');
-  const stageOk = checkEnvironmentCredentials('stage');
-  const prodOk = checkEnvironmentCredentials('prod');
+  // Check environment profile and bot endpoint
+  printHeader('Environment Profile');
+  const profileName = process.env.PROFILE || 'local';
+  let profile = null;
+  try {
+    profile = resolveProfile(profileName, process.env);
+    printCheck('PROFILE', true, `${profileName} - ${profile.description} (max ${profile.maxVus} VUs, ${profile.maxRps} req/s)`);
+  } catch (error) {
+    printCheck('PROFILE', false, error.message);
+  }
 
-  // Check optional environment variables
-  printHeader('Optional Configuration');
-  checkEnvVar('TEST_USER_ID', false);
-  checkEnvVar('TEST_USER_NAME', false);
-  checkEnvVar('TEST_USER_AAD_OBJECT_ID', false);
-  checkEnvVar('SERVICE_URL', false);
+  const endpointOk = profile !== null && checkUrl('Bot endpoint', profile.endpoint);
+  if (profile) {
+    checkEnvVar(profile.apiKeyVar, false, 'Not set - requests are sent without x-api-key');
+    if (profile.apiKey === 'your-api-key-here') {
+      printWarning(profile.apiKeyVar, 'Still the placeholder value from .env.example');
+    }
+    if (profile.production) {
+      printWarning('Production', `${profile.endpoint} is production - tests only start with CONFIRM_PROD=true`);
+    }
+  }
+  if (process.env.SERVICE_URL) {
+    checkUrl('SERVICE_URL', process.env.SERVICE_URL);
+  }
+
+  // Check test configuration
+  printHeader('Test Configuration');
+  checkPromptCorpus();
+  checkEnvVar('TEST_USER_ID', false, 'Not set - using default 29:load-test-user');
+  checkEnvVar('TEST_USER_NAME', false, 'Not set - using default "Load Test User"');
+  checkEnvVar('TEST_USER_AAD_OBJECT_ID', false, 'Not set - using default AAD object ID');
+  checkResultsDir();
+
+  // Check bot authentication
+  printHeader('Bot Authentication');
+  const authMode = process.env.BOT_AUTH || 'api-key';
+  let token = null;
+  if (authMode === 'api-key') {
+    printCheck('BOT_AUTH', true, 'api-key - x-api-key header, bot needs LOAD_TEST_MODE=true');
+  } else if (authMode !== 'jwt') {
+    printCheck('BOT_AUTH', false, `Unknown mode "${authMode}" (api-key, jwt)`);
+  } else {
+    printCheck('BOT_AUTH', true, 'jwt - Bot Framework channel tokens from the mock auth service');
+    if (probe) {
+      token = await checkJwtAuth();
+    } else {
+      printWarning('Token minting', 'Skipped (--no-probe)');
+    }
+  }
+
+  // Probe the bot
+  printHeader('Bot Connectivity');
+  if (!probe) {
+    printWarning('Connectivity', 'Skipped (--no-probe)');
+  } else if (!endpointOk) {
+    printCheck('Connectivity', false, 'Skipped - the bot endpoint is missing or invalid');
+  } else {
+    await checkHealth(profile.healthUrl, profile.apiKey);
+    if (profile.production && process.env.CONFIRM_PROD !== 'true') {
+      printWarning('Probe activity', 'Skipped on production - set CONFIRM_PROD=true to send it');
+    } else {
+      await checkProbeActivity(profile.endpoint, profile.apiKey, profile.apiKeyVar, token);
+    }
+  }
+
+  if (jsonOutput) {
+    console.log(JSON.stringify({
+      ok: !hasErrors,
+      errors: results.filter((result) => result.status === 'fail').length,
+      warnings: results.filter((result) => result.status === 'warn').length,
+      checks: results,
+    }, null, 2));
+    process.exit(hasErrors ? 1 : 0);
+  }
 
   // Summary
   printHeader('Summary');
 
   if (hasErrors) {
-    console.log(`  ${colors.red}${CROSS_MARK} Setup has errors that need to be fixed${colors.reset}`);
-    console.log('');
-    console.log(`${colors.yellow}Next steps:${colors.reset}`);
-    console.log('  1. Create .env file from .env.example: cp .env.example .env');
-    console.log('  2. Fill in the required credentials in .env');
-    console.log('  3. Run: npm install');
-    console.log('  4. Install k6: https://k6.io/docs/get-started/installation/');
-    console.log('  5. Run this script again: npm run verify');
-    console.log('');
+    log(`  ${colors.red}${CROSS_MARK} Setup has errors that need to be fixed${colors.reset}`);
+    log('');
+    log(`${colors.yellow}Next steps:${colors.reset}`);
+    log('  1. Create .env file from .env.example: cp .env.example .env');
+    log('  2. Choose a PROFILE (config/profiles.js) and set its API key variable in .env');
+    log('  3. Run: npm install');
+    log('  4. Install k6: https://k6.io/docs/get-started/installation/');
+    log('  5. Start the bot with: LOAD_TEST_MODE=true npm start (or BOT_AUTH=jwt with npm run mock:auth)');
+    log('  6. Run this script again: npm run verify');
+    log('');
     process.exit(1);
-  } else if (hasWarnings) {
-    console.log(`  ${colors.yellow}${WARNING_MARK} Setup is functional but has warnings${colors.reset}`);
-    console.log('');
-    console.log(`${colors.green}You can proceed with running tests!${colors.reset}`);
-    console.log('');
-    if (localOk) {
-      console.log(`  ${colors.cyan}Run smoke test:${colors.reset} npm run smoke:local`);
-      console.log(`  ${colors.cyan}Run load test:${colors.reset} npm run test:local`);
-    }
-    console.log('');
   } else {
-    console.log(`  ${colors.green}${CHECK_MARK} Setup is complete and ready!${colors.reset}`);
-    console.log('');
-    console.log(`${colors.bright}Next steps:${colors.reset}`);
-    console.log('');
-    console.log(`  ${colors.cyan}1. Generate token:${colors.reset}`);
-    console.log('     npm run generate-token -- local');
-    console.log('');
-    console.log(`  ${colors.cyan}2. Run smoke test:${colors.reset}`);
-    console.log('     export BOT_TOKEN="<token-from-step-1>"');
-    console.log('     npm run smoke:local');
-    console.log('');
-    console.log(`  ${colors.cyan}3. Run load test:${colors.reset}`);
-    console.log('     npm run test:local');
-    console.log('');
+    if (hasWarnings) {
+      log(`  ${colors.yellow}${WARNING_MARK} Setup is functional but has warnings${colors.reset}`);
+    } else {
+      log(`  ${colors.green}${CHECK_MARK} Setup is complete and ready!${colors.reset}`);
+    }
+    log('');
+    log(`${colors.bright}Next steps:${colors.reset}`);
+    log('');
+    log(`  ${colors.cyan}1. Run smoke test:${colors.reset}`);
+    log('     npm run smoke');
+    log('');
+    log(`  ${colors.cyan}2. Run load test:${colors.reset}`);
+    log('     npm test');
+    log('');
   }
 }
 
 // Run the script
 main().catch((error) => {
-  console.error(`${colors.red}Fatal error:${colors.reset}`, error);
+  if (jsonOutput) {
+    console.log(JSON.stringify({ ok: false, error: error.message }));
+  } else {
+    console.error(`${colors.red}Fatal error:${colors.reset}`, error);
+  }
   process.exit(1);
 });
@@ -0,0 +1,240 @@
+/**
+ * k6 Load Test: Arrival Rate (Open Workload Model)
+ *
+ * Sends messages at a fixed inbound rate, like real Teams traffic, instead of
+ * a fixed number of looping VUs. With ramping VUs a slow bot also slows the
+ * request rate down (coordinated omission); here new messages keep arriving
+ * on schedule, and k6 reports `dropped_iterations` whenever no VU was free
+ * to send one - a direct signal that the bot can't keep up.
+ *
+ * Profiles (ARRIVAL_PROFILE):
+ *   - constant: constant-arrival-rate at RATE_PER_MINUTE for DURATION
+ *   - ramping:  ramping-arrival-rate through RAMP_RATES (messages/minute),
+ *               each step ramped over STEP_RAMP and held for STEP_DURATION
+ *
+ * VU sizing follows Little's law: preAllocated = rate/s × EXPECTED_RESPONSE_S,
+ * maxVUs = preAllocated × 3 (override with PRE_ALLOCATED_VUS / MAX_VUS).
+ *
+ * Usage:
+ *   k6 run tests/arrival-rate.test.js
+ *   k6 run --env RATE_PER_MINUTE=120 --env DURATION=10m tests/arrival-rate.test.js
+ *   k6 run --env ARRIVAL_PROFILE=ramping --env RAMP_RATES=30,60,120,240 tests/arrival-rate.test.js
+ *
+ * Prerequisites:
+ *   - Start bot with: LOAD_TEST_MODE=true npm start (or BOT_AUTH=jwt, see README)
+ *   - Set BOT_ENDPOINT in .env
+ */
+
+import { check } from 'k6';
+import { Rate } from 'k6/metrics';
+import { createMessageActivity } from '../lib/activity-factory.js';
+import { BOT_ENDPOINT, sendActivity, isAccepted } from '../lib/bot-client.js';
+import { setupAuth, useAuth, describeAuth } from '../lib/bot-auth.js';
+import { PROFILE, assertProfileAllows } from '../lib/profile.js';
+import { addReportMetrics } from '../lib/report.js';
+import { summaryOutputs } from '../lib/summary-output.js';
+import { recordFailure } from '../lib/failures.js';
+import { loadPromptCorpus, createPromptPicker, categoryThresholds, promptTags } from '../lib/prompt-corpus.js';
+import { loadIdentityPool, createIdentityAssigner, cohortThresholds, identityOptions, identityTags, describeIdentityPool } from '../lib/identity-pool.js';
+import { formatPercent } from '../lib/summary.js';
+
+console.log(`Bot endpoint: ${BOT_ENDPOINT} (profile: ${PROFILE.name})`);
+
+const ARRIVAL_PROFILE = __ENV.ARRIVAL_PROFILE || 'constant';
+
+// Constant profile
+const RATE_PER_MINUTE = parseInt(__ENV.RATE_PER_MINUTE || '60', 10);
+const DURATION = __ENV.DURATION || '5m';
+
+// Ramping profile
+const RAMP_RATES = (__ENV.RAMP_RATES || '30,60,120,240').split(',').map((rate) => parseInt(rate.trim(), 10));
+const STEP_RAMP = __ENV.STEP_RAMP || '30s';
+const STEP_DURATION = __ENV.STEP_DURATION || '2m';
+
+// Expected response time in seconds, used to size the VU pool
+const EXPECTED_RESPONSE_S = parseFloat(__ENV.EXPECTED_RESPONSE_S || '30');
+
+// Dropped iterations tolerated before the test fails
+const MAX_DROPPED = parseInt(__ENV.MAX_DROPPED || '0', 10);
+
+// Prompt corpus (PROMPT_CORPUS path, or a single TEST_MESSAGE)
+const prompts = loadPromptCorpus();
+const pickPrompt = createPromptPicker(prompts);
+
+// Simulated Teams users (IDENTITY_POOL_SIZE / IDENTITY_POOL_FILE)
+const identities = loadIdentityPool();
+const nextIdentity = createIdentityAssigner(identities);
+
+// Custom metrics
+const errorRate = new Rate('errors');
+
+/**
+ * Size the VU pool for a peak rate (messages/minute) using Little's law
+ */
+function vuSizing(peakPerMinute) {
+  const preAllocated = __ENV.PRE_ALLOCATED_VUS
+    ? parseInt(__ENV.PRE_ALLOCATED_VUS, 10)
+    : Math.max(1, Math.ceil((peakPerMinute / 60) * EXPECTED_RESPONSE_S));
+
+  return {
+    preAllocatedVUs: preAllocated,
+    maxVUs: __ENV.MAX_VUS ? parseInt(__ENV.MAX_VUS, 10) : preAllocated * 3,
+  };
+}
+
+/**
+ * Build the scenario for the selected profile
+ */
+function buildScenarios() {
+  if (ARRIVAL_PROFILE === 'constant') {
+    return {
+      constant_rate: {
+        executor: 'constant-arrival-rate',
+        rate: RATE_PER_MINUTE,
+        timeUnit: '1m',
+        duration: DURATION,
+        ...vuSizing(RATE_PER_MINUTE),
+      },
+    };
+  }
+
+  if (ARRIVAL_PROFILE === 'ramping') {
+    const stages = [];
+    RAMP_RATES.forEach((rate) => {
+      stages.push({ duration: STEP_RAMP, target: rate });
+      stages.push({ duration: STEP_DURATION, target: rate });
+    });
+
+    return {
+      ramping_rate: {
+        executor: 'ramping-arrival-rate',
+        startRate: 0,
+        timeUnit: '1m',
+        stages: stages,
+        ...vuSizing(Math.max(...RAMP_RATES)),
+      },
+    };
+  }
+
+  throw new Error(`Unknown ARRIVAL_PROFILE "${ARRIVAL_PROFILE}" (constant, ramping)`);
+}
+
+const scenarios = buildScenarios();
+
+// Test configuration
+export const options = {
+  scenarios: scenarios,
+  thresholds: {
+    // Scheduled messages that could not be sent - the bot didn't keep up
+    dropped_iterations: [`count<=${MAX_DROPPED}`],
+    'http_req_failed{traffic:bot}': ['rate<0.10'],
+    'http_req_duration{traffic:bot}': ['p(95)<60000'],
+    errors: ['rate<0.20'],
+    ...categoryThresholds(prompts, 'http_req_duration', ['p(95)<60000']),
+    ...cohortThresholds(identities, 'http_req_duration', ['p(95)<60000']),
+  },
+  tags: {
+    test_type: 'arrival-rate',
+  },
+  summaryTrendStats: ['avg', 'min', 'med', 'max', 'p(90)', 'p(95)', 'p(99)'],
+};
+
+const TIMELINE = addReportMetrics(options);
+assertProfileAllows(options);
+
+/**
+ * Main test function - one iteration per arriving message (no think time)
+ */
+export default function (data) {
+  useAuth(data.auth);
+
+  const prompt = pickPrompt();
+  const identity = nextIdentity();
+  const activity = createMessageActivity(prompt.text, { idPrefix: 'arrival', ...identityOptions(identity) });
+  const tags = { name: 'SendMessage', ...promptTags(prompt), ...identityTags(identity), ...TIMELINE.tags() };
+
+  const response = sendActivity(activity, tags);
+
+  const success = check(response, {
+    'status is 200 or 202': isAccepted,
+    'response time < 45s': (r) => r.timings.duration < 45000,
+  }, tags);
+
+  errorRate.add(!success, tags);
+
+  recordFailure(response, { slowMs: 45000, tags });
+}
+
+/**
+ * Setup function - runs once before the test starts
+ */
+export function setup() {
+  const [name, scenario] = Object.entries(scenarios)[0];
+  const rates = ARRIVAL_PROFILE === 'constant'
+    ? `${RATE_PER_MINUTE} msg/min for ${DURATION}`
+    : `${RAMP_RATES.join(' → ')} msg/min (${STEP_RAMP} ramp + ${STEP_DURATION} hold per step)`;
+
+  console.log(`\n🚀 Starting arrival-rate test (${name})`);
+  console.log(`📍 Endpoint: ${BOT_ENDPOINT}`);
+  console.log(`👤 Users: ${describeIdentityPool(identities)}`);
+  console.log(`📨 Rate: ${rates}`);
+  console.log(`👥 VUs: ${scenario.preAllocatedVUs} pre-allocated, ${scenario.maxVUs} max`);
+  console.log(`🔐 Auth: ${describeAuth()}`);
+  console.log('─'.repeat(60));
+
+  return { startTime: new Date(), auth: setupAuth() };
+}
+
+/**
+ * Teardown function - runs once after the test completes
+ */
+export function teardown(data) {
+  const duration = (new Date() - data.startTime) / 1000;
+  console.log('─'.repeat(60));
+  console.log(`✅ Test completed in ${duration.toFixed(2)}s`);
+}
+
+/**
+ * Arrival summary: scheduled vs sent vs dropped messages
+ */
+function arrivalSummary(data) {
+  const sent = data.metrics.iterations ? data.metrics.iterations.values.count : 0;
+  const dropped = data.metrics.dropped_iterations ? data.metrics.dropped_iterations.values.count : 0;
+  const scheduled = sent + dropped;
+  const busyVus = data.metrics.vus ? data.metrics.vus.values.max : 0;
+  const allocatedVus = data.metrics.vus_max ? data.metrics.vus_max.values.max : 0;
+
+  const verdict = dropped > MAX_DROPPED
+    ? '✗ Bot did NOT keep up with the arrival rate - VU pool exhausted'
+    : '✓ Bot kept up with the arrival rate';
+
+  return [
+    '',
+    '  Arrival rate',
+    `  Scheduled messages:  ${scheduled}`,
+    `  Sent:                ${sent}`,
+    `  Dropped:             ${dropped} (${formatPercent(scheduled > 0 ? dropped / scheduled : 0)})`,
+    `  VUs in use (max):    ${busyVus}`,
+    `  VUs allocated (max): ${allocatedVus}`,
+    `  ${verdict}`,
+    '',
+  ].join('\n');
+}
+
+/**
+ * Handle summary - standard summary, dropped iteration report, HTML and optional CI reports
+ */
+export function handleSummary(data) {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const dropped = data.metrics.dropped_iterations ? data.metrics.dropped_iterations.values.count : 0;
+
+  return summaryOutputs(data, {
+    test: 'arrival-rate',
+    timestamp,
+    sections: [arrivalSummary(data)],
+    timeline: TIMELINE,
+    options,
+    prompts,
+    extra: { 'Arrival profile': ARRIVAL_PROFILE, 'Dropped iterations': dropped },
+  });
+}
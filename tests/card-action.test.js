@@ -0,0 +1,194 @@
+/**
+ * k6 Load Test: Adaptive Card Actions
+ *
+ * Simulates users clicking Adaptive Card buttons instead of typing: sends
+ * `adaptiveCard/action` invoke activities (Action.Execute) and legacy
+ * Action.Submit `message` activities with a `value` payload, picked by weight
+ * from the card action library (data/card-actions.json).
+ *
+ * Invokes are answered synchronously, so each invoke response is checked for
+ * the expected HTTP status and an invoke response body `{ statusCode, type }`.
+ * Latency and validity are reported per card action (`card_action` tag).
+ *
+ * Usage:
+ *   k6 run tests/card-action.test.js
+ *   k6 run --env CARD_ACTIONS=../data/my-card-actions.json tests/card-action.test.js
+ *   k6 run --env CARD_ACTION_VUS=20 tests/card-action.test.js
+ *
+ * Prerequisites:
+ *   - Start bot with: LOAD_TEST_MODE=true npm start (or BOT_AUTH=jwt, see README)
+ *   - Set BOT_ENDPOINT in .env (default: http://localhost:3978/api/messages)
+ */
+
+import { check, sleep } from 'k6';
+import { Rate } from 'k6/metrics';
+import { BOT_ENDPOINT, sendActivity } from '../lib/bot-client.js';
+import { setupAuth, useAuth, describeAuth } from '../lib/bot-auth.js';
+import { PROFILE, assertProfileAllows } from '../lib/profile.js';
+import {
+  loadCardActions,
+  createCardActionPicker,
+  createCardActionActivity,
+  cardActionChecks,
+  cardActionRequestName,
+  cardActionTags,
+  cardActionThresholds,
+} from '../lib/card-actions.js';
+import { loadIdentityPool, createIdentityAssigner, cohortThresholds, identityOptions, identityTags, describeIdentityPool } from '../lib/identity-pool.js';
+import { addReportMetrics } from '../lib/report.js';
+import { summaryOutputs } from '../lib/summary-output.js';
+import { recordFailure } from '../lib/failures.js';
+import { formatTable, formatMs, formatPercent, metricValues } from '../lib/summary.js';
+
+console.log(`Bot endpoint: ${BOT_ENDPOINT} (profile: ${PROFILE.name})`);
+
+// Concurrent users clicking card buttons
+const CARD_ACTION_VUS = parseInt(__ENV.CARD_ACTION_VUS || '5', 10);
+
+// Card action library (CARD_ACTIONS path)
+const actions = loadCardActions();
+const pickAction = createCardActionPicker(actions);
+
+// Simulated Teams users (IDENTITY_POOL_SIZE / IDENTITY_POOL_FILE)
+const identities = loadIdentityPool();
+const nextIdentity = createIdentityAssigner(identities);
+
+// Custom metrics
+const errorRate = new Rate('errors');
+const cardResponseValid = new Rate('card_response_valid');
+
+// Test configuration
+export const options = {
+  stages: [
+    { duration: '10s', target: CARD_ACTION_VUS },   // Ramp up
+    { duration: '1m', target: CARD_ACTION_VUS },    // Users keep clicking
+    { duration: '10s', target: 0 },                 // Ramp down to 0
+  ],
+  thresholds: {
+    'http_req_failed{traffic:bot}': ['rate<0.01'],
+    // Teams shows an error on the card when the invoke response is slow
+    'http_req_duration{name:CardInvoke}': ['p(95)<5000', 'p(99)<10000'],
+    'http_req_duration{name:CardSubmit}': ['p(95)<10000'],
+    card_response_valid: ['rate>0.99'],
+    errors: ['rate<0.05'],
+    ...cardActionThresholds(actions, 'http_req_duration', ['max>=0']),
+    ...cardActionThresholds(actions, 'card_response_valid', ['rate>=0']),
+    ...cohortThresholds(identities, 'http_req_duration', ['p(95)<10000']),
+  },
+  tags: {
+    test_type: 'card-action',
+  },
+};
+
+const TIMELINE = addReportMetrics(options);
+assertProfileAllows(options);
+
+/**
+ * Main test function - executed by each virtual user
+ */
+export default function (data) {
+  useAuth(data.auth);
+
+  // Card action picked by weight, clicked by a pool user
+  const action = pickAction();
+  const identity = nextIdentity();
+  const activity = createCardActionActivity(action, { idPrefix: 'card-test', ...identityOptions(identity) });
+
+  const tags = {
+    name: cardActionRequestName(action),
+    ...cardActionTags(action),
+    ...identityTags(identity),
+    ...TIMELINE.tags(),
+  };
+  const response = sendActivity(activity, tags);
+
+  // Check the invoke response shape (or that the submit was accepted)
+  const valid = check(response, cardActionChecks(action), cardActionTags(action));
+
+  cardResponseValid.add(valid, cardActionTags(action));
+  errorRate.add(!valid, cardActionTags(action));
+
+  // Count the failure by category and keep a few samples for the summary
+  recordFailure(response, { slowMs: 10000, tags });
+
+  // Think time - user reads the updated card
+  sleep(1 + Math.random() * 2);
+}
+
+/**
+ * Setup function - runs once before the test starts
+ */
+export function setup() {
+  const invokes = actions.filter((action) => action.kind === 'invoke').length;
+
+  console.log(`\n🚀 Starting Adaptive Card action test`);
+  console.log(`📍 Endpoint: ${BOT_ENDPOINT}`);
+  console.log(`🃏 Card actions: ${actions.length} (${invokes} invoke, ${actions.length - invokes} submit)`);
+  console.log(`👤 Users: ${describeIdentityPool(identities)}`);
+  console.log(`🔐 Auth: ${describeAuth()}`);
+  console.log('─'.repeat(60));
+
+  return { startTime: new Date(), auth: setupAuth() };
+}
+
+/**
+ * Teardown function - runs once after the test completes
+ */
+export function teardown(data) {
+  const duration = (new Date() - data.startTime) / 1000;
+  console.log('─'.repeat(60));
+  console.log(`✅ Test completed in ${duration.toFixed(2)}s`);
+}
+
+/**
+ * Format the per-action latency and validity table
+ */
+function actionTable(data) {
+  const rows = [];
+  for (let i = 0; i < actions.length; i++) {
+    const duration = metricValues(data, `http_req_duration{card_action:${actions[i].name}}`);
+    const valid = metricValues(data, `card_response_valid{card_action:${actions[i].name}}`);
+    if (!duration.count) {
+      continue;
+    }
+    rows.push([
+      actions[i].name,
+      actions[i].kind,
+      String(duration.count),
+      formatMs(duration.med),
+      formatMs(duration['p(95)']),
+      formatPercent(valid.rate),
+    ]);
+  }
+
+  if (rows.length === 0) {
+    return '';
+  }
+
+  const table = formatTable([
+    { title: 'card action' },
+    { title: 'kind' },
+    { title: 'count', align: 'right' },
+    { title: 'p50', align: 'right' },
+    { title: 'p95', align: 'right' },
+    { title: 'valid', align: 'right' },
+  ], rows);
+
+  return ['', '  Card actions', '', table, ''].join('\n');
+}
+
+/**
+ * Handle summary - standard summary, per-action table, HTML and optional CI reports
+ */
+export function handleSummary(data) {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+
+  return summaryOutputs(data, {
+    test: 'card-action',
+    timestamp,
+    sections: [actionTable(data)],
+    timeline: TIMELINE,
+    options,
+    extra: { 'Card actions': actions.map((action) => action.name).join(', '), 'VUs': CARD_ACTION_VUS },
+  });
+}
@@ -0,0 +1,250 @@
+/**
+ * k6 Load Test: Multi-Turn Conversation
+ *
+ * Each virtual user keeps one or more persistent conversations and sends a
+ * scripted sequence of turns into them (greeting → follow-up → clarification
+ * → reset). Conversation IDs stay stable for the whole run, so the bot loads
+ * its conversation-state and memory paths instead of seeing a brand-new
+ * conversation on every request.
+ *
+ * Latency is reported per turn index (turn_duration{turn:N}) to show whether
+ * response times grow with the conversation history.
+ *
+ * Usage:
+ *   k6 run tests/conversation.test.js
+ *   k6 run --env CONVERSATIONS_PER_VU=3 tests/conversation.test.js
+ *   k6 run --env THINK_TIME_MIN=2 --env THINK_TIME_MAX=5 tests/conversation.test.js
+ *   k6 run --env REPLY_CAPTURE=true --env SERVICE_URL=http://localhost:3979 tests/conversation.test.js
+ *
+ * Prerequisites:
+ *   - Start bot with: LOAD_TEST_MODE=true npm start (or BOT_AUTH=jwt, see README)
+ *   - Set BOT_ENDPOINT in .env
+ */
+
+import { check, sleep } from 'k6';
+import { Rate, Trend, Counter } from 'k6/metrics';
+import { ConversationTypes, createConversation, createMessageActivity } from '../lib/activity-factory.js';
+import { BOT_ENDPOINT, sendActivity, isAccepted } from '../lib/bot-client.js';
+import { setupAuth, useAuth, describeAuth } from '../lib/bot-auth.js';
+import { PROFILE, assertProfileAllows } from '../lib/profile.js';
+import { REPLY_CAPTURE_ENABLED, captureReply } from '../lib/reply-capture.js';
+import { addReportMetrics } from '../lib/report.js';
+import { summaryOutputs } from '../lib/summary-output.js';
+import { recordFailure } from '../lib/failures.js';
+import { loadIdentityPool, createIdentityAssigner, cohortThresholds, identityOptions, identityTags, describeIdentityPool } from '../lib/identity-pool.js';
+
+console.log(`Bot endpoint: ${BOT_ENDPOINT} (profile: ${PROFILE.name})`);
+
+// Conversations held by each VU (iterations rotate through them)
+const CONVERSATIONS_PER_VU = parseInt(__ENV.CONVERSATIONS_PER_VU || '1', 10);
+
+// Think time between turns in seconds (user reads the answer, types the next message)
+const THINK_TIME_MIN = parseFloat(__ENV.THINK_TIME_MIN || '3');
+const THINK_TIME_MAX = parseFloat(__ENV.THINK_TIME_MAX || '8');
+
+// Scripted conversation - one iteration sends all turns into one conversation
+const TURNS = [
+  { name: 'greeting', text: 'Hi, I need some help with my project tasks.' },
+  { name: 'follow-up', text: 'Which of my tasks are due this week?' },
+  { name: 'clarification', text: 'I meant only the ones assigned to me, sorted by priority.' },
+  { name: 'reset', text: 'reset' },
+];
+
+// Simulated Teams users (IDENTITY_POOL_SIZE / IDENTITY_POOL_FILE) - one per conversation
+const identities = loadIdentityPool();
+const nextIdentity = createIdentityAssigner(identities);
+
+// Custom metrics
+const errorRate = new Rate('errors');
+const turnDuration = new Trend('turn_duration', true);
+const completedConversations = new Counter('completed_conversations');
+
+/**
+ * Build one threshold per turn index so each turn shows up in the summary
+ */
+function turnThresholds() {
+  const thresholds = {};
+  TURNS.forEach((turn, index) => {
+    thresholds[`turn_duration{turn:${index + 1}}`] = ['p(95)<60000'];
+  });
+  return thresholds;
+}
+
+// Test configuration
+export const options = {
+  stages: [
+    { duration: '30s', target: 5 },   // Ramp up to 5 VUs
+    { duration: '3m', target: 5 },    // Hold 5 VUs in conversation
+    { duration: '30s', target: 0 },   // Ramp down to 0
+  ],
+  thresholds: {
+    'http_req_failed{traffic:bot}': ['rate<0.10'],    // AI agents can be flaky
+    'http_req_duration{name:ConversationTurn}': ['p(95)<60000'],
+    errors: ['rate<0.20'],
+    ...turnThresholds(),
+    ...cohortThresholds(identities, 'turn_duration', ['p(95)<60000']),
+  },
+  tags: {
+    test_type: 'conversation',
+  },
+  summaryTrendStats: ['avg', 'min', 'med', 'max', 'p(90)', 'p(95)', 'p(99)', 'count'],
+};
+
+const TIMELINE = addReportMetrics(options);
+assertProfileAllows(options);
+
+// Per-VU state - k6 keeps module state for the lifetime of each VU
+let conversations = null;
+
+/**
+ * Create the VU's persistent conversations on its first iteration
+ *
+ * Each conversation keeps the user it was started with.
+ */
+function getConversations(runId) {
+  if (!conversations) {
+    conversations = [];
+    for (let i = 0; i < CONVERSATIONS_PER_VU; i++) {
+      const identity = nextIdentity();
+      conversations.push({
+        identity: identity,
+        account: createConversation(ConversationTypes.PERSONAL, {
+          id: `conversation-${runId}-vu${__VU}-${i + 1}`,
+          tenantId: identity.tenantId,
+        }),
+      });
+    }
+  }
+  return conversations;
+}
+
+/**
+ * Random think time between THINK_TIME_MIN and THINK_TIME_MAX seconds
+ */
+function thinkTime() {
+  return THINK_TIME_MIN + Math.random() * (THINK_TIME_MAX - THINK_TIME_MIN);
+}
+
+/**
+ * Main test function - executed by each virtual user
+ */
+export default function (data) {
+  useAuth(data.auth);
+  const vuConversations = getConversations(data.runId);
+  const { account: conversation, identity } = vuConversations[__ITER % vuConversations.length];
+
+  for (let index = 0; index < TURNS.length; index++) {
+    const turn = TURNS[index];
+    const tags = {
+      name: 'ConversationTurn',
+      turn: String(index + 1),
+      turn_name: turn.name,
+      ...identityTags(identity),
+      ...TIMELINE.tags(),
+    };
+
+    const activity = createMessageActivity(turn.text, {
+      idPrefix: 'conversation',
+      conversation: conversation,
+      ...identityOptions(identity),
+    });
+
+    const sentAt = Date.now();
+    const response = sendActivity(activity, tags);
+    turnDuration.add(response.timings.duration, tags);
+
+    const success = check(response, {
+      'status is 200 or 202': isAccepted,
+      'response time < 45s': (r) => r.timings.duration < 45000,
+    }, tags);
+
+    errorRate.add(!success, tags);
+
+    recordFailure(response, { slowMs: 45000, tags });
+
+    // The user reads the bot's real answer before typing the next turn
+    if (REPLY_CAPTURE_ENABLED && success) {
+      captureReply(activity.id, sentAt, tags);
+    }
+
+    if (index < TURNS.length - 1) {
+      sleep(thinkTime());
+    }
+  }
+
+  completedConversations.add(1);
+
+  // Pause before starting the next round of the script
+  sleep(thinkTime());
+}
+
+/**
+ * Setup function - runs once before the test starts
+ */
+export function setup() {
+  const runId = Date.now().toString(36);
+
+  console.log(`\n🚀 Starting multi-turn conversation test`);
+  console.log(`📍 Endpoint: ${BOT_ENDPOINT}`);
+  console.log(`💬 Conversations per VU: ${CONVERSATIONS_PER_VU}`);
+  console.log(`👤 Users: ${describeIdentityPool(identities)}`);
+  console.log(`🔁 Turns: ${TURNS.map((turn) => turn.name).join(' → ')}`);
+  console.log(`⏱  Think time: ${THINK_TIME_MIN}-${THINK_TIME_MAX}s`);
+  console.log(`🔐 Auth: ${describeAuth()}`);
+  console.log('─'.repeat(60));
+
+  return { startTime: new Date(), runId: runId, auth: setupAuth() };
+}
+
+/**
+ * Teardown function - runs once after the test completes
+ */
+export function teardown(data) {
+  const duration = (new Date() - data.startTime) / 1000;
+  console.log('─'.repeat(60));
+  console.log(`✅ Test completed in ${duration.toFixed(2)}s`);
+}
+
+/**
+ * Format the per-turn latency table
+ */
+function turnTable(data) {
+  const lines = [
+    '',
+    '  Latency per turn',
+    '  ' + '─'.repeat(58),
+    `  ${'turn'.padEnd(20)}${'count'.padStart(8)}${'p50'.padStart(10)}${'p95'.padStart(10)}${'p99'.padStart(10)}`,
+  ];
+
+  TURNS.forEach((turn, index) => {
+    const metric = data.metrics[`turn_duration{turn:${index + 1}}`];
+    if (!metric) return;
+
+    const values = metric.values;
+    const label = `${index + 1}. ${turn.name}`;
+    lines.push(
+      `  ${label.padEnd(20)}${String(values.count).padStart(8)}` +
+      `${`${Math.round(values.med)}ms`.padStart(10)}` +
+      `${`${Math.round(values['p(95)'])}ms`.padStart(10)}` +
+      `${`${Math.round(values['p(99)'])}ms`.padStart(10)}`
+    );
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Handle summary - standard summary, per-turn latency table, HTML and optional CI reports
+ */
+export function handleSummary(data) {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+
+  return summaryOutputs(data, {
+    test: 'conversation',
+    timestamp,
+    sections: [turnTable(data)],
+    timeline: TIMELINE,
+    options,
+    extra: { 'Conversations per VU': CONVERSATIONS_PER_VU, 'Turns': TURNS.map((turn) => turn.name).join(' → ') },
+  });
+}
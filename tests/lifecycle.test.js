@@ -0,0 +1,354 @@
+/**
+ * k6 Load Test: Conversation Lifecycle (Install → Welcome → Chat → Uninstall)
+ *
+ * Each iteration is one user's full lifecycle with the bot in a new personal
+ * conversation:
+ *   1. install:   installationUpdate (action add)
+ *   2. welcome:   conversationUpdate with the bot in membersAdded - the bot
+ *                 answers with its welcome flow
+ *   3. chat:      CHAT_TURNS messages from the prompt corpus with think time
+ *   4. uninstall: installationUpdate (action remove)
+ *   5. remove:    conversationUpdate with the bot in membersRemoved
+ *
+ * Lifecycles start at a fixed rate (open workload), so onboarding keeps
+ * arriving even when the bot slows down. LIFECYCLE_PROFILE=rollout adds a
+ * burst of installs in the middle of the run, like a tenant-wide rollout of
+ * the app. Every request is tagged with its `lifecycle_step` and
+ * `activity_type`, the summary lists latency and errors per step.
+ *
+ * Usage:
+ *   k6 run tests/lifecycle.test.js
+ *   k6 run --env INSTALLS_PER_MINUTE=60 --env CHAT_TURNS=5 tests/lifecycle.test.js
+ *   k6 run --env LIFECYCLE_PROFILE=rollout --env ROLLOUT_PEAK=150 tests/lifecycle.test.js
+ *   k6 run --env REPLY_CAPTURE=true --env SERVICE_URL=http://localhost:3979 tests/lifecycle.test.js
+ *
+ * Prerequisites:
+ *   - Start bot with: LOAD_TEST_MODE=true npm start (or BOT_AUTH=jwt, see README)
+ *   - Set BOT_ENDPOINT in .env
+ */
+
+import { check, sleep } from 'k6';
+import { Rate, Trend, Counter } from 'k6/metrics';
+import {
+  BOT_ACCOUNT,
+  ConversationTypes,
+  createConversation,
+  createConversationUpdateActivity,
+  createInstallationUpdateActivity,
+  createMessageActivity,
+} from '../lib/activity-factory.js';
+import { BOT_ENDPOINT, sendActivity, isAccepted } from '../lib/bot-client.js';
+import { setupAuth, useAuth, describeAuth } from '../lib/bot-auth.js';
+import { PROFILE, assertProfileAllows } from '../lib/profile.js';
+import { loadPromptCorpus, createPromptPicker, promptTags } from '../lib/prompt-corpus.js';
+import { loadIdentityPool, createIdentityAssigner, identityOptions, identityTags, describeIdentityPool } from '../lib/identity-pool.js';
+import { REPLY_CAPTURE_ENABLED, captureReply } from '../lib/reply-capture.js';
+import { addReportMetrics } from '../lib/report.js';
+import { summaryOutputs } from '../lib/summary-output.js';
+import { recordFailure } from '../lib/failures.js';
+import { formatTable, formatMs, formatPercent, metricValues } from '../lib/summary.js';
+
+console.log(`Bot endpoint: ${BOT_ENDPOINT} (profile: ${PROFILE.name})`);
+
+const LIFECYCLE_PROFILE = __ENV.LIFECYCLE_PROFILE || 'steady';
+
+// Lifecycles started per minute and run duration (steady profile)
+const INSTALLS_PER_MINUTE = parseInt(__ENV.INSTALLS_PER_MINUTE || '20', 10);
+const DURATION = __ENV.DURATION || '5m';
+
+// Rollout burst: installs/minute at the peak, ramp and hold time, baseline before and after
+const ROLLOUT_PEAK = parseInt(__ENV.ROLLOUT_PEAK || '120', 10);
+const ROLLOUT_RAMP = __ENV.ROLLOUT_RAMP || '30s';
+const ROLLOUT_DURATION = __ENV.ROLLOUT_DURATION || '2m';
+const BASELINE_DURATION = __ENV.BASELINE_DURATION || '2m';
+
+// Messages per lifecycle and think time between them in seconds
+const CHAT_TURNS = parseInt(__ENV.CHAT_TURNS || '3', 10);
+const THINK_TIME_MIN = parseFloat(__ENV.THINK_TIME_MIN || '2');
+const THINK_TIME_MAX = parseFloat(__ENV.THINK_TIME_MAX || '5');
+
+// Expected duration of one lifecycle in seconds, used to size the VU pool
+const EXPECTED_LIFECYCLE_S = parseFloat(__ENV.EXPECTED_LIFECYCLE_S || '60');
+
+// Lifecycle steps in order, with their request name and latency threshold
+const STEPS = [
+  { step: 'install', name: 'Install', activityType: 'installationUpdate', threshold: 'p(95)<5000' },
+  { step: 'welcome', name: 'Welcome', activityType: 'conversationUpdate', threshold: 'p(95)<10000' },
+  { step: 'chat', name: 'ChatMessage', activityType: 'message', threshold: 'p(95)<10000' },
+  { step: 'uninstall', name: 'Uninstall', activityType: 'installationUpdate', threshold: 'p(95)<5000' },
+  { step: 'remove', name: 'MemberRemoved', activityType: 'conversationUpdate', threshold: 'p(95)<5000' },
+];
+
+// Prompt corpus (PROMPT_CORPUS path, or a single TEST_MESSAGE)
+const prompts = loadPromptCorpus();
+const pickPrompt = createPromptPicker(prompts);
+
+// Simulated Teams users (IDENTITY_POOL_SIZE / IDENTITY_POOL_FILE) - one per lifecycle
+const identities = loadIdentityPool();
+const nextIdentity = createIdentityAssigner(identities);
+
+// Custom metrics
+const errorRate = new Rate('errors');
+const lifecycleSuccess = new Rate('lifecycle_success');
+const lifecycleDuration = new Trend('lifecycle_duration', true);
+const completedLifecycles = new Counter('completed_lifecycles');
+
+/**
+ * Size the VU pool for a peak rate (lifecycles/minute) using Little's law
+ */
+function vuSizing(peakPerMinute) {
+  const preAllocated = __ENV.PRE_ALLOCATED_VUS
+    ? parseInt(__ENV.PRE_ALLOCATED_VUS, 10)
+    : Math.max(1, Math.ceil((peakPerMinute / 60) * EXPECTED_LIFECYCLE_S));
+
+  return {
+    preAllocatedVUs: preAllocated,
+    maxVUs: __ENV.MAX_VUS ? parseInt(__ENV.MAX_VUS, 10) : preAllocated * 3,
+  };
+}
+
+/**
+ * Build the scenario for the selected profile
+ */
+function buildScenarios() {
+  if (LIFECYCLE_PROFILE === 'steady') {
+    return {
+      steady: {
+        executor: 'constant-arrival-rate',
+        rate: INSTALLS_PER_MINUTE,
+        timeUnit: '1m',
+        duration: DURATION,
+        ...vuSizing(INSTALLS_PER_MINUTE),
+      },
+    };
+  }
+
+  if (LIFECYCLE_PROFILE === 'rollout') {
+    return {
+      rollout: {
+        executor: 'ramping-arrival-rate',
+        startRate: INSTALLS_PER_MINUTE,
+        timeUnit: '1m',
+        stages: [
+          { duration: BASELINE_DURATION, target: INSTALLS_PER_MINUTE },   // Normal onboarding
+          { duration: ROLLOUT_RAMP, target: ROLLOUT_PEAK },               // App rolled out to the tenant
+          { duration: ROLLOUT_DURATION, target: ROLLOUT_PEAK },           // Everyone opens it
+          { duration: ROLLOUT_RAMP, target: INSTALLS_PER_MINUTE },
+          { duration: BASELINE_DURATION, target: INSTALLS_PER_MINUTE },   // Back to normal
+        ],
+        ...vuSizing(ROLLOUT_PEAK),
+      },
+    };
+  }
+
+  throw new Error(`Unknown LIFECYCLE_PROFILE "${LIFECYCLE_PROFILE}" (steady, rollout)`);
+}
+
+/**
+ * Build one threshold per lifecycle step (also lists every step in the summary)
+ */
+function stepThresholds() {
+  const thresholds = {};
+  STEPS.forEach((step) => {
+    thresholds[`http_req_duration{lifecycle_step:${step.step}}`] = [step.threshold];
+    thresholds[`errors{lifecycle_step:${step.step}}`] = ['rate>=0'];
+  });
+  return thresholds;
+}
+
+const scenarios = buildScenarios();
+
+// Test configuration
+export const options = {
+  scenarios: scenarios,
+  thresholds: {
+    'http_req_failed{traffic:bot}': ['rate<0.01'],
+    errors: ['rate<0.05'],
+    lifecycle_success: ['rate>0.95'],
+    ...stepThresholds(),
+  },
+  tags: {
+    test_type: 'lifecycle',
+  },
+};
+
+const TIMELINE = addReportMetrics(options);
+// install, welcome, the chat turns, uninstall and member removal
+assertProfileAllows(options, { requestsPerIteration: 4 + CHAT_TURNS });
+
+/**
+ * Random think time between THINK_TIME_MIN and THINK_TIME_MAX seconds
+ */
+function thinkTime() {
+  return THINK_TIME_MIN + Math.random() * (THINK_TIME_MAX - THINK_TIME_MIN);
+}
+
+/**
+ * Send one lifecycle activity and record its result under the step's tags
+ *
+ * Returns whether the bot accepted it.
+ */
+function sendStep(step, activity, identity, extraTags = {}) {
+  const tags = {
+    name: step.name,
+    lifecycle_step: step.step,
+    activity_type: activity.type,
+    ...extraTags,
+    ...identityTags(identity),
+    ...TIMELINE.tags(),
+  };
+
+  const sentAt = Date.now();
+  const response = sendActivity(activity, tags);
+
+  const success = check(response, {
+    [`${step.step} accepted`]: isAccepted,
+  }, { lifecycle_step: step.step });
+
+  errorRate.add(!success, { lifecycle_step: step.step });
+  recordFailure(response, { slowMs: 10000, tags });
+
+  // Welcome card and chat answers arrive via the mock connector
+  if (REPLY_CAPTURE_ENABLED && success && (step.step === 'welcome' || step.step === 'chat')) {
+    captureReply(activity.id, sentAt, { lifecycle_step: step.step });
+  }
+
+  return success;
+}
+
+/**
+ * Main test function - one iteration per user lifecycle
+ */
+export default function (data) {
+  useAuth(data.auth);
+
+  const startedAt = Date.now();
+  const identity = nextIdentity();
+  const activityOptions = {
+    idPrefix: 'lifecycle',
+    ...identityOptions(identity),
+    conversation: createConversation(ConversationTypes.PERSONAL, { idPrefix: 'lifecycle', tenantId: identity.tenantId }),
+  };
+  const [install, welcome, chat, uninstall, remove] = STEPS;
+  let success = true;
+
+  // 1-2. User installs the app, the bot is added to the conversation and welcomes the user
+  success = sendStep(install, createInstallationUpdateActivity('add', activityOptions), identity) && success;
+  success = sendStep(welcome, createConversationUpdateActivity({ ...activityOptions, membersAdded: [{ ...BOT_ACCOUNT }] }), identity) && success;
+
+  // 3. A few chat turns
+  for (let turn = 0; turn < CHAT_TURNS; turn++) {
+    sleep(thinkTime());
+    const prompt = pickPrompt();
+    success = sendStep(chat, createMessageActivity(prompt.text, activityOptions), identity, promptTags(prompt)) && success;
+  }
+
+  // 4-5. User uninstalls the app, the bot is removed from the conversation
+  sleep(thinkTime());
+  success = sendStep(uninstall, createInstallationUpdateActivity('remove', activityOptions), identity) && success;
+  success = sendStep(remove, createConversationUpdateActivity({ ...activityOptions, membersRemoved: [{ ...BOT_ACCOUNT }] }), identity) && success;
+
+  lifecycleSuccess.add(success);
+  lifecycleDuration.add(Date.now() - startedAt);
+  if (success) {
+    completedLifecycles.add(1);
+  }
+}
+
+/**
+ * Setup function - runs once before the test starts
+ */
+export function setup() {
+  const [name, scenario] = Object.entries(scenarios)[0];
+  const rates = LIFECYCLE_PROFILE === 'steady'
+    ? `${INSTALLS_PER_MINUTE} installs/min for ${DURATION}`
+    : `${INSTALLS_PER_MINUTE} → ${ROLLOUT_PEAK} → ${INSTALLS_PER_MINUTE} installs/min (${ROLLOUT_DURATION} rollout)`;
+
+  console.log(`\n🚀 Starting lifecycle test (${name})`);
+  console.log(`📍 Endpoint: ${BOT_ENDPOINT}`);
+  console.log(`📦 Lifecycle: install → welcome → ${CHAT_TURNS} chat turns → uninstall`);
+  console.log(`📨 Rate: ${rates}`);
+  console.log(`👥 VUs: ${scenario.preAllocatedVUs} pre-allocated, ${scenario.maxVUs} max`);
+  console.log(`👤 Users: ${describeIdentityPool(identities)}`);
+  console.log(`🔐 Auth: ${describeAuth()}`);
+  console.log('─'.repeat(60));
+
+  return { startTime: new Date(), auth: setupAuth() };
+}
+
+/**
+ * Teardown function - runs once after the test completes
+ */
+export function teardown(data) {
+  const duration = (new Date() - data.startTime) / 1000;
+  console.log('─'.repeat(60));
+  console.log(`✅ Test completed in ${duration.toFixed(2)}s`);
+}
+
+/**
+ * Format the per-step latency and error table
+ */
+function stepTable(data) {
+  const rows = [];
+  STEPS.forEach((step, index) => {
+    const duration = metricValues(data, `http_req_duration{lifecycle_step:${step.step}}`);
+    if (!duration.count) {
+      return;
+    }
+    rows.push([
+      `${index + 1}. ${step.step}`,
+      step.activityType,
+      String(duration.count),
+      formatMs(duration.med),
+      formatMs(duration['p(95)']),
+      formatMs(duration['p(99)']),
+      formatPercent(metricValues(data, `errors{lifecycle_step:${step.step}}`).rate),
+    ]);
+  });
+
+  if (rows.length === 0) {
+    return '';
+  }
+
+  const table = formatTable([
+    { title: 'step' },
+    { title: 'activity' },
+    { title: 'count', align: 'right' },
+    { title: 'p50', align: 'right' },
+    { title: 'p95', align: 'right' },
+    { title: 'p99', align: 'right' },
+    { title: 'errors', align: 'right' },
+  ], rows);
+
+  const completed = metricValues(data, 'completed_lifecycles').count || 0;
+  const dropped = metricValues(data, 'dropped_iterations').count || 0;
+
+  return [
+    '',
+    '  Lifecycle steps',
+    '',
+    table,
+    '',
+    `  Completed lifecycles: ${completed} (${formatPercent(metricValues(data, 'lifecycle_success').rate)} without errors)`,
+    `  Lifecycle duration:   p50 ${formatMs(metricValues(data, 'lifecycle_duration').med)}, p95 ${formatMs(metricValues(data, 'lifecycle_duration')['p(95)'])}`,
+    `  Dropped lifecycles:   ${dropped}${dropped > 0 ? ' - VU pool exhausted, raise MAX_VUS or EXPECTED_LIFECYCLE_S' : ''}`,
+    '',
+  ].join('\n');
+}
+
+/**
+ * Handle summary - standard summary, per-step table, HTML and optional CI reports
+ */
+export function handleSummary(data) {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+
+  return summaryOutputs(data, {
+    test: 'lifecycle',
+    timestamp,
+    sections: [stepTable(data)],
+    timeline: TIMELINE,
+    options,
+    prompts,
+    extra: { 'Lifecycle profile': LIFECYCLE_PROFILE, 'Chat turns': CHAT_TURNS },
+  });
+}
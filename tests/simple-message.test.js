@@ -1,26 +1,61 @@
 /**
  * k6 Load Test: Simple Message
  *
- * This test sends a simple "test" message to the bot endpoint.
+ * This test sends prompts from the prompt corpus (data/prompts.json) to the
+ * bot endpoint, picked by weight and tagged by category.
  * No authentication required - bot must be started with LOAD_TEST_MODE=true.
  *
  * Usage:
  *   k6 run tests/simple-message.test.js
  *   k6 run --env BOT_ENDPOINT=http://remote-bot:3978/api/messages tests/simple-message.test.js
+ *   k6 run --env PROMPT_CORPUS=../data/my-prompts.csv tests/simple-message.test.js
+ *   k6 run --env REPLY_CAPTURE=true --env SERVICE_URL=http://localhost:3979 tests/simple-message.test.js
+ *   k6 run --env RESPONSE_VALIDATION=true tests/simple-message.test.js
+ *   k6 run --env SERVER_METRICS=true tests/simple-message.test.js
+ *
+ * Writes an HTML report to results/load-report-<timestamp>.html.
  *
  * Prerequisites:
- *   - Start bot with: LOAD_TEST_MODE=true npm start
+ *   - Start bot with: LOAD_TEST_MODE=true npm start (or BOT_AUTH=jwt, see README)
  *   - Set BOT_ENDPOINT in .env (default: http://localhost:3978/api/messages)
  */
 
-import http from 'k6/http';
 import { check, sleep } from 'k6';
 import { Rate } from 'k6/metrics';
-
-// Load bot endpoint from environment
-const BOT_ENDPOINT = __ENV.BOT_ENDPOINT || 'http://localhost:3978/api/messages';
-
-console.log(`Bot endpoint: ${BOT_ENDPOINT}`);
+import { createMessageActivity } from '../lib/activity-factory.js';
+import { BOT_ENDPOINT, sendActivity, isAccepted } from '../lib/bot-client.js';
+import { setupAuth, useAuth, describeAuth } from '../lib/bot-auth.js';
+import { PROFILE, assertProfileAllows } from '../lib/profile.js';
+import { loadPromptCorpus, createPromptPicker, categoryThresholds, promptTags } from '../lib/prompt-corpus.js';
+import { loadIdentityPool, createIdentityAssigner, cohortThresholds, identityOptions, identityTags, describeIdentityPool } from '../lib/identity-pool.js';
+import { REPLY_CAPTURE_ENABLED, captureReply } from '../lib/reply-capture.js';
+import { addReportMetrics } from '../lib/report.js';
+import { summaryOutputs } from '../lib/summary-output.js';
+import { recordFailure } from '../lib/failures.js';
+import {
+  RESPONSE_VALIDATION_ENABLED,
+  assertKnownRules,
+  prepareActivity,
+  replyFromResponse,
+  validateReply,
+  validationThresholds,
+  validationReport,
+} from '../lib/response-validation.js';
+import { addServerMetrics, describeServerMetrics, serverMetricsReport } from '../lib/server-metrics.js';
+
+// Exec function of the server metrics scraper scenario (SERVER_METRICS=true)
+export { scrapeServerMetrics } from '../lib/server-metrics.js';
+
+console.log(`Bot endpoint: ${BOT_ENDPOINT} (profile: ${PROFILE.name})`);
+
+// Prompt corpus (PROMPT_CORPUS path, or a single TEST_MESSAGE)
+const prompts = loadPromptCorpus();
+assertKnownRules(prompts);
+const pickPrompt = createPromptPicker(prompts);
+
+// Simulated Teams users (IDENTITY_POOL_SIZE / IDENTITY_POOL_FILE)
+const identities = loadIdentityPool();
+const nextIdentity = createIdentityAssigner(identities);
 
 // Custom metrics
 const errorRate = new Rate('errors');
@@ -33,93 +68,68 @@ export const options = {
     { duration: '10s', target: 0 },   // Ramp down to 0
   ],
   thresholds: {
-    http_req_failed: [{ threshold: 'rate<0.01', abortOnFail: true }],  // Less than 1% errors
-    http_req_duration: ['p(95)<10000'],    // 95% of requests < 10s (adjusted for n8n workflow)
-    http_req_duration: ['p(99)<15000'],    // 99% of requests < 15s
+    'http_req_failed{traffic:bot}': [{ threshold: 'rate<0.01', abortOnFail: true }],  // Less than 1% errors
+    // 95% of messages < 10s (adjusted for n8n workflow), 99% < 15s
+    // Scoped to SendMessage so reply polls (REPLY_CAPTURE) don't count
+    'http_req_duration{name:SendMessage}': ['p(95)<10000', 'p(99)<15000'],
     errors: ['rate<0.05'],                 // Custom error rate < 5%
+    ...categoryThresholds(prompts, 'http_req_duration', ['p(95)<10000']),
+    ...cohortThresholds(identities, 'http_req_duration', ['p(95)<10000']),
+    ...validationThresholds(),
   },
   tags: {
     test_type: 'load',
   },
 };
 
-/**
- * Helper function to create a Bot Framework Activity
- */
-function createActivity(text = 'test') {
-  const activityId = `load-test-${Date.now()}-${Math.random().toString(36).substring(7)}`;
-  const conversationId = `test-conversation-${Date.now()}`;
-
-  return {
-    type: 'message',
-    id: activityId,
-    timestamp: new Date().toISOString(),
-    channelId: 'msteams',
-
-    from: {
-      id: __ENV.TEST_USER_ID || '29:load-test-user',
-      name: __ENV.TEST_USER_NAME || 'Load Test User',
-      aadObjectId: __ENV.TEST_USER_AAD_OBJECT_ID || '45908692-019e-4436-810c-b417f58f5f4f',
-      role: 'user',
-    },
-
-    recipient: {
-      id: 'workoflow-bot',
-      name: 'Workoflow Bot',
-      role: 'bot',
-    },
-
-    conversation: {
-      id: conversationId,
-      conversationType: 'personal',
-      isGroup: false,
-      tenantId: 'ae6f26a3-6f27-4ed6-a3a8-800c3226fb79',
-    },
-
-    text: text,
-    textFormat: 'plain',
-    locale: 'en-US',
-
-    serviceUrl: __ENV.SERVICE_URL || 'https://smba.trafficmanager.net/teams',
-  };
-}
+const TIMELINE = addReportMetrics(options);
+addServerMetrics(options, TIMELINE);
+assertProfileAllows(options);
 
 /**
  * Main test function - executed by each virtual user
  */
-export default function () {
-  // Create activity
-  const activity = createActivity(__ENV.TEST_MESSAGE || 'test');
-
-  // Prepare request
-  const payload = JSON.stringify(activity);
-  const headers = {
-    'Content-Type': 'application/json',
-    'x-api-key': __ENV.LOAD_TEST_API_KEY || '',
-  };
-
-  const params = {
-    headers: headers,
-    tags: {
-      name: 'SendMessage',
-    },
+export default function (data) {
+  useAuth(data.auth);
+
+  // Create activity from a weighted random prompt, sent by a pool user
+  const prompt = pickPrompt();
+  const identity = nextIdentity();
+  const activity = prepareActivity(createMessageActivity(prompt.text, { idPrefix: 'load-test', ...identityOptions(identity) }));
+
+  const tags = {
+    name: 'SendMessage',
+    ...promptTags(prompt),
+    ...identityTags(identity),
+    ...TIMELINE.tags(),
   };
 
-  // Send request
-  const response = http.post(BOT_ENDPOINT, payload, params);
+  // Send request (with traceparent header and correlation ID)
+  const sentAt = Date.now();
+  const response = sendActivity(activity, tags);
 
   // Check response - expect success
   const success = check(response, {
     'status is 200 or 202': (r) => r.status === 200 || r.status === 202,
     'response time < 10s': (r) => r.timings.duration < 10000,
-  });
+  }, promptTags(prompt));
 
   // Track errors
-  errorRate.add(!success);
+  errorRate.add(!success, promptTags(prompt));
+
+  // Count the failure by category and keep a few samples for the summary
+  recordFailure(response, { slowMs: 10000, tags });
 
-  // Log errors for debugging
-  if (!success) {
-    console.error(`Request failed: ${response.status} - ${response.body}`);
+  // Wait for the bot's real reply via the mock connector
+  let captured = null;
+  if (REPLY_CAPTURE_ENABLED && success) {
+    captured = captureReply(activity.id, sentAt, promptTags(prompt));
+  }
+
+  // Check the answer's content against the prompt's expectations
+  if (RESPONSE_VALIDATION_ENABLED && isAccepted(response)) {
+    const reply = REPLY_CAPTURE_ENABLED ? (captured && captured.reply) : replyFromResponse(response);
+    validateReply(prompt, reply, promptTags(prompt));
   }
 
   // Think time between requests
@@ -132,10 +142,12 @@ export default function () {
 export function setup() {
   console.log(`\n🚀 Starting load test`);
   console.log(`📍 Endpoint: ${BOT_ENDPOINT}`);
-  console.log(`⚠️  Bot must be started with LOAD_TEST_MODE=true`);
+  console.log(`👤 Users: ${describeIdentityPool(identities)}`);
+  console.log(`🔐 Auth: ${describeAuth()}`);
+  console.log(`📈 Server metrics: ${describeServerMetrics()}`);
   console.log('─'.repeat(60));
 
-  return { startTime: new Date() };
+  return { startTime: new Date(), auth: setupAuth() };
 }
 
 /**
@@ -146,3 +158,19 @@ export function teardown(data) {
   console.log('─'.repeat(60));
   console.log(`✅ Test completed in ${duration.toFixed(2)}s`);
 }
+
+/**
+ * Handle summary - standard summary, HTML report and optional CI reports (JUnit, Markdown)
+ */
+export function handleSummary(data) {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+
+  return summaryOutputs(data, {
+    test: 'load',
+    timestamp,
+    sections: [validationReport(data), serverMetricsReport(data)],
+    timeline: TIMELINE,
+    options,
+    prompts,
+  });
+}
@@ -7,20 +7,25 @@
  * Usage:
  *   k6 run tests/smoke.test.js
  *   k6 run --env BOT_ENDPOINT=http://remote-bot:3978/api/messages tests/smoke.test.js
+ *   k6 run --env PROFILE=stage tests/smoke.test.js
  *
  * Prerequisites:
- *   - Start bot with: LOAD_TEST_MODE=true npm start
+ *   - Start bot with: LOAD_TEST_MODE=true npm start (or BOT_AUTH=jwt, see README)
  *   - Set BOT_ENDPOINT in .env (default: http://localhost:3978/api/messages)
  */
 
 import http from 'k6/http';
 import { check, group } from 'k6';
+import { createMessageActivity } from '../lib/activity-factory.js';
+import { BOT_ENDPOINT, sendActivity } from '../lib/bot-client.js';
+import { describeAuth } from '../lib/bot-auth.js';
+import { PROFILE, assertProfileAllows } from '../lib/profile.js';
+import { addReportMetrics } from '../lib/report.js';
+import { summaryOutputs } from '../lib/summary-output.js';
 
-// Load bot endpoint from environment
-const BOT_ENDPOINT = __ENV.BOT_ENDPOINT || 'http://localhost:3978/api/messages';
-const HEALTH_ENDPOINT = BOT_ENDPOINT.replace('/api/messages', '/api/health');
+const HEALTH_ENDPOINT = PROFILE.healthUrl;
 
-console.log(`Bot endpoint: ${BOT_ENDPOINT}`);
+console.log(`Bot endpoint: ${BOT_ENDPOINT} (profile: ${PROFILE.name})`);
 console.log(`Health endpoint: ${HEALTH_ENDPOINT}`);
 
 // Test configuration - single VU, one iteration
@@ -36,46 +41,8 @@ export const options = {
   },
 };
 
-/**
- * Helper function to create a Bot Framework Activity
- */
-function createActivity(text = 'smoke test') {
-  const activityId = `smoke-test-${Date.now()}`;
-  const conversationId = `smoke-conversation-${Date.now()}`;
-
-  return {
-    type: 'message',
-    id: activityId,
-    timestamp: new Date().toISOString(),
-    channelId: 'msteams',
-
-    from: {
-      id: __ENV.TEST_USER_ID || '29:smoke-test-user',
-      name: __ENV.TEST_USER_NAME || 'Smoke Test User',
-      aadObjectId: __ENV.TEST_USER_AAD_OBJECT_ID || '45908692-019e-4436-810c-b417f58f5f4f',
-      role: 'user',
-    },
-
-    recipient: {
-      id: 'workoflow-bot',
-      name: 'Workoflow Bot',
-      role: 'bot',
-    },
-
-    conversation: {
-      id: conversationId,
-      conversationType: 'personal',
-      isGroup: false,
-      tenantId: 'ae6f26a3-6f27-4ed6-a3a8-800c3226fb79',
-    },
-
-    text: text,
-    textFormat: 'plain',
-    locale: 'en-US',
-
-    serviceUrl: __ENV.SERVICE_URL || 'https://smba.trafficmanager.net/teams',
-  };
-}
+addReportMetrics(options, { timeline: false });
+assertProfileAllows(options);
 
 /**
  * Main smoke test function
@@ -89,7 +56,7 @@ export default function () {
   group('Health Check', () => {
     console.log('Testing health endpoint...');
     const healthResponse = http.get(HEALTH_ENDPOINT, {
-      headers: { 'x-api-key': __ENV.LOAD_TEST_API_KEY || '' },
+      headers: { 'x-api-key': PROFILE.apiKey },
     });
 
     const healthOk = check(healthResponse, {
@@ -107,21 +74,10 @@ export default function () {
   group('Bot Endpoint Connectivity', () => {
     console.log('Testing bot message endpoint...');
 
-    const activity = createActivity('smoke test');
-    const payload = JSON.stringify(activity);
-
-    const headers = {
-      'Content-Type': 'application/json',
-      'x-api-key': __ENV.LOAD_TEST_API_KEY || '',
-    };
-
-    const params = {
-      headers: headers,
-    };
-
-    const response = http.post(BOT_ENDPOINT, payload, params);
+    const activity = createMessageActivity('smoke test', { idPrefix: 'smoke-test' });
+    const response = sendActivity(activity);
 
-    // LOAD_TEST_MODE: Expect success (200 or 202)
+    // Expect success (200 or 202) - LOAD_TEST_MODE or a valid token (BOT_AUTH=jwt)
     const checks = check(response, {
       'endpoint is reachable': (r) => r.status !== 0,
       'status is 200 or 202': (r) => r.status === 200 || r.status === 202,
@@ -130,9 +86,14 @@ export default function () {
 
     console.log(`Response status: ${response.status}`);
     console.log(`Response time: ${response.timings.duration.toFixed(2)}ms`);
+    if (activity.channelData.correlationId) {
+      console.log(`Correlation ID: ${activity.channelData.correlationId} (activity ${activity.id})`);
+    }
 
     if (response.status === 200 || response.status === 202) {
       console.log('✓ Message sent successfully');
+    } else if (response.status === 401 || response.status === 403) {
+      console.error(`❌ Unauthorized - check the credentials (${describeAuth()})`);
     } else if (response.status === 404) {
       console.error('❌ Not Found - Check the endpoint URL');
     } else if (response.status >= 500) {
@@ -149,7 +110,16 @@ export default function () {
   });
 
   console.log('─'.repeat(60));
-  console.log('\n✓ Running in LOAD_TEST_MODE (no authentication required)');
+  console.log(`\n✓ Auth: ${describeAuth()}`);
   console.log('\n💡 If smoke test passes, you can run full load tests:');
   console.log('   npm test\n');
 }
+
+/**
+ * Handle summary - standard summary, HTML report and optional CI reports (JUnit, Markdown)
+ */
+export function handleSummary(data) {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+
+  return summaryOutputs(data, { test: 'smoke', timestamp, options });
+}
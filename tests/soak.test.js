@@ -0,0 +1,299 @@
+/**
+ * k6 Soak Test: Endurance with Drift Detection
+ *
+ * Runs moderate constant load for several hours to surface slow degradation
+ * (memory leaks, connection-pool exhaustion) in the bot and n8n. Requests are
+ * tagged with the time window they were sent in (w01, w02, …), and the summary
+ * prints latency and error rate per window and flags statistically
+ * significant drift between the first and last windows.
+ *
+ * With SERVER_METRICS=true the bot's health (and Prometheus) endpoint is
+ * scraped alongside, and heap, event-loop lag, in-flight requests and n8n
+ * queue depth are listed per window - a growing heap next to growing latency
+ * points at a leak in the bot rather than in n8n.
+ *
+ * Usage:
+ *   k6 run tests/soak.test.js
+ *   k6 run --env SOAK_DURATION=8h --env SOAK_VUS=20 tests/soak.test.js
+ *   k6 run --env SOAK_DURATION=1h --env WINDOW=5m tests/soak.test.js
+ *   k6 run --env SERVER_METRICS=true --env SERVER_METRICS_INTERVAL=30s tests/soak.test.js
+ *
+ * Prerequisites:
+ *   - Start bot with: LOAD_TEST_MODE=true npm start (or BOT_AUTH=jwt, see README)
+ *   - Set BOT_ENDPOINT in .env
+ */
+
+import { check, sleep } from 'k6';
+import { Rate } from 'k6/metrics';
+import { createMessageActivity } from '../lib/activity-factory.js';
+import { BOT_ENDPOINT, sendActivity, isAccepted } from '../lib/bot-client.js';
+import { setupAuth, useAuth, describeAuth } from '../lib/bot-auth.js';
+import { PROFILE, assertProfileAllows } from '../lib/profile.js';
+import { addReportMetrics } from '../lib/report.js';
+import { summaryOutputs } from '../lib/summary-output.js';
+import { recordFailure } from '../lib/failures.js';
+import { loadPromptCorpus, createPromptPicker, promptTags } from '../lib/prompt-corpus.js';
+import { loadIdentityPool, createIdentityAssigner, cohortThresholds, identityOptions, identityTags, describeIdentityPool } from '../lib/identity-pool.js';
+import { parseDuration, scenarioElapsedMs } from '../lib/stages.js';
+import { formatTable, formatMs, formatPercent, formatNumber, metricValues } from '../lib/summary.js';
+import { detectDrift } from '../lib/drift.js';
+import { addServerMetrics, describeServerMetrics, serverMetricsReport } from '../lib/server-metrics.js';
+
+// Exec function of the server metrics scraper scenario (SERVER_METRICS=true)
+export { scrapeServerMetrics } from '../lib/server-metrics.js';
+
+console.log(`Bot endpoint: ${BOT_ENDPOINT} (profile: ${PROFILE.name})`);
+
+const SOAK_DURATION = __ENV.SOAK_DURATION || '4h';
+const SOAK_VUS = parseInt(__ENV.SOAK_VUS || '10', 10);
+
+// Length of one analysis window
+const WINDOW = __ENV.WINDOW || '10m';
+const WINDOW_MS = parseDuration(WINDOW);
+const WINDOW_COUNT = Math.ceil(parseDuration(SOAK_DURATION) / WINDOW_MS);
+
+// Think time between requests in seconds
+const THINK_TIME_MIN = parseFloat(__ENV.THINK_TIME_MIN || '2');
+const THINK_TIME_MAX = parseFloat(__ENV.THINK_TIME_MAX || '5');
+
+// Windows with fewer requests are ignored for the drift comparison
+const MIN_WINDOW_REQUESTS = parseInt(__ENV.MIN_WINDOW_REQUESTS || '30', 10);
+
+// Drift detection settings
+const DRIFT_OPTIONS = {
+  alpha: parseFloat(__ENV.DRIFT_ALPHA || '0.01'),
+  minLatencyChange: parseFloat(__ENV.DRIFT_MIN_LATENCY_CHANGE || '0.2'),
+  minErrorRateChange: parseFloat(__ENV.DRIFT_MIN_ERROR_RATE_CHANGE || '0.01'),
+};
+
+// Prompt corpus (PROMPT_CORPUS path, or a single TEST_MESSAGE)
+const prompts = loadPromptCorpus();
+const pickPrompt = createPromptPicker(prompts);
+
+// Simulated Teams users (IDENTITY_POOL_SIZE / IDENTITY_POOL_FILE)
+const identities = loadIdentityPool();
+const nextIdentity = createIdentityAssigner(identities);
+
+// Custom metrics
+const errorRate = new Rate('errors');
+
+/**
+ * Window tag for a window index: w01, w02, …
+ */
+function windowName(index) {
+  return `w${String(index + 1).padStart(String(WINDOW_COUNT).length, '0')}`;
+}
+
+const WINDOWS = Array.from({ length: WINDOW_COUNT }, (_, index) => windowName(index));
+
+/**
+ * Per-window thresholds - also expose each window's values in the summary
+ */
+function windowThresholds() {
+  const thresholds = {};
+  WINDOWS.forEach((name) => {
+    thresholds[`http_req_duration{window:${name}}`] = ['p(95)<60000'];
+    thresholds[`http_req_failed{window:${name}}`] = ['rate<0.10'];
+  });
+  return thresholds;
+}
+
+// Test configuration
+export const options = {
+  scenarios: {
+    soak: {
+      executor: 'constant-vus',
+      vus: SOAK_VUS,
+      duration: SOAK_DURATION,
+    },
+  },
+  thresholds: {
+    'http_req_failed{traffic:bot}': ['rate<0.10'],
+    'http_req_duration{traffic:bot}': ['p(95)<60000'],
+    ...cohortThresholds(identities, 'http_req_duration', ['p(95)<60000']),
+    errors: ['rate<0.20'],
+    ...windowThresholds(),
+  },
+  tags: {
+    test_type: 'soak',
+  },
+  // p(25)/p(75) are needed to estimate the spread for drift detection
+  summaryTrendStats: ['avg', 'min', 'med', 'max', 'p(25)', 'p(75)', 'p(90)', 'p(95)', 'p(99)', 'count'],
+};
+
+const TIMELINE = addReportMetrics(options);
+// Server metrics per window (the scraper starts together with the soak scenario)
+addServerMetrics(options, TIMELINE, {
+  tags: () => ({ window: getCurrentWindow() }),
+  rows: WINDOWS.map((name) => ({ label: name, selector: `window:${name}` })),
+  title: 'window',
+});
+assertProfileAllows(options);
+
+/**
+ * Window the current request falls into
+ */
+function getCurrentWindow() {
+  const index = Math.min(Math.floor(scenarioElapsedMs() / WINDOW_MS), WINDOW_COUNT - 1);
+  return WINDOWS[index];
+}
+
+/**
+ * Main test function - executed by each virtual user
+ */
+export default function (data) {
+  useAuth(data.auth);
+
+  const prompt = pickPrompt();
+  const identity = nextIdentity();
+  const activity = createMessageActivity(prompt.text, { idPrefix: 'soak', ...identityOptions(identity) });
+  const tags = { name: 'SendMessage', window: getCurrentWindow(), ...promptTags(prompt), ...identityTags(identity), ...TIMELINE.tags() };
+
+  const response = sendActivity(activity, tags);
+
+  const success = check(response, {
+    'status is 200 or 202': isAccepted,
+    'response time < 45s': (r) => r.timings.duration < 45000,
+  }, tags);
+
+  errorRate.add(!success, tags);
+
+  recordFailure(response, { slowMs: 45000, tags });
+
+  sleep(THINK_TIME_MIN + Math.random() * (THINK_TIME_MAX - THINK_TIME_MIN));
+}
+
+/**
+ * Setup function - runs once before the test starts
+ */
+export function setup() {
+  console.log(`\n🚀 Starting soak test`);
+  console.log(`📍 Endpoint: ${BOT_ENDPOINT}`);
+  console.log(`👤 Users: ${describeIdentityPool(identities)}`);
+  console.log(`⏱  ${SOAK_VUS} VUs for ${SOAK_DURATION} (${WINDOW_COUNT} windows of ${WINDOW})`);
+  console.log(`🔐 Auth: ${describeAuth()}`);
+  console.log(`📈 Server metrics: ${describeServerMetrics()}`);
+  console.log('─'.repeat(60));
+
+  return { startTime: new Date(), auth: setupAuth() };
+}
+
+/**
+ * Teardown function - runs once after the test completes
+ */
+export function teardown(data) {
+  const duration = (new Date() - data.startTime) / 1000;
+  console.log('─'.repeat(60));
+  console.log(`✅ Test completed in ${duration.toFixed(2)}s`);
+}
+
+/**
+ * Collect per-window statistics from the summary data
+ */
+function collectWindowStats(data) {
+  return WINDOWS.map((name) => {
+    const duration = metricValues(data, `http_req_duration{window:${name}}`);
+    const failed = metricValues(data, `http_req_failed{window:${name}}`);
+
+    // http_req_failed is a Rate of "failed" - its `passes` are the failed requests
+    const fails = failed.passes || 0;
+    const count = fails + (failed.fails || 0);
+
+    return {
+      name: name,
+      count: count,
+      fails: fails,
+      errorRate: count > 0 ? fails / count : undefined,
+      avg: duration.avg,
+      p25: duration['p(25)'],
+      p50: duration.med,
+      p75: duration['p(75)'],
+      p95: duration['p(95)'],
+    };
+  });
+}
+
+/**
+ * Compare the first and last windows with enough requests
+ */
+function analyzeDrift(windows) {
+  const usable = windows.filter((window) => window.count >= MIN_WINDOW_REQUESTS);
+  if (usable.length < 2) {
+    return null;
+  }
+  return detectDrift(usable[0], usable[usable.length - 1], DRIFT_OPTIONS);
+}
+
+/**
+ * Format per-window table and drift verdict
+ */
+function formatSoakReport(windows, drift) {
+  const rows = windows.filter((window) => window.count > 0).map((window) => [
+    window.name,
+    String(window.count),
+    formatMs(window.avg),
+    formatMs(window.p50),
+    formatMs(window.p95),
+    formatPercent(window.errorRate),
+  ]);
+
+  const table = formatTable([
+    { title: 'window' },
+    { title: 'reqs', align: 'right' },
+    { title: 'avg', align: 'right' },
+    { title: 'p50', align: 'right' },
+    { title: 'p95', align: 'right' },
+    { title: 'errors', align: 'right' },
+  ], rows);
+
+  const lines = ['', `  Latency and errors per ${WINDOW} window`, '', table, ''];
+
+  if (!drift) {
+    lines.push(`  Drift: not evaluated - need two windows with at least ${MIN_WINDOW_REQUESTS} requests`);
+  } else {
+    const latency = drift.latency;
+    const errors = drift.errorRate;
+    lines.push(`  Drift ${drift.firstWindow} → ${drift.lastWindow} (alpha ${drift.settings.alpha})`);
+    lines.push(`  Mean latency: ${formatMs(latency.first)} → ${formatMs(latency.last)} `
+      + `(${latency.change >= 0 ? '+' : ''}${formatPercent(latency.change)}, z=${formatNumber(latency.z)}, p=${latency.pValue.toExponential(2)})`
+      + (latency.drift ? '  ✗ DRIFT' : '  ✓'));
+    lines.push(`  Error rate:   ${formatPercent(errors.first)} → ${formatPercent(errors.last)} `
+      + `(z=${formatNumber(errors.z)}, p=${errors.pValue.toExponential(2)})`
+      + (errors.drift ? '  ✗ DRIFT' : '  ✓'));
+    lines.push(drift.drift
+      ? '  ✗ Significant degradation over the run - check for memory leaks and connection-pool exhaustion'
+      : '  ✓ No significant degradation over the run');
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Handle summary - per-window table, drift verdict, JSON and HTML reports, optional CI reports
+ */
+export function handleSummary(data) {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const windows = collectWindowStats(data);
+  const drift = analyzeDrift(windows);
+
+  const report = {
+    generatedAt: new Date().toISOString(),
+    endpoint: BOT_ENDPOINT,
+    duration: SOAK_DURATION,
+    vus: SOAK_VUS,
+    window: WINDOW,
+    windows: windows,
+    drift: drift,
+  };
+
+  return summaryOutputs(data, {
+    test: 'soak',
+    timestamp,
+    sections: [formatSoakReport(windows, drift), serverMetricsReport(data)],
+    files: { [`results/soak-${timestamp}.json`]: JSON.stringify(report, null, 2) },
+    timeline: TIMELINE,
+    options,
+    prompts,
+    extra: { 'Window': WINDOW, 'Drift': drift ? (drift.drift ? 'significant degradation' : 'none') : 'not evaluated' },
+  });
+}
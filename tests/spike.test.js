@@ -0,0 +1,347 @@
+/**
+ * k6 Spike Test: Teams Traffic Surges
+ *
+ * Simulates sudden traffic bursts (meeting start, standups, announcements):
+ * baseline load, a jump to N× load within seconds, a hold, a drop back to
+ * baseline and a recovery period - repeated for several bursts.
+ *
+ * Requests are tagged per spike (`spike`: 1, 2, …) and spike phase
+ * (`spike_phase`: baseline, surge, recovery). The recovery period is split
+ * into buckets (`recovery_bucket`), and the summary reports each spike's
+ * recovery time: how long after the drop until p95 latency and error rate
+ * are back at baseline level.
+ *
+ * Usage:
+ *   k6 run tests/spike.test.js
+ *   k6 run --env BASELINE_VUS=5 --env SPIKE_MULTIPLIER=20 tests/spike.test.js
+ *   k6 run --env SPIKE_COUNT=5 --env SPIKE_HOLD=30s tests/spike.test.js
+ *
+ * Prerequisites:
+ *   - Start bot with: LOAD_TEST_MODE=true npm start (or BOT_AUTH=jwt, see README)
+ *   - Set BOT_ENDPOINT in .env
+ */
+
+import { check, sleep } from 'k6';
+import { Rate } from 'k6/metrics';
+import { createMessageActivity } from '../lib/activity-factory.js';
+import { BOT_ENDPOINT, sendActivity, isAccepted } from '../lib/bot-client.js';
+import { setupAuth, useAuth, describeAuth } from '../lib/bot-auth.js';
+import { PROFILE, assertProfileAllows } from '../lib/profile.js';
+import { addReportMetrics } from '../lib/report.js';
+import { summaryOutputs } from '../lib/summary-output.js';
+import { recordFailure } from '../lib/failures.js';
+import { loadPromptCorpus, createPromptPicker, promptTags } from '../lib/prompt-corpus.js';
+import { loadIdentityPool, createIdentityAssigner, cohortThresholds, identityOptions, identityTags, describeIdentityPool } from '../lib/identity-pool.js';
+import { parseDuration, scenarioElapsedMs } from '../lib/stages.js';
+import { formatTable, formatMs, formatPercent, metricValues } from '../lib/summary.js';
+
+console.log(`Bot endpoint: ${BOT_ENDPOINT} (profile: ${PROFILE.name})`);
+
+// Spike profile
+const BASELINE_VUS = parseInt(__ENV.BASELINE_VUS || '5', 10);
+const SPIKE_MULTIPLIER = parseFloat(__ENV.SPIKE_MULTIPLIER || '10');
+const SPIKE_VUS = Math.round(BASELINE_VUS * SPIKE_MULTIPLIER);
+const SPIKE_COUNT = parseInt(__ENV.SPIKE_COUNT || '3', 10);
+
+const BASELINE_DURATION = __ENV.BASELINE_DURATION || '2m';
+const SPIKE_RAMP = __ENV.SPIKE_RAMP || '10s';
+const SPIKE_HOLD = __ENV.SPIKE_HOLD || '1m';
+const RECOVERY_DURATION = __ENV.RECOVERY_DURATION || '2m';
+
+// Resolution of the recovery time measurement
+const RECOVERY_BUCKET = __ENV.RECOVERY_BUCKET || '10s';
+const RECOVERY_BUCKET_MS = parseDuration(RECOVERY_BUCKET);
+
+// "Back to baseline": p95 within +20% and error rate within +1 percentage point
+const RECOVERY_LATENCY_TOLERANCE = parseFloat(__ENV.RECOVERY_LATENCY_TOLERANCE || '0.2');
+const RECOVERY_ERROR_TOLERANCE = parseFloat(__ENV.RECOVERY_ERROR_TOLERANCE || '0.01');
+
+// Think time between requests in seconds
+const THINK_TIME = parseFloat(__ENV.THINK_TIME || '1');
+
+// Prompt corpus (PROMPT_CORPUS path, or a single TEST_MESSAGE)
+const prompts = loadPromptCorpus();
+const pickPrompt = createPromptPicker(prompts);
+
+// Simulated Teams users (IDENTITY_POOL_SIZE / IDENTITY_POOL_FILE)
+const identities = loadIdentityPool();
+const nextIdentity = createIdentityAssigner(identities);
+
+// Custom metrics
+const errorRate = new Rate('errors');
+
+/**
+ * Build the stages and the matching timeline of tagged segments
+ */
+function buildSchedule() {
+  const stages = [];
+  const timeline = [];
+  let offset = 0;
+
+  const add = (duration, target, tags) => {
+    const durationMs = parseDuration(duration);
+    stages.push({ duration, target });
+    timeline.push({ startMs: offset, endMs: offset + durationMs, tags });
+    offset += durationMs;
+  };
+
+  add('30s', BASELINE_VUS, { spike: '0', spike_phase: 'warmup' });
+  add(BASELINE_DURATION, BASELINE_VUS, { spike: '0', spike_phase: 'baseline' });
+
+  for (let spike = 1; spike <= SPIKE_COUNT; spike++) {
+    add(SPIKE_RAMP, SPIKE_VUS, { spike: String(spike), spike_phase: 'surge' });
+    add(SPIKE_HOLD, SPIKE_VUS, { spike: String(spike), spike_phase: 'surge' });
+
+    // Recovery is measured from the moment the load starts dropping
+    const recoveryStartMs = offset;
+    add(SPIKE_RAMP, BASELINE_VUS, { spike: String(spike), spike_phase: 'recovery', recoveryStartMs });
+    add(RECOVERY_DURATION, BASELINE_VUS, { spike: String(spike), spike_phase: 'recovery', recoveryStartMs });
+  }
+
+  add('30s', 0, { spike: '0', spike_phase: 'ramp-down' });
+
+  return { stages, timeline };
+}
+
+const SCHEDULE = buildSchedule();
+
+const RECOVERY_BUCKETS = Math.ceil((parseDuration(SPIKE_RAMP) + parseDuration(RECOVERY_DURATION)) / RECOVERY_BUCKET_MS);
+
+/**
+ * Recovery bucket tag: s<spike>-b<index>
+ */
+function bucketName(spike, index) {
+  return `s${spike}-b${String(index).padStart(2, '0')}`;
+}
+
+/**
+ * Thresholds per spike, per recovery bucket and for the baseline
+ *
+ * Besides the SLA, they expose each tagged sub-metric in the summary data.
+ */
+function spikeThresholds() {
+  const thresholds = {
+    'http_req_duration{spike_phase:baseline}': ['p(95)<60000'],
+    'http_req_failed{spike_phase:baseline}': ['rate<0.10'],
+  };
+
+  for (let spike = 1; spike <= SPIKE_COUNT; spike++) {
+    thresholds[`http_req_duration{spike:${spike},spike_phase:surge}`] = ['p(95)<60000'];
+    thresholds[`http_req_failed{spike:${spike},spike_phase:surge}`] = ['rate<0.10'];
+
+    for (let bucket = 0; bucket < RECOVERY_BUCKETS; bucket++) {
+      thresholds[`http_req_duration{recovery_bucket:${bucketName(spike, bucket)}}`] = ['p(95)<60000'];
+      thresholds[`http_req_failed{recovery_bucket:${bucketName(spike, bucket)}}`] = ['rate<0.10'];
+    }
+  }
+
+  return thresholds;
+}
+
+// Test configuration
+export const options = {
+  stages: SCHEDULE.stages,
+  thresholds: {
+    'http_req_failed{traffic:bot}': ['rate<0.10'],
+    'http_req_duration{traffic:bot}': ['p(95)<60000'],
+    ...cohortThresholds(identities, 'http_req_duration', ['p(95)<60000']),
+    errors: ['rate<0.20'],
+    ...spikeThresholds(),
+  },
+  tags: {
+    test_type: 'spike',
+  },
+  summaryTrendStats: ['avg', 'min', 'med', 'max', 'p(90)', 'p(95)', 'p(99)', 'count'],
+};
+
+const TIMELINE = addReportMetrics(options);
+assertProfileAllows(options);
+
+/**
+ * Tags for the segment running at the current elapsed time
+ */
+function getSpikeTags() {
+  const elapsedMs = scenarioElapsedMs();
+  const segment = SCHEDULE.timeline.find((s) => elapsedMs < s.endMs) || SCHEDULE.timeline[SCHEDULE.timeline.length - 1];
+  const { recoveryStartMs, ...tags } = segment.tags;
+
+  if (tags.spike_phase === 'recovery') {
+    const bucket = Math.min(Math.floor((elapsedMs - recoveryStartMs) / RECOVERY_BUCKET_MS), RECOVERY_BUCKETS - 1);
+    tags.recovery_bucket = bucketName(tags.spike, bucket);
+  }
+
+  return tags;
+}
+
+/**
+ * Main test function - executed by each virtual user
+ */
+export default function (data) {
+  useAuth(data.auth);
+
+  const prompt = pickPrompt();
+  const identity = nextIdentity();
+  const activity = createMessageActivity(prompt.text, { idPrefix: 'spike', ...identityOptions(identity) });
+  const tags = { name: 'SendMessage', ...getSpikeTags(), ...promptTags(prompt), ...identityTags(identity), ...TIMELINE.tags() };
+
+  const response = sendActivity(activity, tags);
+
+  const success = check(response, {
+    'status is 200 or 202': isAccepted,
+    'response time < 45s': (r) => r.timings.duration < 45000,
+  }, tags);
+
+  errorRate.add(!success, tags);
+
+  recordFailure(response, { slowMs: 45000, tags });
+
+  sleep(THINK_TIME);
+}
+
+/**
+ * Setup function - runs once before the test starts
+ */
+export function setup() {
+  console.log(`\n🚀 Starting spike test`);
+  console.log(`📍 Endpoint: ${BOT_ENDPOINT}`);
+  console.log(`👤 Users: ${describeIdentityPool(identities)}`);
+  console.log(`📈 ${SPIKE_COUNT} spikes: ${BASELINE_VUS} → ${SPIKE_VUS} VUs in ${SPIKE_RAMP}, hold ${SPIKE_HOLD}, recover ${RECOVERY_DURATION}`);
+  console.log(`🔐 Auth: ${describeAuth()}`);
+  console.log('─'.repeat(60));
+
+  return { startTime: new Date(), auth: setupAuth() };
+}
+
+/**
+ * Teardown function - runs once after the test completes
+ */
+export function teardown(data) {
+  const duration = (new Date() - data.startTime) / 1000;
+  console.log('─'.repeat(60));
+  console.log(`✅ Test completed in ${duration.toFixed(2)}s`);
+}
+
+/**
+ * p95 and error rate of a tagged selector
+ */
+function selectorStats(data, selector) {
+  const duration = metricValues(data, `http_req_duration{${selector}}`);
+  const failed = metricValues(data, `http_req_failed{${selector}}`);
+  return {
+    requests: duration.count || 0,
+    p95: duration['p(95)'],
+    errorRate: failed.rate,
+  };
+}
+
+/**
+ * Time after the drop until p95 and error rate stay at baseline level
+ *
+ * Returns the offset in ms of the first bucket from which all later buckets
+ * with traffic are back at baseline, or null if it never recovered.
+ */
+function recoveryTimeMs(buckets, baseline) {
+  const maxP95 = baseline.p95 * (1 + RECOVERY_LATENCY_TOLERANCE);
+  const maxErrorRate = (baseline.errorRate || 0) + RECOVERY_ERROR_TOLERANCE;
+  const recovered = (bucket) => bucket.p95 <= maxP95 && (bucket.errorRate || 0) <= maxErrorRate;
+
+  const withTraffic = buckets.filter((bucket) => bucket.requests > 0);
+  for (let i = 0; i < withTraffic.length; i++) {
+    if (withTraffic.slice(i).every(recovered)) {
+      return withTraffic[i].offsetMs;
+    }
+  }
+  return null;
+}
+
+/**
+ * Collect surge and recovery statistics per spike
+ */
+function collectSpikeStats(data) {
+  const baseline = selectorStats(data, 'spike_phase:baseline');
+  const spikes = [];
+
+  for (let spike = 1; spike <= SPIKE_COUNT; spike++) {
+    const surge = selectorStats(data, `spike:${spike},spike_phase:surge`);
+    const buckets = [];
+    for (let bucket = 0; bucket < RECOVERY_BUCKETS; bucket++) {
+      buckets.push({
+        offsetMs: bucket * RECOVERY_BUCKET_MS,
+        ...selectorStats(data, `recovery_bucket:${bucketName(spike, bucket)}`),
+      });
+    }
+
+    spikes.push({
+      spike: spike,
+      surge: surge,
+      recoveryTimeMs: baseline.requests > 0 ? recoveryTimeMs(buckets, baseline) : null,
+      recoveryBuckets: buckets,
+    });
+  }
+
+  return { baseline, spikes };
+}
+
+/**
+ * Format the per-spike table
+ */
+function formatSpikeReport(stats) {
+  const first = stats.spikes[0];
+  const rows = stats.spikes.filter((s) => s.surge.requests > 0).map((s) => [
+    `spike ${s.spike}`,
+    String(s.surge.requests),
+    formatMs(s.surge.p95),
+    s.spike > 1 && first.surge.p95 ? `${s.surge.p95 >= first.surge.p95 ? '+' : ''}${formatPercent(s.surge.p95 / first.surge.p95 - 1)}` : '-',
+    formatPercent(s.surge.errorRate),
+    s.recoveryTimeMs === null ? `not within ${RECOVERY_DURATION}` : `${s.recoveryTimeMs / 1000}s`,
+  ]);
+
+  const table = formatTable([
+    { title: 'burst' },
+    { title: 'reqs', align: 'right' },
+    { title: 'surge p95', align: 'right' },
+    { title: 'vs spike 1', align: 'right' },
+    { title: 'errors', align: 'right' },
+    { title: 'recovery time' },
+  ], rows);
+
+  return [
+    '',
+    `  Spikes: ${BASELINE_VUS} → ${SPIKE_VUS} VUs`,
+    `  Baseline: p95 ${formatMs(stats.baseline.p95)}, errors ${formatPercent(stats.baseline.errorRate)}`,
+    `  Recovered = p95 within +${formatPercent(RECOVERY_LATENCY_TOLERANCE)} and errors within +${formatPercent(RECOVERY_ERROR_TOLERANCE)} of baseline (${RECOVERY_BUCKET} resolution)`,
+    '',
+    table,
+    '',
+  ].join('\n');
+}
+
+/**
+ * Handle summary - per-spike table with recovery times, JSON and HTML reports, optional CI reports
+ */
+export function handleSummary(data) {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const stats = collectSpikeStats(data);
+
+  const report = {
+    generatedAt: new Date().toISOString(),
+    endpoint: BOT_ENDPOINT,
+    baselineVus: BASELINE_VUS,
+    spikeVus: SPIKE_VUS,
+    ...stats,
+  };
+
+  return summaryOutputs(data, {
+    test: 'spike',
+    timestamp,
+    sections: [formatSpikeReport(stats)],
+    files: { [`results/spike-${timestamp}.json`]: JSON.stringify(report, null, 2) },
+    timeline: TIMELINE,
+    options,
+    prompts,
+    extra: {
+      'Spikes': `${SPIKE_COUNT} × ${BASELINE_VUS} → ${SPIKE_VUS} VUs`,
+      'Recovery times': stats.spikes.map((s) => (s.recoveryTimeMs === null ? '-' : `${s.recoveryTimeMs / 1000}s`)).join(', '),
+    },
+  });
+}
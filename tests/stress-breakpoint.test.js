@@ -4,25 +4,72 @@
  * This test progressively increases virtual users to find the system's
  * maximum capacity while maintaining SLA (p95 < 60s for AI/LLM processing).
  *
- * VU Progression: 5 → 10 → 25 → 50 → 75 → 100 → 150 → 200
+ * VU Progression: 5 → 10 → 25 → 50 → 75 → 100 (→ 150 → 200 when enabled)
+ *
+ * Requests are tagged with the phase (load step) running at the time they are
+ * sent, derived from the elapsed time in the stages. The summary prints a
+ * per-phase table of p50/p95/p99, error rate and throughput with the SLA
+ * result of each phase, followed by a capacity report (max concurrency within
+ * SLA, knee point, saturation throughput) that is also written to
+ * results/stress-capacity-<timestamp>.json.
+ *
+ * With RESPONSE_VALIDATION=true the answers are checked against the corpus
+ * expectations and the table gains a per-phase answer pass rate, showing
+ * whether answer quality degrades before latency does.
+ *
+ * With SERVER_METRICS=true a scraper scenario polls the bot's health (and
+ * Prometheus) endpoint; the summary lists event-loop lag, heap, in-flight
+ * requests and n8n queue depth per phase next to the phase p95.
  *
  * Usage:
  *   k6 run tests/stress-breakpoint.test.js
  *   k6 run --out json=results/stress.json tests/stress-breakpoint.test.js
+ *   k6 run --env RESPONSE_VALIDATION=true tests/stress-breakpoint.test.js
+ *   k6 run --env SERVER_METRICS=true --env SERVER_METRICS_URL=http://localhost:3978/metrics tests/stress-breakpoint.test.js
  *
  * Prerequisites:
- *   - Start bot with: LOAD_TEST_MODE=true npm start
+ *   - Start bot with: LOAD_TEST_MODE=true npm start (or BOT_AUTH=jwt, see README)
  *   - Set BOT_ENDPOINT in .env
  */
 
-import http from 'k6/http';
 import { check, sleep } from 'k6';
 import { Rate, Trend, Counter } from 'k6/metrics';
-
-// Load bot endpoint from environment
-const BOT_ENDPOINT = __ENV.BOT_ENDPOINT || 'http://localhost:3978/api/messages';
-
-console.log(`Bot endpoint: ${BOT_ENDPOINT}`);
+import { createMessageActivity } from '../lib/activity-factory.js';
+import { BOT_ENDPOINT, sendActivity } from '../lib/bot-client.js';
+import { setupAuth, useAuth, describeAuth } from '../lib/bot-auth.js';
+import { PROFILE, assertProfileAllows } from '../lib/profile.js';
+import { loadPromptCorpus, createPromptPicker, categoryThresholds, promptTags } from '../lib/prompt-corpus.js';
+import { loadIdentityPool, createIdentityAssigner, cohortThresholds, identityOptions, identityTags, describeIdentityPool } from '../lib/identity-pool.js';
+import { parseDuration, scenarioElapsedMs } from '../lib/stages.js';
+import { formatTable, formatMs, formatPercent, formatNumber, metricValues, thresholdsOk } from '../lib/summary.js';
+import { analyzeCapacity, formatCapacity } from '../lib/capacity.js';
+import { addReportMetrics, stripReportMetrics } from '../lib/report.js';
+import { summaryOutputs } from '../lib/summary-output.js';
+import { recordFailure } from '../lib/failures.js';
+import {
+  RESPONSE_VALIDATION_ENABLED,
+  assertKnownRules,
+  prepareActivity,
+  replyFromResponse,
+  validateReply,
+  validationThresholds,
+  validationReport,
+} from '../lib/response-validation.js';
+import { addServerMetrics, describeServerMetrics, serverMetricsReport } from '../lib/server-metrics.js';
+
+// Exec function of the server metrics scraper scenario (SERVER_METRICS=true)
+export { scrapeServerMetrics } from '../lib/server-metrics.js';
+
+console.log(`Bot endpoint: ${BOT_ENDPOINT} (profile: ${PROFILE.name})`);
+
+// Prompt corpus (PROMPT_CORPUS path, or a single TEST_MESSAGE)
+const prompts = loadPromptCorpus();
+assertKnownRules(prompts);
+const pickPrompt = createPromptPicker(prompts);
+
+// Simulated Teams users (IDENTITY_POOL_SIZE / IDENTITY_POOL_FILE)
+const identities = loadIdentityPool();
+const nextIdentity = createIdentityAssigner(identities);
 
 // Custom metrics
 const errorRate = new Rate('errors');
@@ -30,51 +77,109 @@ const successRate = new Rate('success_rate');
 const responseTrend = new Trend('response_time_trend');
 const requestCount = new Counter('total_requests');
 
+// Progressive load steps - each phase ramps up for 30s, then holds for 1m
+const STAGES = [
+  // Phase 1: Baseline (5 VUs)
+  { duration: '30s', target: 5 },
+  { duration: '1m', target: 5 },
+
+  // Phase 2: First doubling (10 VUs)
+  { duration: '30s', target: 10 },
+  { duration: '1m', target: 10 },
+
+  // Phase 3: Moderate load (25 VUs)
+  { duration: '30s', target: 25 },
+  { duration: '1m', target: 25 },
+
+  // Phase 4: Heavy load (50 VUs)
+  { duration: '30s', target: 50 },
+  { duration: '1m', target: 50 },
+
+  // Phase 5: Approaching limits (75 VUs)
+  { duration: '30s', target: 75 },
+  { duration: '1m', target: 75 },
+
+  // Phase 6: Stress load (100 VUs)
+  { duration: '30s', target: 100 },
+  { duration: '1m', target: 100 },
+
+  // Phase 7: Peak load (150 VUs)
+  // { duration: '30s', target: 150 },
+  // { duration: '1m', target: 150 },
+
+  // Phase 8: Overload (200 VUs)
+  // { duration: '30s', target: 200 },
+  // { duration: '1m', target: 200 },
+
+  // Ramp down
+  { duration: '30s', target: 0 },
+];
+
+// SLA per phase
+const PHASE_SLA = {
+  http_req_duration: ['p(95)<60000'],
+  http_req_failed: ['rate<0.10'],
+};
+
+/**
+ * Group stages into phases: one phase per distinct VU target (ramp + hold)
+ */
+function buildPhases(stages) {
+  const phases = [];
+  let offset = 0;
+
+  stages.forEach((stage) => {
+    const durationMs = parseDuration(stage.duration);
+    const name = stage.target === 0 ? 'ramp-down' : `phase${phases.filter((p) => p.target > 0).length + 1}-${stage.target}vu`;
+    const last = phases[phases.length - 1];
+
+    if (last && last.target === stage.target) {
+      last.endMs += durationMs;
+    } else {
+      phases.push({ name: name, target: stage.target, startMs: offset, endMs: offset + durationMs });
+    }
+    offset += durationMs;
+  });
+
+  return phases;
+}
+
+const PHASES = buildPhases(STAGES);
+
+/**
+ * Generate SLA thresholds for every phase tag
+ */
+function phaseThresholds() {
+  const thresholds = {};
+  PHASES.forEach((phase) => {
+    thresholds[`http_req_duration{phase:${phase.name}}`] = PHASE_SLA.http_req_duration;
+    thresholds[`http_req_failed{phase:${phase.name}}`] = PHASE_SLA.http_req_failed;
+    // Exposes the per-phase request count for throughput
+    thresholds[`http_reqs{phase:${phase.name}}`] = ['count>=0'];
+    if (RESPONSE_VALIDATION_ENABLED) {
+      thresholds[`validation_passed{phase:${phase.name}}`] = ['rate>=0'];
+    }
+  });
+  return thresholds;
+}
+
 // Test configuration - Progressive stress test
 export const options = {
-  stages: [
-    // Phase 1: Baseline (5 VUs)
-    { duration: '30s', target: 5 },
-    { duration: '1m', target: 5 },
-
-    // Phase 2: First doubling (10 VUs)
-    { duration: '30s', target: 10 },
-    { duration: '1m', target: 10 },
-
-    // Phase 3: Moderate load (25 VUs)
-    { duration: '30s', target: 25 },
-    { duration: '1m', target: 25 },
-
-    // Phase 4: Heavy load (50 VUs)
-    { duration: '30s', target: 50 },
-    { duration: '1m', target: 50 },
-
-    // Phase 5: Approaching limits (75 VUs)
-    { duration: '30s', target: 75 },
-    { duration: '1m', target: 75 },
-
-    // Phase 6: Stress load (100 VUs)
-    { duration: '30s', target: 100 },
-    { duration: '1m', target: 100 },
-
-    // Phase 7: Peak load (150 VUs)
-    // { duration: '30s', target: 150 },
-    // { duration: '1m', target: 150 },
-
-    // Phase 8: Overload (200 VUs)
-    // { duration: '30s', target: 200 },
-    // { duration: '1m', target: 200 },
-
-    // Ramp down
-    { duration: '30s', target: 0 },
-  ],
+  stages: STAGES,
   thresholds: {
     // SLA: p95 < 60s (60000ms) - realistic for AI agent with LLM processing
-    http_req_duration: [{ threshold: 'p(95)<60000', abortOnFail: true }],
+    'http_req_duration{traffic:bot}': [{ threshold: 'p(95)<60000', abortOnFail: true }],
     // Error rate < 10% - relaxed for AI agents (LLMs can be flaky)
-    http_req_failed: [{ threshold: 'rate<0.10', abortOnFail: true }],
+    'http_req_failed{traffic:bot}': [{ threshold: 'rate<0.10', abortOnFail: true }],
     // Custom error tracking - 20% tolerance for slow responses
     errors: ['rate<0.20'],
+    // Per-category latency (also splits the summary by prompt category)
+    ...categoryThresholds(prompts, 'http_req_duration', ['p(95)<60000']),
+    ...cohortThresholds(identities, 'http_req_duration', ['p(95)<60000']),
+    // Per-phase SLA - shows which step broke it
+    ...phaseThresholds(),
+    // Answer content (RESPONSE_VALIDATION=true)
+    ...validationThresholds(),
   },
   tags: {
     test_type: 'stress',
@@ -84,106 +189,68 @@ export const options = {
   summaryTrendStats: ['avg', 'min', 'med', 'max', 'p(90)', 'p(95)', 'p(99)'],
 };
 
-/**
- * Helper function to create a Bot Framework Activity
- */
-function createActivity(text = 'stress test') {
-  const activityId = `stress-${Date.now()}-${Math.random().toString(36).substring(7)}`;
-  const conversationId = `stress-conversation-${Date.now()}-${__VU}`;
-
-  return {
-    type: 'message',
-    id: activityId,
-    timestamp: new Date().toISOString(),
-    channelId: 'msteams',
-
-    from: {
-      id: __ENV.TEST_USER_ID || '29:load-test-user',
-      name: __ENV.TEST_USER_NAME || 'Load Test User',
-      aadObjectId: __ENV.TEST_USER_AAD_OBJECT_ID || '45908692-019e-4436-810c-b417f58f5f4f',
-      role: 'user',
-    },
-
-    recipient: {
-      id: 'workoflow-bot',
-      name: 'Workoflow Bot',
-      role: 'bot',
-    },
-
-    conversation: {
-      id: conversationId,
-      conversationType: 'personal',
-      isGroup: false,
-      tenantId: 'ae6f26a3-6f27-4ed6-a3a8-800c3226fb79',
-    },
-
-    text: text,
-    textFormat: 'plain',
-    locale: 'en-US',
-
-    serviceUrl: __ENV.SERVICE_URL || 'https://smba.trafficmanager.net/teams',
-  };
-}
+const TIMELINE = addReportMetrics(options);
+// Server metrics per phase (the scraper starts together with the stages)
+addServerMetrics(options, TIMELINE, {
+  tags: () => ({ phase: getCurrentPhase() }),
+  rows: PHASES.map((phase) => ({ label: phase.name, selector: `phase:${phase.name}` })),
+  title: 'phase',
+});
+assertProfileAllows(options);
 
 /**
- * Determine current phase based on VU count
+ * Determine current phase from the elapsed time in the stages
  */
 function getCurrentPhase() {
-  const vus = __VU;
-  if (vus <= 5) return 'phase1-5vu';
-  if (vus <= 10) return 'phase2-10vu';
-  if (vus <= 25) return 'phase3-25vu';
-  if (vus <= 50) return 'phase4-50vu';
-  if (vus <= 75) return 'phase5-75vu';
-  if (vus <= 100) return 'phase6-100vu';
-  if (vus <= 150) return 'phase7-150vu';
-  return 'phase8-200vu';
+  const elapsedMs = scenarioElapsedMs();
+  const phase = PHASES.find((p) => elapsedMs < p.endMs) || PHASES[PHASES.length - 1];
+  return phase.name;
 }
 
 /**
  * Main test function - executed by each virtual user
  */
-export default function () {
-  const phase = getCurrentPhase();
-
-  // Create activity
-  const activity = createActivity(__ENV.TEST_MESSAGE || 'stress test');
+export default function (data) {
+  useAuth(data.auth);
 
-  // Prepare request
-  const payload = JSON.stringify(activity);
-  const headers = {
-    'Content-Type': 'application/json',
-    'x-api-key': __ENV.LOAD_TEST_API_KEY || '',
-  };
+  const phase = getCurrentPhase();
 
-  const params = {
-    headers: headers,
-    tags: {
-      name: 'SendMessage',
-      phase: phase,
-    },
+  // Create activity from a weighted random prompt, sent by a pool user
+  const prompt = pickPrompt();
+  const identity = nextIdentity();
+  const activity = prepareActivity(createMessageActivity(prompt.text, { idPrefix: 'stress', ...identityOptions(identity) }));
+
+  const tags = {
+    name: 'SendMessage',
+    phase: phase,
+    ...promptTags(prompt),
+    ...identityTags(identity),
+    ...TIMELINE.tags(),
   };
 
-  // Send request
-  const response = http.post(BOT_ENDPOINT, payload, params);
+  // Send request (with traceparent header and correlation ID)
+  const response = sendActivity(activity, tags);
 
   // Track metrics
-  requestCount.add(1);
-  responseTrend.add(response.timings.duration);
+  requestCount.add(1, tags);
+  responseTrend.add(response.timings.duration, tags);
 
   // Check response - AI agent SLA: 45s for individual requests, 60s p95
   const success = check(response, {
     'status is 200 or 202': (r) => r.status === 200 || r.status === 202,
     'response time < 45s': (r) => r.timings.duration < 45000,
-  });
+  }, tags);
 
   // Track success/error rates
-  successRate.add(success);
-  errorRate.add(!success);
+  successRate.add(success, tags);
+  errorRate.add(!success, tags);
 
-  // Log errors for debugging
-  if (!success) {
-    console.error(`[${phase}] Request failed: ${response.status} - ${response.body?.substring(0, 200)}`);
+  // Count the failure by category and keep a few samples for the summary
+  recordFailure(response, { slowMs: 45000, tags });
+
+  // Check the answer's content against the prompt's expectations
+  if (RESPONSE_VALIDATION_ENABLED && (response.status === 200 || response.status === 202)) {
+    validateReply(prompt, replyFromResponse(response), { phase: phase, ...promptTags(prompt) });
   }
 
   // Think time between requests (randomized to simulate real users)
@@ -199,23 +266,19 @@ export function setup() {
                     STRESS TEST: FIND BREAKING POINT
 ================================================================================
 Endpoint: ${BOT_ENDPOINT}
+Users: ${describeIdentityPool(identities)}
+Auth: ${describeAuth()}
+Server metrics: ${describeServerMetrics()}
 SLA: p95 < 60s (AI agent with LLM processing), Error rate < 10%
 
 VU Progression:
-  Phase 1: 5 VUs    (baseline)
-  Phase 2: 10 VUs   (first doubling)
-  Phase 3: 25 VUs   (moderate load)
-  Phase 4: 50 VUs   (heavy load)
-  Phase 5: 75 VUs   (approaching limits)
-  Phase 6: 100 VUs  (stress load)
-  Phase 7: 150 VUs  (peak load)
-  Phase 8: 200 VUs  (overload test)
+${PHASES.filter((phase) => phase.target > 0).map((phase) => `  ${phase.name.padEnd(14)} ${String(phase.target).padStart(4)} VUs`).join('\n')}
 
 Test will ABORT automatically if SLA is breached!
 ================================================================================
 `);
 
-  return { startTime: new Date() };
+  return { startTime: new Date(), auth: setupAuth() };
 }
 
 /**
@@ -230,25 +293,112 @@ export function teardown(data) {
 Total Duration: ${duration.toFixed(2)}s
 
 Check results with:
-  - Summary above for quick metrics
-  - JSON output file for detailed analysis
-
-If test aborted early, the breaking point has been found!
+  - Per-phase table and capacity report in the summary below
+  - results/stress-capacity-<timestamp>.json for the capacity figures
+  - results/stress-<timestamp>.json for detailed analysis
 ================================================================================
 `);
 }
 
 /**
- * Handle summary - custom summary generation
+ * Collect per-phase statistics from the summary data
+ */
+function collectPhaseStats(data) {
+  const runDurationMs = data.state.testRunDurationMs;
+
+  return PHASES.map((phase) => {
+    const duration = metricValues(data, `http_req_duration{phase:${phase.name}}`);
+    const failed = metricValues(data, `http_req_failed{phase:${phase.name}}`);
+    const requests = metricValues(data, `http_reqs{phase:${phase.name}}`).count || 0;
+    const elapsedMs = Math.min(phase.endMs, runDurationMs) - phase.startMs;
+
+    return {
+      name: phase.name,
+      target: phase.target,
+      requests: requests,
+      rps: elapsedMs > 0 ? requests / (elapsedMs / 1000) : 0,
+      p50: duration.med,
+      p95: duration['p(95)'],
+      p99: duration['p(99)'],
+      errorRate: failed.rate,
+      validRate: metricValues(data, `validation_passed{phase:${phase.name}}`).rate,
+      slaOk: thresholdsOk(data, `http_req_duration{phase:${phase.name}}`)
+        && thresholdsOk(data, `http_req_failed{phase:${phase.name}}`),
+    };
+  });
+}
+
+/**
+ * Per-phase table: latency percentiles, error rate, throughput and SLA result
+ */
+function phaseTable(phaseStats) {
+  const rows = phaseStats.map((phase) => [
+    phase.name,
+    String(phase.target),
+    String(phase.requests),
+    phase.requests > 0 ? formatNumber(phase.rps) : '-',
+    formatMs(phase.p50),
+    formatMs(phase.p95),
+    formatMs(phase.p99),
+    formatPercent(phase.errorRate),
+    ...(RESPONSE_VALIDATION_ENABLED ? [formatPercent(phase.validRate)] : []),
+    phase.requests === 0 ? 'not run' : (phase.slaOk ? '✓ met' : '✗ BREACHED'),
+  ]);
+
+  const table = formatTable([
+    { title: 'phase' },
+    { title: 'VUs', align: 'right' },
+    { title: 'reqs', align: 'right' },
+    { title: 'req/s', align: 'right' },
+    { title: 'p50', align: 'right' },
+    { title: 'p95', align: 'right' },
+    { title: 'p99', align: 'right' },
+    { title: 'errors', align: 'right' },
+    ...(RESPONSE_VALIDATION_ENABLED ? [{ title: 'valid', align: 'right' }] : []),
+    { title: 'SLA' },
+  ], rows);
+
+  return `\n  Per-phase breakdown (SLA: p95 ${PHASE_SLA.http_req_duration[0].replace('p(95)', '')}ms, error rate ${PHASE_SLA.http_req_failed[0].replace('rate', '')})\n\n${table}\n`;
+}
+
+/**
+ * Handle summary - phase table, capacity report, JSON and HTML reports, optional CI reports
  */
 export function handleSummary(data) {
   const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const phaseStats = collectPhaseStats(data);
+
+  // Capacity is judged on the load steps only, not the ramp-down
+  const capacity = analyzeCapacity(phaseStats.filter((phase) => phase.target > 0), {
+    http_req_duration: PHASE_SLA.http_req_duration,
+    http_req_failed: PHASE_SLA.http_req_failed,
+  });
 
-  return {
-    'stdout': textSummary(data, { indent: '  ', enableColors: true }),
-    [`results/stress-${timestamp}.json`]: JSON.stringify(data, null, 2),
+  const capacityReport = {
+    generatedAt: new Date().toISOString(),
+    endpoint: BOT_ENDPOINT,
+    testRunDurationMs: data.state.testRunDurationMs,
+    aborted: data.state.testRunDurationMs < PHASES[PHASES.length - 1].endMs,
+    ...capacity,
   };
-}
 
-// Import text summary helper
-import { textSummary } from 'https://jslib.k6.io/k6-summary/0.0.2/index.js';
+  return summaryOutputs(data, {
+    test: 'stress',
+    timestamp,
+    sections: [
+      phaseTable(phaseStats),
+      `\n${formatCapacity(capacity)}\n  Report: results/stress-capacity-${timestamp}.json\n`,
+      validationReport(data),
+      serverMetricsReport(data),
+    ],
+    files: {
+      // The timeline sub-metrics are only meant for the HTML report
+      [`results/stress-${timestamp}.json`]: JSON.stringify(stripReportMetrics(data), null, 2),
+      [`results/stress-capacity-${timestamp}.json`]: JSON.stringify(capacityReport, null, 2),
+    },
+    timeline: TIMELINE,
+    options,
+    prompts,
+    extra: { 'Capacity within SLA': capacity.maxStepWithinSla || 'none', 'Breaking point': capacity.firstBreachedStep || 'not reached' },
+  });
+}
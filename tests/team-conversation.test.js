@@ -0,0 +1,207 @@
+/**
+ * k6 Load Test: Group Chat and Channel Conversations
+ *
+ * Runs one scenario per Teams conversation type side by side - personal
+ * chat, group chat and team channel - with the same prompts and load, so
+ * the bot's extra work for group messages (stripping `<at>` mentions,
+ * reading `mention` entities and `channelData.team/channel`, resolving
+ * thread replies) shows up as a latency difference between the types.
+ *
+ * Channel messages either start a new thread or reply to an open one
+ * (conversation ID `...;messageid=<root>`). All requests are tagged with
+ * `conversation_type` (and `thread` for channels), the summary compares the
+ * types against the personal chat baseline.
+ *
+ * Usage:
+ *   k6 run tests/team-conversation.test.js
+ *   k6 run --env CONVERSATION_TYPES=personal,channel --env THREAD_REPLY_RATE=0.8 tests/team-conversation.test.js
+ *   k6 run --env VUS_PER_TYPE=10 --env DURATION=10m tests/team-conversation.test.js
+ *
+ * Prerequisites:
+ *   - Start bot with: LOAD_TEST_MODE=true npm start (or BOT_AUTH=jwt, see README)
+ *   - Set BOT_ENDPOINT in .env
+ */
+
+import { check, sleep } from 'k6';
+import exec from 'k6/execution';
+import { Rate } from 'k6/metrics';
+import { BOT_ENDPOINT, sendActivity, isAccepted } from '../lib/bot-client.js';
+import { setupAuth, useAuth, describeAuth } from '../lib/bot-auth.js';
+import { PROFILE, assertProfileAllows } from '../lib/profile.js';
+import { loadPromptCorpus, createPromptPicker, promptTags } from '../lib/prompt-corpus.js';
+import { loadIdentityPool, createIdentityAssigner, identityOptions, identityTags, describeIdentityPool } from '../lib/identity-pool.js';
+import { CONVERSATION_TYPES, createTeamMessage, conversationTypeThresholds, conversationTypeRows } from '../lib/team-conversations.js';
+import { addReportMetrics } from '../lib/report.js';
+import { summaryOutputs } from '../lib/summary-output.js';
+import { recordFailure } from '../lib/failures.js';
+import { formatTable, formatMs, formatPercent, metricValues } from '../lib/summary.js';
+
+console.log(`Bot endpoint: ${BOT_ENDPOINT} (profile: ${PROFILE.name})`);
+
+// Load per conversation type - every type gets the same
+const VUS_PER_TYPE = parseInt(__ENV.VUS_PER_TYPE || '3', 10);
+const DURATION = __ENV.DURATION || '3m';
+
+// Prompt corpus (PROMPT_CORPUS path, or a single TEST_MESSAGE)
+const prompts = loadPromptCorpus();
+const pickPrompt = createPromptPicker(prompts);
+
+// Simulated Teams users (IDENTITY_POOL_SIZE / IDENTITY_POOL_FILE)
+const identities = loadIdentityPool();
+const nextIdentity = createIdentityAssigner(identities);
+
+// Custom metrics
+const errorRate = new Rate('errors');
+
+/**
+ * One constant-VU scenario per conversation type, named after the type
+ */
+function buildScenarios() {
+  const scenarios = {};
+  CONVERSATION_TYPES.forEach((type) => {
+    scenarios[type] = {
+      executor: 'constant-vus',
+      vus: VUS_PER_TYPE,
+      duration: DURATION,
+      tags: { conversation_type: type },
+    };
+  });
+  return scenarios;
+}
+
+// Test configuration
+export const options = {
+  scenarios: buildScenarios(),
+  thresholds: {
+    'http_req_failed{traffic:bot}': ['rate<0.01'],
+    'http_req_duration{name:SendMessage}': ['p(95)<10000', 'p(99)<15000'],
+    errors: ['rate<0.05'],
+    ...conversationTypeThresholds('http_req_duration', ['p(95)<10000']),
+    ...conversationTypeThresholds('errors', ['rate>=0']),
+  },
+  tags: {
+    test_type: 'team-conversation',
+  },
+};
+
+const TIMELINE = addReportMetrics(options);
+assertProfileAllows(options);
+
+/**
+ * Main test function - executed by each virtual user of every scenario
+ */
+export default function (data) {
+  useAuth(data.auth);
+
+  // The scenario name is the conversation type
+  const type = exec.scenario.name;
+  const prompt = pickPrompt();
+  const identity = nextIdentity();
+  const { activity, tags: conversationTags } = createTeamMessage(type, prompt.text, {
+    idPrefix: 'team-test',
+    ...identityOptions(identity),
+  });
+
+  const tags = {
+    name: 'SendMessage',
+    ...conversationTags,
+    ...promptTags(prompt),
+    ...identityTags(identity),
+    ...TIMELINE.tags(),
+  };
+  const response = sendActivity(activity, tags);
+
+  const success = check(response, {
+    'status is 200 or 202': (r) => isAccepted(r),
+  }, conversationTags);
+
+  errorRate.add(!success, conversationTags);
+
+  // Count the failure by category and keep a few samples for the summary
+  recordFailure(response, { slowMs: 10000, tags });
+
+  sleep(1);
+}
+
+/**
+ * Setup function - runs once before the test starts
+ */
+export function setup() {
+  console.log(`\n🚀 Starting group chat and channel test`);
+  console.log(`📍 Endpoint: ${BOT_ENDPOINT}`);
+  console.log(`💬 Conversation types: ${CONVERSATION_TYPES.join(', ')} (${VUS_PER_TYPE} VUs each, ${DURATION})`);
+  console.log(`👤 Users: ${describeIdentityPool(identities)}`);
+  console.log(`🔐 Auth: ${describeAuth()}`);
+  console.log('─'.repeat(60));
+
+  return { startTime: new Date(), auth: setupAuth() };
+}
+
+/**
+ * Teardown function - runs once after the test completes
+ */
+export function teardown(data) {
+  const duration = (new Date() - data.startTime) / 1000;
+  console.log('─'.repeat(60));
+  console.log(`✅ Test completed in ${duration.toFixed(2)}s`);
+}
+
+/**
+ * Format the side-by-side table per conversation type
+ *
+ * p95 is also shown relative to the personal chat, the cheapest path.
+ */
+function conversationTypeTable(data) {
+  const baseline = metricValues(data, 'http_req_duration{conversation_type:personal}')['p(95)'];
+  const rows = [];
+
+  conversationTypeRows().forEach((row) => {
+    const duration = metricValues(data, `http_req_duration{${row.selector}}`);
+    if (!duration.count) {
+      return;
+    }
+    const relative = baseline ? `${duration['p(95)'] >= baseline ? '+' : ''}${formatPercent(duration['p(95)'] / baseline - 1)}` : '-';
+    rows.push([
+      row.label,
+      String(duration.count),
+      formatMs(duration.med),
+      formatMs(duration['p(95)']),
+      formatMs(duration['p(99)']),
+      relative,
+      formatPercent(metricValues(data, `errors{${row.selector}}`).rate),
+    ]);
+  });
+
+  if (rows.length === 0) {
+    return '';
+  }
+
+  const table = formatTable([
+    { title: 'conversation type' },
+    { title: 'count', align: 'right' },
+    { title: 'p50', align: 'right' },
+    { title: 'p95', align: 'right' },
+    { title: 'p99', align: 'right' },
+    { title: 'p95 vs personal', align: 'right' },
+    { title: 'errors', align: 'right' },
+  ], rows);
+
+  return ['', '  Latency per conversation type', '', table, ''].join('\n');
+}
+
+/**
+ * Handle summary - standard summary, per-type table, HTML and optional CI reports
+ */
+export function handleSummary(data) {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+
+  return summaryOutputs(data, {
+    test: 'team-conversation',
+    timestamp,
+    sections: [conversationTypeTable(data)],
+    timeline: TIMELINE,
+    options,
+    prompts,
+    extra: { 'Conversation types': CONVERSATION_TYPES.join(', '), 'VUs per type': VUS_PER_TYPE },
+  });
+}
@@ -0,0 +1,81 @@
+/**
+ * Unit tests for lib/compare.js (Node test runner, no k6 needed)
+ *
+ * Usage:
+ *   npm run test:unit
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compareSummaries, matchesMetricPattern, DEFAULT_TOLERANCES } from '../../lib/compare.js';
+
+/**
+ * handleSummary()-style summary with one Rate per entry of `rates`
+ */
+function rateSummary(rates) {
+  const metrics = {};
+  Object.entries(rates).forEach(([name, rate]) => {
+    metrics[name] = { type: 'rate', contains: 'default', values: { rate: rate, passes: rate * 100, fails: (1 - rate) * 100 } };
+  });
+  return { metrics };
+}
+
+/**
+ * Names of the metrics flagged as regressions between two sets of rates
+ */
+function regressions(baseline, run) {
+  return compareSummaries(rateSummary(baseline), rateSummary(run)).regressions.map((row) => row.metric);
+}
+
+const HIGHER_IS_BETTER = [
+  'checks',
+  'success_rate',
+  'reply_received',
+  'reply_valid',
+  'validation_passed',
+  'validation_has_content',
+  'card_response_valid',
+  'lifecycle_success',
+  'server_scrape_ok',
+];
+
+const LOWER_IS_BETTER = ['http_req_failed', 'errors'];
+
+test('higher-is-better rates regress when they drop', () => {
+  const baseline = Object.fromEntries(HIGHER_IS_BETTER.map((name) => [name, 0.99]));
+  const run = Object.fromEntries(HIGHER_IS_BETTER.map((name) => [name, 0.9]));
+  assert.deepEqual(regressions(baseline, run), [...HIGHER_IS_BETTER].sort());
+});
+
+test('higher-is-better rates do not regress when they rise', () => {
+  const baseline = Object.fromEntries(HIGHER_IS_BETTER.map((name) => [name, 0.9]));
+  const run = Object.fromEntries(HIGHER_IS_BETTER.map((name) => [name, 0.99]));
+  assert.deepEqual(regressions(baseline, run), []);
+});
+
+test('lower-is-better rates regress when they rise', () => {
+  const baseline = Object.fromEntries(LOWER_IS_BETTER.map((name) => [name, 0.01]));
+  const run = Object.fromEntries(LOWER_IS_BETTER.map((name) => [name, 0.1]));
+  assert.deepEqual(regressions(baseline, run), [...LOWER_IS_BETTER].sort());
+});
+
+test('lower-is-better rates do not regress when they drop', () => {
+  const baseline = Object.fromEntries(LOWER_IS_BETTER.map((name) => [name, 0.1]));
+  const run = Object.fromEntries(LOWER_IS_BETTER.map((name) => [name, 0.01]));
+  assert.deepEqual(regressions(baseline, run), []);
+});
+
+test('tagged sub-metrics follow the direction of their metric', () => {
+  assert.deepEqual(
+    regressions({ 'validation_passed{phase:step-1}': 0.99, 'errors{phase:step-1}': 0.01 }, { 'validation_passed{phase:step-1}': 0.9, 'errors{phase:step-1}': 0.001 }),
+    ['validation_passed{phase:step-1}'],
+  );
+});
+
+test('metric patterns match whole base names only', () => {
+  const patterns = DEFAULT_TOLERANCES.higherIsBetter;
+  assert.equal(matchesMetricPattern('server_scrape_ok{source:health}', patterns), true);
+  assert.equal(matchesMetricPattern('validation', patterns), false);
+  assert.equal(matchesMetricPattern('ok_count', patterns), false);
+  assert.equal(matchesMetricPattern('http_req_failed', patterns), false);
+});
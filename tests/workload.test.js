@@ -0,0 +1,328 @@
+/**
+ * k6 Load Test: Mixed Workload
+ *
+ * Runs the named scenarios of a workload plan concurrently - e.g. 70% chat,
+ * 20% card clicks and 10% long prompts at one total arrival rate - each with
+ * its own executor, message mix, user cohort and thresholds (see
+ * lib/workload-plan.js for the plan format).
+ *
+ * Plans are usually written in YAML and started with the runner, which
+ * validates the plan before k6 starts and passes it on as JSON:
+ *   npm run workload -- plans/mixed-workload.yaml
+ *
+ * A JSON plan can also be run directly (path relative to tests/):
+ *   k6 run --env WORKLOAD_PLAN=../plans/smoke-workload.json tests/workload.test.js
+ *
+ * Requests are tagged with `scenario` and `workload_type`, so every
+ * scenario gets its own latency and error rates in the summary.
+ *
+ * Prerequisites:
+ *   - Start bot with: LOAD_TEST_MODE=true npm start (or BOT_AUTH=jwt, see README)
+ *   - Set BOT_ENDPOINT in .env (default: http://localhost:3978/api/messages)
+ */
+
+import { check, sleep } from 'k6';
+import exec from 'k6/execution';
+import { SharedArray } from 'k6/data';
+import { Rate } from 'k6/metrics';
+import { createMessageActivity } from '../lib/activity-factory.js';
+import { BOT_ENDPOINT, sendActivity, isAccepted } from '../lib/bot-client.js';
+import { setupAuth, useAuth, describeAuth } from '../lib/bot-auth.js';
+import { PROFILE, assertProfileAllows } from '../lib/profile.js';
+import { loadPromptCorpus, createPromptPicker, promptTags } from '../lib/prompt-corpus.js';
+import {
+  loadCardActions,
+  createCardActionPicker,
+  createCardActionActivity,
+  cardActionChecks,
+  cardActionRequestName,
+  cardActionTags,
+} from '../lib/card-actions.js';
+import { loadIdentityPool, createIdentityAssigner, getCohorts, identityOptions, identityTags, describeIdentityPool } from '../lib/identity-pool.js';
+import {
+  RESPONSE_VALIDATION_ENABLED,
+  assertKnownRules,
+  prepareActivity,
+  replyFromResponse,
+  validateReply,
+  validationThresholds,
+  validationReport,
+} from '../lib/response-validation.js';
+import {
+  WorkloadTypes,
+  normalizePlan,
+  buildScenarios,
+  buildThresholds,
+  scenarioThresholdKey,
+  describeScenarioLoad,
+} from '../lib/workload-plan.js';
+import { addReportMetrics } from '../lib/report.js';
+import { summaryOutputs } from '../lib/summary-output.js';
+import { recordFailure } from '../lib/failures.js';
+import { addServerMetrics, describeServerMetrics, serverMetricsReport } from '../lib/server-metrics.js';
+import { formatTable, formatMs, formatPercent, metricValues } from '../lib/summary.js';
+
+// Exec function of the server metrics scraper scenario (SERVER_METRICS=true)
+export { scrapeServerMetrics } from '../lib/server-metrics.js';
+
+console.log(`Bot endpoint: ${BOT_ENDPOINT} (profile: ${PROFILE.name})`);
+
+const WORKLOAD_PLAN = __ENV.WORKLOAD_PLAN || '';
+
+if (!WORKLOAD_PLAN) {
+  throw new Error('WORKLOAD_PLAN is not set - run a plan with: npm run workload -- <plan.yaml|plan.json>');
+}
+if (/\.ya?ml$/i.test(WORKLOAD_PLAN)) {
+  throw new Error(`WORKLOAD_PLAN ${WORKLOAD_PLAN}: k6 cannot read YAML - run it with: npm run workload -- ${WORKLOAD_PLAN}`);
+}
+
+// Normalized plan (the runner has validated it already, direct runs are checked here)
+const plan = normalizePlan(JSON.parse(open(WORKLOAD_PLAN)), WORKLOAD_PLAN);
+
+// Prompt corpus, card action library and simulated Teams users shared by all scenarios
+const prompts = loadPromptCorpus();
+assertKnownRules(prompts);
+const actions = loadCardActions();
+const identities = loadIdentityPool();
+
+/**
+ * Entries of a list whose `field` is in `allowed`
+ */
+function selectEntries(entries, field, allowed, what, scenario) {
+  const selected = [];
+  for (let i = 0; i < entries.length; i++) {
+    if (allowed.includes(entries[i][field])) {
+      selected.push(entries[i]);
+    }
+  }
+
+  if (selected.length === 0) {
+    const available = [];
+    for (let i = 0; i < entries.length; i++) {
+      if (!available.includes(entries[i][field])) {
+        available.push(entries[i][field]);
+      }
+    }
+    throw new Error(`Workload scenario "${scenario.name}": no ${what} matches ${allowed.join(', ')} (available: ${available.join(', ')})`);
+  }
+  return selected;
+}
+
+/**
+ * A scenario's entries of a shared list (all entries when `allowed` is empty)
+ *
+ * The selection is built once into its own SharedArray, named after the
+ * scenario, instead of being copied into every VU.
+ */
+function sharedSelection(entries, field, allowed, what, scenario) {
+  if (allowed.length === 0) {
+    return entries;
+  }
+  return new SharedArray(`workload-${scenario.name}-${field}`, () => selectEntries(entries, field, allowed, what, scenario));
+}
+
+// Scenario name -> { scenario, pickPrompt | pickAction, nextIdentity, thinks }
+const runners = {};
+plan.scenarios.forEach((scenario) => {
+  let scenarioPrompts = null;
+  if (scenario.type === WorkloadTypes.MESSAGE) {
+    scenarioPrompts = sharedSelection(prompts, 'category', scenario.prompts.categories, 'prompt category', scenario);
+    scenarioPrompts = sharedSelection(scenarioPrompts, 'intent', scenario.prompts.intents, 'prompt intent', scenario);
+  }
+
+  runners[scenario.name] = {
+    scenario: scenario,
+    pickPrompt: scenarioPrompts ? createPromptPicker(scenarioPrompts) : null,
+    pickAction: scenario.type === WorkloadTypes.CARD
+      ? createCardActionPicker(sharedSelection(actions, 'name', scenario.cards, 'card action', scenario))
+      : null,
+    nextIdentity: createIdentityAssigner(sharedSelection(identities, 'cohort', scenario.cohort ? [scenario.cohort] : [], 'cohort', scenario)),
+    // Arrival-rate executors pace the iterations themselves
+    thinks: scenario.k6.executor.endsWith('-vus'),
+  };
+});
+
+// Custom metrics
+const errorRate = new Rate('errors');
+
+// Test configuration
+export const options = {
+  scenarios: buildScenarios(plan),
+  thresholds: {
+    ...buildThresholds(plan),
+    ...validationThresholds(),
+  },
+  tags: {
+    test_type: 'workload',
+    workload_plan: plan.name,
+  },
+};
+
+const TIMELINE = addReportMetrics(options);
+addServerMetrics(options, TIMELINE);
+assertProfileAllows(options);
+
+/**
+ * Runner of the current k6 scenario
+ */
+function currentRunner() {
+  return runners[exec.scenario.name];
+}
+
+/**
+ * Think time between iterations of looping VUs
+ */
+function thinkTime(runner) {
+  if (!runner.thinks) {
+    return;
+  }
+  const [min, max] = runner.scenario.thinkTime;
+  sleep(min + Math.random() * (max - min));
+}
+
+/**
+ * Message scenarios - prompts from the scenario's slice of the corpus
+ */
+export function messageScenario(data) {
+  useAuth(data.auth);
+  const runner = currentRunner();
+
+  const prompt = runner.pickPrompt();
+  const identity = runner.nextIdentity();
+  const activity = prepareActivity(createMessageActivity(prompt.text, { idPrefix: 'workload', ...identityOptions(identity) }));
+
+  const tags = {
+    name: 'SendMessage',
+    ...promptTags(prompt),
+    ...identityTags(identity),
+    ...TIMELINE.tags(),
+  };
+  const response = sendActivity(activity, tags);
+
+  const success = check(response, {
+    'status is 200 or 202': isAccepted,
+    [`response time < ${runner.scenario.slowMs}ms`]: (r) => r.timings.duration < runner.scenario.slowMs,
+  }, promptTags(prompt));
+
+  errorRate.add(!success, promptTags(prompt));
+  recordFailure(response, { slowMs: runner.scenario.slowMs, tags });
+
+  // Check the answer's content against the prompt's expectations
+  if (RESPONSE_VALIDATION_ENABLED && isAccepted(response)) {
+    validateReply(prompt, replyFromResponse(response), promptTags(prompt));
+  }
+
+  thinkTime(runner);
+}
+
+/**
+ * Card scenarios - card action clicks from the scenario's actions
+ */
+export function cardScenario(data) {
+  useAuth(data.auth);
+  const runner = currentRunner();
+
+  const action = runner.pickAction();
+  const identity = runner.nextIdentity();
+  const activity = createCardActionActivity(action, { idPrefix: 'workload', ...identityOptions(identity) });
+
+  const tags = {
+    name: cardActionRequestName(action),
+    ...cardActionTags(action),
+    ...identityTags(identity),
+    ...TIMELINE.tags(),
+  };
+  const response = sendActivity(activity, tags);
+
+  const valid = check(response, cardActionChecks(action), cardActionTags(action));
+
+  errorRate.add(!valid, cardActionTags(action));
+  recordFailure(response, { slowMs: runner.scenario.slowMs, tags });
+
+  thinkTime(runner);
+}
+
+/**
+ * Setup function - runs once before the test starts
+ */
+export function setup() {
+  console.log(`\n🚀 Starting workload "${plan.name}"${plan.description ? ` - ${plan.description}` : ''}`);
+  console.log(`📍 Endpoint: ${BOT_ENDPOINT}`);
+  plan.scenarios.forEach((scenario) => {
+    console.log(`🧩 ${scenario.name} (${scenario.type}): ${describeScenarioLoad(scenario)}`);
+  });
+  console.log(`👤 Users: ${describeIdentityPool(identities)} (cohorts: ${getCohorts(identities).join(', ')})`);
+  console.log(`🔐 Auth: ${describeAuth()}`);
+  console.log(`📈 Server metrics: ${describeServerMetrics()}`);
+  console.log('─'.repeat(60));
+
+  return { startTime: new Date(), auth: setupAuth() };
+}
+
+/**
+ * Teardown function - runs once after the test completes
+ */
+export function teardown(data) {
+  const duration = (new Date() - data.startTime) / 1000;
+  console.log('─'.repeat(60));
+  console.log(`✅ Test completed in ${duration.toFixed(2)}s`);
+}
+
+/**
+ * Format the per-scenario request, latency and error table
+ */
+function scenarioTable(data) {
+  const rows = [];
+  plan.scenarios.forEach((scenario) => {
+    const duration = metricValues(data, scenarioThresholdKey('http_req_duration', scenario.name));
+    const errors = metricValues(data, scenarioThresholdKey('errors', scenario.name));
+    if (!duration.count) {
+      return;
+    }
+    rows.push([
+      scenario.name,
+      scenario.type,
+      String(duration.count),
+      formatMs(duration.med),
+      formatMs(duration['p(95)']),
+      formatMs(duration['p(99)']),
+      formatPercent(errors.rate || 0),
+    ]);
+  });
+
+  if (rows.length === 0) {
+    return '';
+  }
+
+  const table = formatTable([
+    { title: 'scenario' },
+    { title: 'type' },
+    { title: 'requests', align: 'right' },
+    { title: 'p50', align: 'right' },
+    { title: 'p95', align: 'right' },
+    { title: 'p99', align: 'right' },
+    { title: 'errors', align: 'right' },
+  ], rows);
+
+  return ['', `  Workload "${plan.name}"`, '', table, ''].join('\n');
+}
+
+/**
+ * Handle summary - standard summary, per-scenario table, HTML and optional CI reports
+ */
+export function handleSummary(data) {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+
+  return summaryOutputs(data, {
+    test: `workload-${plan.name}`,
+    timestamp,
+    sections: [scenarioTable(data), validationReport(data), serverMetricsReport(data)],
+    timeline: TIMELINE,
+    options,
+    prompts,
+    extra: {
+      'Plan': plan.name,
+      'Scenarios': plan.scenarios.map((scenario) => `${scenario.name} (${describeScenarioLoad(scenario)})`).join(', '),
+    },
+  });
+}